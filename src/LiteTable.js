@@ -32,306 +32,2847 @@ function getTextContent(element) {
     return element.textContent || element.innerText || '';
 }
 
+const DEFAULT_DATE_FORMAT = 'DD/MM/YYYY';
+
+const DATE_TOKENS = /YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g;
+
+const TIME_SUFFIX = '(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?';
+
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const dateParserCache = new Map();
+
 /**
- * Checks if a date is within a given time range
- * @param {string} dateStr - Date in "DD/MM/YYYY" format
- * @param {('today'|'week'|'month'|'quarter'|'year')} range - Time range to check
- * @returns {boolean} True if the date is in the range, false otherwise
- * @throws {Error} If the date format is invalid
+ * Builds a local date, rejecting out of range parts such as 31/02
+ * @private
+ */
+function buildDate(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day ||
+        hours > 23 || minutes > 59 || seconds > 59) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Built-in named date formats
+ * @private
+ */
+const NAMED_DATE_FORMATS = {
+    iso: value => {
+        const match = ISO_PATTERN.exec(value);
+        if (!match) return null;
+        if (match[7]) {
+            const time = Date.parse(value.replace(' ', 'T'));
+            return isNaN(time) ? null : new Date(time);
+        }
+        const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1, 7).map(part => Number(part || 0));
+        return buildDate(year, month, day, hours, minutes, seconds);
+    },
+    timestamp: value => (/^-?\d+$/.test(value) ? new Date(Number(value)) : null),
+    unix: value => (/^-?\d+(\.\d+)?$/.test(value) ? new Date(Number(value) * 1000) : null)
+};
+
+/**
+ * Compiles a format string such as 'DD/MM/YYYY' or 'YYYY-MM-DD HH:mm' into a parser
+ *
+ * Formats without a time part also accept a trailing " HH:mm" or " HH:mm:ss".
+ *
+ * @private
+ * @param {string} format - Format string
+ * @returns {function(string): (Date|null)} Parser
+ * @throws {Error} If the format has no year, month or day token
+ */
+function compileDateFormat(format) {
+    const tokens = [];
+    const source = format.split(DATE_TOKENS).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = [];
+    (format.match(DATE_TOKENS) || []).forEach((token, index) => {
+        pattern.push(source[index]);
+        tokens.push(token);
+        pattern.push(token === 'YYYY' ? '(\\d{4})' : token.length === 2 ? '(\\d{2})' : '(\\d{1,2})');
+    });
+    pattern.push(source[source.length - 1]);
+
+    const has = letter => tokens.some(token => token[0] === letter);
+    if (!has('Y') || !has('M') || !has('D')) {
+        throw new Error(`Invalid date format: ${format}`);
+    }
+    const hasTime = has('H');
+    const regex = new RegExp(`^${pattern.join('')}${hasTime ? '' : TIME_SUFFIX}$`);
+
+    return value => {
+        const match = regex.exec(value);
+        if (!match) return null;
+        const parts = { YYYY: 0, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0 };
+        tokens.forEach((token, index) => {
+            const number = Number(match[index + 1]);
+            if (token === 'YY') parts.YYYY = 2000 + number;
+            else parts[token.length === 1 ? token + token : token] = number;
+        });
+        if (!hasTime && match[tokens.length + 1] !== undefined) {
+            parts.HH = Number(match[tokens.length + 1]);
+            parts.mm = Number(match[tokens.length + 2]);
+            parts.ss = Number(match[tokens.length + 3] || 0);
+        }
+        return buildDate(parts.YYYY, parts.MM, parts.DD, parts.HH, parts.mm, parts.ss);
+    };
+}
+
+/**
+ * Creates a date parser from a format
+ *
+ * Formats are format strings ('DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD HH:mm'...), the
+ * built-in names 'iso', 'timestamp' (milliseconds) and 'unix' (seconds), functions
+ * returning a Date, a timestamp or null, or an array of formats tried in order.
+ *
+ * @param {string|Function|Array<string|Function>} [format='DD/MM/YYYY'] - Date format
+ * @returns {function(string): (Date|null)} Parser returning null for values that do not match
+ * @throws {Error} If the format is invalid
  */
-function isDateInRange(dateStr, range) {
-    if (!/^\d{2}\/\d{2}\/\d{4}$/.test(dateStr)) {
-        throw new Error('Invalid date format. Use DD/MM/YYYY');
+function createDateParser(format = DEFAULT_DATE_FORMAT) {
+    if (Array.isArray(format)) {
+        if (!format.length) throw new Error('Invalid date format: expected at least one format');
+        const parsers = format.map(item => createDateParser(item));
+        return value => {
+            for (const parse of parsers) {
+                const date = parse(value);
+                if (date) return date;
+            }
+            return null;
+        };
+    }
+    if (typeof format === 'function') {
+        return value => {
+            const result = format(value);
+            const date = typeof result === 'number' ? new Date(result) : result;
+            return date instanceof Date && !isNaN(date) ? date : null;
+        };
+    }
+    if (typeof format !== 'string' || !format) {
+        throw new Error('Invalid date format: expected a string, a function or an array of them');
     }
-    const [day, month, year] = dateStr.split('/').map(Number);
-    const date = new Date(year, month - 1, day);
-    date.setHours(0, 0, 0, 0);
+    if (!dateParserCache.has(format)) {
+        dateParserCache.set(format, NAMED_DATE_FORMATS[format] || compileDateFormat(format));
+    }
+    const parse = dateParserCache.get(format);
+    return value => (typeof value === 'string' ? parse(value.trim()) : null);
+}
 
+/**
+ * Bounds of a relative period, from the start of its first day to the start of the day after it
+ * @private
+ * @param {('today'|'week'|'month'|'quarter'|'year')} range - Time range
+ * @returns {{from: Date, to: Date}|null} Bounds, the end excluded, or null for an unknown range
+ */
+function getPeriodBounds(range) {
     const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const year = now.getFullYear();
+    const month = now.getMonth();
+    const date = now.getDate();
 
     switch (range) {
         case 'today':
-            return date.getTime() === today.getTime();
+            return { from: new Date(year, month, date), to: new Date(year, month, date + 1) };
         case 'week': {
-            const startOfWeek = new Date(today);
-            startOfWeek.setDate(today.getDate() - today.getDay());
-            const endOfWeek = new Date(startOfWeek);
-            endOfWeek.setDate(startOfWeek.getDate() + 6);
-            return date >= startOfWeek && date <= endOfWeek;
-        }
-        case 'month': {
-            const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-            const endOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-            return date >= startOfMonth && date <= endOfMonth;
+            const startOfWeek = date - now.getDay();
+            return { from: new Date(year, month, startOfWeek), to: new Date(year, month, startOfWeek + 7) };
         }
+        case 'month':
+            return { from: new Date(year, month, 1), to: new Date(year, month + 1, 1) };
         case 'quarter': {
-            const currentQuarter = Math.floor(today.getMonth() / 3);
-            const startOfQuarter = new Date(today.getFullYear(), currentQuarter * 3, 1);
-            const endOfQuarter = new Date(today.getFullYear(), (currentQuarter + 1) * 3, 0);
-            return date >= startOfQuarter && date <= endOfQuarter;
-        }
-        case 'year': {
-            const startOfYear = new Date(today.getFullYear(), 0, 1);
-            const endOfYear = new Date(today.getFullYear(), 11, 31);
-            return date >= startOfYear && date <= endOfYear;
+            const startOfQuarter = Math.floor(month / 3) * 3;
+            return { from: new Date(year, startOfQuarter, 1), to: new Date(year, startOfQuarter + 3, 1) };
         }
+        case 'year':
+            return { from: new Date(year, 0, 1), to: new Date(year + 1, 0, 1) };
         default:
-            return true;
+            return null;
     }
 }
 
 /**
- * Parses a date string in 'DD/MM/YYYY' format and returns a Date object.
- *
- * @param {string} dateStr - The date string to parse.
- * @returns {Date} - The corresponding Date object.
+ * Checks if a date falls within a relative period
+ * @private
+ * @param {Date} date - Date to check
+ * @param {('today'|'week'|'month'|'quarter'|'year')} range - Time range to check
+ * @returns {boolean} True if the date is in the range
  */
-function parseDate(dateStr) {
-    const [day, month, year] = dateStr.split('/').map(Number);
-    return new Date(year, month - 1, day);
+function isInPeriod(date, range) {
+    const bounds = getPeriodBounds(range);
+    return !bounds || (date >= bounds.from && date < bounds.to);
 }
 
 /**
- * Table manager with sorting, filtering, and pagination features
+ * Checks if a date is within a given time range
+ * @param {string} dateStr - Date in the given format
+ * @param {('today'|'week'|'month'|'quarter'|'year')} range - Time range to check
+ * @param {string|Function|Array<string|Function>} [format='DD/MM/YYYY'] - Date format, see createDateParser()
+ * @returns {boolean} True if the date is in the range, false otherwise
+ * @throws {Error} If the date does not match the format
  */
-class LiteTableManager {
-    /**
-     * Creates a LiteTableManager instance
-     * @param {HTMLElement} tableContainer - Table container with the 'lite-table' class
-     * @throws {Error} If the container or table is missing
-     */
-    constructor(tableContainer) {
-        if (!tableContainer)
-            throw new Error('Table container is required');
-
-        if (tableContainer._tableManager)
-            tableContainer._tableManager.destroy();
+function isDateInRange(dateStr, range, format = DEFAULT_DATE_FORMAT) {
+    const date = createDateParser(format)(dateStr);
+    if (!date) {
+        throw new Error(`Invalid date format. Use ${typeof format === 'string' ? format : 'the configured format'}`);
+    }
+    return isInPeriod(date, range);
+}
 
-        if (!tableContainer.querySelector('table'))
-            throw new Error('No table found in container');
+/**
+ * Parses a date string, in 'DD/MM/YYYY' format by default, and returns a Date object.
+ *
+ * @param {string} dateStr - The date string to parse.
+ * @param {string|Function|Array<string|Function>} [format='DD/MM/YYYY'] - Date format, see createDateParser().
+ * @returns {Date|null} - The corresponding Date object, or null if the string does not match the format.
+ */
+function parseDate(dateStr, format = DEFAULT_DATE_FORMAT) {
+    return createDateParser(format)(dateStr);
+}
 
-        this.container = tableContainer;
-        this.table = tableContainer.querySelector('table');
-        this.tbody = this.table.querySelector('tbody');
-        this.displayLimit = 25;
-        this.currentPageIndex = 1;
+/**
+ * Cell values standing for an empty number
+ */
+const NUMBER_PLACEHOLDERS = ['-', '--', '–', '—', 'n/a', 'na', 'n.a.', 'nc', 'n.c.', '?'];
 
-        const isTestEnvironment = typeof process !== 'undefined' &&
-            process.env.NODE_ENV === 'test' ||
-            typeof window === 'undefined';
+const numberSeparatorsCache = new Map();
 
-        this.allRows = Array.from(this.tbody.querySelectorAll('tr')).map((row, index) => {
-            row.setAttribute('data-original-index', index);
-            return row;
+/**
+ * Returns the group and decimal separators of a locale
+ * @private
+ */
+function getNumberSeparators(locale) {
+    if (!numberSeparatorsCache.has(locale)) {
+        const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+        const find = type => parts.find(part => part.type === type)?.value;
+        numberSeparatorsCache.set(locale, {
+            group: (find('group') || ',').replace(/\s/g, ' '),
+            decimal: find('decimal') || '.'
         });
+    }
+    return numberSeparatorsCache.get(locale);
+}
 
-        this.currentDateFilters = {};
-        this.currentValueFilters = {};
-        this.currentDateRangeFilters = {};
-
-        this.currentSort = {
-            column: null,
-            direction: null
-        };
+/**
+ * Checks if a value is an empty-number placeholder such as "-" or "N/A"
+ * @param {string} value - Cell text
+ * @returns {boolean} True for placeholders
+ */
+function isNumberPlaceholder(value) {
+    return NUMBER_PLACEHOLDERS.includes(value.trim().toLowerCase());
+}
 
-        this.columnCount = this.getActualColumnCount();
-        this.rowsCache = this.allRows.map(row => ({
-            originalIndex: parseInt(row.getAttribute('data-original-index')),
-            element: row.cloneNode(true),
-            cells: Array.from(row.cells).map(cell => ({
-                innerHTML: cell.innerHTML,
-                textContent: getTextContent(cell).trim(),
-                title: cell.getAttribute('title') || '',
-                attributes: this.getElementAttributes(cell)
-            }))
-        }));
+/**
+ * Creates a number parser for a locale
+ *
+ * The parser understands the locale's grouping and decimal separators, currency symbols and
+ * codes ("1 234,56 €", "$1,234.50", "EUR 12"), percent signs ("12 %" is 12) and accounting
+ * negatives ("(45)"). When both "." and "," appear, the last one is the decimal separator, so
+ * "1.234,5" is read correctly whatever the locale.
+ *
+ * @param {string} [locale='fr'] - Locale of the values
+ * @returns {function(string): (number|null)} Parser returning null for values that are not numbers,
+ *          including placeholders such as "-" or "N/A"
+ */
+function createNumberParser(locale = 'fr') {
+    const { group, decimal } = getNumberSeparators(locale);
 
-        this.filteredRows = [...this.rowsCache];
-        this.rowPool = [];
-        this.tbody.innerHTML = '';
+    return value => {
+        if (typeof value !== 'string') return null;
+        let text = value.replace(/[\s\u00a0\u202f]+/g, ' ').trim();
+        if (!text || isNumberPlaceholder(text)) return null;
 
-        if (!isTestEnvironment) {
-            this.initGlobalFiltersButtons();
-            this.initColumnsFilters();
-            this.initDisplayLimit();
-            this.initPagination();
+        let negative = false;
+        const accounting = /^\((.*)\)$/.exec(text);
+        if (accounting) {
+            negative = true;
+            text = accounting[1];
         }
-
-        if (this.currentSort.column === null) {
-            const headerCells = Array.from(this.table.querySelectorAll('thead tr:last-child th'));
-            for (let colIndex = 2; colIndex < headerCells.length; colIndex++) {
-                for (const rowData of this.rowsCache) {
-                    const cellVal = rowData.cells[colIndex]?.textContent.replace(/<[^>]*>/g, '').trim();
-                    if (cellVal && /^\d{2}\/\d{2}\/\d{4}$/.test(cellVal)) {
-                        this.currentSort = { column: colIndex, direction: 'desc' };
-                        const sortButtons = this.table.querySelectorAll('thead tr:last-child th button');
-                        if (sortButtons[colIndex - 1]) {
-                            sortButtons[colIndex - 1].classList.add('desc');
-                        }
-                        break;
-                    }
-                }
-                if (this.currentSort.column !== null) break;
-            }
+        text = text
+            .replace(/^[A-Z]{3}\s?|\s?[A-Z]{3}$/g, '')
+            .replace(/[\p{Sc}%‰]/gu, '')
+            .trim();
+        const sign = /^([+\-−])|([\-−])$/.exec(text);
+        if (sign) {
+            negative = negative !== (sign[0] !== '+');
+            text = text.slice(sign[1] ? 1 : 0, sign[2] ? -1 : undefined).trim();
         }
+        text = text.replace(/[ '’]/g, '');
+        if (!/^\d[\d.,]*$|^[.,]\d+$/.test(text)) return null;
 
-        this.updateTable();
-        this.container._tableManager = this;
-    }
-
-    /** @private */
-    getElementAttributes(element) {
-        const attributes = {};
-        Array.from(element.attributes).forEach(attr => {
-            if (attr.name !== 'style') {
-                attributes[attr.name] = attr.value;
+        const lastDot = text.lastIndexOf('.');
+        const lastComma = text.lastIndexOf(',');
+        let decimalSeparator = null;
+        if (lastDot !== -1 && lastComma !== -1) {
+            decimalSeparator = lastDot > lastComma ? '.' : ',';
+        } else if (lastDot !== -1 || lastComma !== -1) {
+            const separator = lastDot !== -1 ? '.' : ',';
+            const parts = text.split(separator);
+            const isGrouping = parts[0].length >= 1 && parts[0].length <= 3 &&
+                parts.slice(1).every(part => part.length === 3);
+            if (parts.length === 2 && !(isGrouping && separator === group)) {
+                decimalSeparator = separator;
             }
-        });
-        return attributes;
-    }
+        }
 
-    /** @private */
-    initPagination() {
-        const footer = this.container.querySelector('.lite-table-footer');
-        if (!footer) return;
+        let integer = text;
+        let fraction = '';
+        if (decimalSeparator) {
+            integer = text.slice(0, text.lastIndexOf(decimalSeparator));
+            fraction = text.slice(text.lastIndexOf(decimalSeparator) + 1);
+            if (integer.includes(decimalSeparator)) return null;
+        }
+        const groups = integer.split(/[.,]/);
+        if (groups.length > 1 && (!groups[0] || groups[0].length > 3 || groups.slice(1).some(part => part.length !== 3))) {
+            return null;
+        }
 
-        const paginationDiv = document.createElement('div');
-        paginationDiv.className = 'lite-table-pagination';
-        footer.appendChild(paginationDiv);
+        const number = Number(`${groups.join('') || '0'}.${fraction || '0'}`);
+        if (isNaN(number)) return null;
+        return negative ? -number : number;
+    };
+}
 
-        this.updatePagination();
-    }
+/**
+ * Parses a number written in a locale, see createNumberParser()
+ * @param {string} value - Text to parse
+ * @param {string} [locale='fr'] - Locale of the value
+ * @returns {number|null} The number, or null if the text is not a number
+ */
+function parseNumber(value, locale = 'fr') {
+    return createNumberParser(locale)(value);
+}
 
-    /** @private */
-    initDisplayLimit() {
-        if (!this.container.querySelector('.displayLimit')) {
-            const displayLimitWrapper = document.createElement('div');
-            displayLimitWrapper.className = 'lite-table-display-limit';
-            const displayLimitLabel = document.createElement('label');
-            displayLimitLabel.textContent = 'Show';
-            const displayLimitSelect = document.createElement('select');
-            displayLimitSelect.className = 'displayLimit';
-            const filterContainer = this.container.querySelector('.lite-table-filters');
-            if (!filterContainer) return;
+const BOOLEAN_VALUES = {
+    true: ['true', 'yes', 'oui', 'y', 'on', '✓', '✔'],
+    false: ['false', 'no', 'non', 'n', 'off', '✗', '✘']
+};
 
-            const displayLimitOptions = [
-                { value: '10', text: '10' },
-                { value: '25', text: '25', selected: true },
-                { value: '50', text: '50' },
-                { value: '100', text: '100' }
-            ];
+const BUILT_IN_TYPES = ['text', 'number', 'date', 'boolean'];
 
-            displayLimitOptions.forEach(option => {
-                const opt = document.createElement('option');
-                opt.value = option.value;
-                opt.textContent = option.text;
-                if (option.selected) {
-                    opt.selected = true;
-                }
-                displayLimitSelect.appendChild(opt);
-            });
+/**
+ * Column types by name, see registerType()
+ */
+const TYPE_REGISTRY = new Map();
 
-            displayLimitWrapper.appendChild(displayLimitLabel);
-            displayLimitWrapper.appendChild(displayLimitSelect);
-            filterContainer.appendChild(displayLimitWrapper);
-        }
+/**
+ * Sort key of empty cells, which come after the other values in ascending order
+ */
+const EMPTY_SORT_KEY = Symbol('empty');
 
-        const limitSelect = this.container.querySelector('.displayLimit');
-        limitSelect?.addEventListener('change', (e) => {
-            this.displayLimit = e.target.value === 'all' ? Infinity : parseInt(e.target.value);
-            this.updateTable();
-        });
+/**
+ * Registers a column type, usable with data-type on <th> or the "type" of a column definition
+ *
+ * Each hook receives the raw cell value (data-sort-value, or the cell text) and a context
+ * `{ columnIndex, locale, collator, parseDate, parseNumber }` giving the column's date parser
+ * and the table's number parser.
+ *
+ * @param {string} name - Type name
+ * @param {Object} definition - Type definition
+ * @param {function(string, Object): *} [definition.parse] - Converts a value to a sort key; null or
+ *        undefined marks values that are not of this type, which are sorted after the others
+ * @param {function(*, *, Object): number} [definition.compare] - Compares two sort keys (default: < and >)
+ * @param {function(string, Object): boolean} [definition.detect] - Recognizes values of this type,
+ *        to detect the type of columns without data-type
+ * @throws {Error} If the name or definition is invalid
+ */
+function registerType(name, definition) {
+    if (typeof name !== 'string' || !name) {
+        throw new Error('Invalid type name: expected a non-empty string');
     }
-
-    /** @private */
-    initColumnsFilters() {
-        const headerCells = this.table.querySelectorAll('thead tr:last-child th');
-        headerCells.forEach((th, index) => {
-            if (index === 0) {
-                return;
-            }
-            const button = document.createElement('button');
-            button.className = 'sort-button';
-            button.innerHTML = th.innerHTML;
-            button.addEventListener('click', () => this.handleSort(index));
-            th.innerHTML = '';
-            th.appendChild(button);
-        });
+    if (!definition || typeof definition !== 'object') {
+        throw new Error(`Invalid type "${name}": expected { parse, compare, detect }`);
     }
+    ['parse', 'compare', 'detect'].forEach(hook => {
+        if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+            throw new Error(`Invalid type "${name}": "${hook}" must be a function`);
+        }
+    });
+    TYPE_REGISTRY.set(name, {
+        parse: definition.parse || (value => value),
+        compare: definition.compare || ((a, b) => (a < b ? -1 : a > b ? 1 : 0)),
+        detect: definition.detect || null
+    });
+}
 
-    /** @private */
-    initGlobalFiltersButtons() {
-        const filterContainer = this.container.querySelector('.lite-table-filters');
-        if (!filterContainer) return;
+registerType('text', {
+    compare: (a, b, { collator }) => collator.compare(a, b)
+});
 
-        const headerCells = this.table.querySelectorAll('thead tr:last-child th');
-        headerCells.forEach((th, colIndex) => {
-            if (th.classList.contains('date-range')) {
-                this.createDateRangeDropdown(th, filterContainer, colIndex);
-                return;
-            }
-            if (!th.classList.contains('filtered')) return;
+registerType('number', {
+    parse: (value, { parseNumber }) => parseNumber(value),
+    compare: (a, b) => a - b,
+    detect: (value, { parseNumber }) => parseNumber(value) !== null
+});
 
-            const firstNonEmptyCell = this.allRows.find(row => {
-                const cell = row.cells[colIndex];
-                return cell && getTextContent(cell).trim();
-            });
+registerType('date', {
+    parse: (value, { parseDate }) => parseDate(value),
+    compare: (a, b) => a - b,
+    detect: (value, { parseDate }) => parseDate(value) !== null
+});
 
-            let dataType = 'text';
-            if (firstNonEmptyCell) {
-                const sampleVal = getTextContent(firstNonEmptyCell.cells[colIndex]).trim();
-                if (/^\d{2}\/\d{2}\/\d{4}$/.test(sampleVal)) dataType = 'date';
-                else if (!isNaN(sampleVal.replace(',', '.'))) dataType = 'number';
-            }
+registerType('boolean', {
+    parse: value => {
+        const normalized = value.trim().toLowerCase();
+        if (BOOLEAN_VALUES.true.includes(normalized)) return true;
+        if (BOOLEAN_VALUES.false.includes(normalized)) return false;
+        return null;
+    },
+    compare: (a, b) => a - b,
+    detect: value => [...BOOLEAN_VALUES.true, ...BOOLEAN_VALUES.false].includes(value.trim().toLowerCase())
+});
 
-            if (dataType === 'date') {
-                this.createDateDropdown(th, filterContainer, colIndex);
-            } else {
-                this.createValueDropdown(th, filterContainer, colIndex);
-            }
-        });
-    }
+/**
+ * Number of values sampled to detect the type of a column
+ */
+const TYPE_DETECTION_SAMPLE = 100;
 
-    /** @private */
-    createDateRangeDropdown(th, filterContainer, colIndex) {
-        const wrapper = document.createElement('div');
-        wrapper.className = 'lite-table-filter';
-        const label = document.createElement('label');
-        label.innerHTML = `${th.innerText} <span style="font-weight: lighter;">(from / to)</span>`;
-        const fromInput = document.createElement('input');
-        fromInput.type = 'date';
-        fromInput.placeholder = 'From';
-        const toInput = document.createElement('input');
-        toInput.type = 'date';
-        toInput.placeholder = 'To';
+/**
+ * Converts a value filter to the set of accepted values
+ *
+ * An empty string in the set matches empty cells.
+ *
+ * @param {string|number|Array<string>|Set<string>|null} value - Value, values, or null / '' for no filter
+ * @returns {Set<string>|null} Accepted values, or null when the column is not filtered
+ */
+function normalizeValueFilter(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Set) return value;
+    if (Array.isArray(value)) return new Set(value.map(String));
+    return new Set([String(value)]);
+}
 
-        const updateRange = () => {
-            this.currentDateRangeFilters[colIndex] = {
-                from: fromInput.value || null,
-                to: toInput.value || null
-            };
-            this.updateTable();
-        };
+/**
+ * Operators of the filter row, with their labels
+ */
+const TEXT_OPERATORS = {
+    contains: 'Contains',
+    notContains: 'Does not contain',
+    equals: 'Equals',
+    startsWith: 'Starts with',
+    endsWith: 'Ends with',
+    regex: 'Regex'
+};
 
-        fromInput.addEventListener('change', updateRange);
-        toInput.addEventListener('change', updateRange);
+/**
+ * Operators of the filter row offered on number and date columns
+ */
+const COMPARISON_OPERATORS = {
+    '>': '>',
+    '>=': '≥',
+    '<': '<',
+    '<=': '≤',
+    between: 'Between'
+};
 
-        wrapper.appendChild(label);
-        wrapper.appendChild(fromInput);
-        wrapper.appendChild(toInput);
-        filterContainer.appendChild(wrapper);
+/**
+ * Converts a text filter to `{ operator, value, to }`
+ *
+ * A string is a "contains" filter. `to` is only used by the "between" operator,
+ * where an empty bound leaves the range open.
+ *
+ * @param {string|{operator?: string, value?: string|number, to?: string|number}|null} filter - Text filter
+ * @returns {{operator: string, value: string, to: string}|null} Normalized filter, or null when it is empty
+ * @throws {Error} If the operator is unknown
+ */
+function normalizeTextFilter(filter) {
+    if (filter === null || filter === undefined) return null;
+    if (typeof filter !== 'object') filter = { value: filter };
+    const { operator = 'contains', value = '', to = '' } = filter;
+    if (!(operator in TEXT_OPERATORS) && !(operator in COMPARISON_OPERATORS)) {
+        throw new Error(`Invalid text filter operator: ${operator}`);
     }
+    const normalized = {
+        operator,
+        value: value === null ? '' : String(value),
+        to: operator === 'between' && to !== null ? String(to) : ''
+    };
+    return normalized.value || normalized.to ? normalized : null;
+}
 
-    /** @private */
-    createDateDropdown(th, filterContainer, colIndex) {
-        const wrapper = document.createElement('div');
-        wrapper.className = 'lite-table-filter';
-        const label = document.createElement('label');
-        label.textContent = th.innerText;
-        const select = document.createElement('select');
-
-        const options = [
+/**
+ * Converts a number range filter to `{ min, max }`, where a null bound leaves the range open
+ * @param {{min?: number|null, max?: number|null}|null} range - Number range
+ * @returns {{min: number|null, max: number|null}} Normalized range
+ * @throws {Error} If a bound is not a finite number or min is greater than max
+ */
+function normalizeNumberRange(range) {
+    if (range !== null && range !== undefined && (typeof range !== 'object' || Array.isArray(range))) {
+        throw new Error('Invalid number range: expected { min, max }');
+    }
+    const { min = null, max = null } = range || {};
+    [min, max].forEach(bound => {
+        if (bound !== null && (typeof bound !== 'number' || !Number.isFinite(bound))) {
+            throw new Error(`Invalid number range bound: ${bound}`);
+        }
+    });
+    if (min !== null && max !== null && min > max) {
+        throw new Error(`Invalid number range: ${min} is greater than ${max}`);
+    }
+    return { min, max };
+}
+
+/**
+ * Checks a date filter, one of the periods ending today
+ * @param {string|null} date - 'today', 'week', 'month', 'quarter', 'year', or null / '' for no filter
+ * @returns {string} Period, or '' when the column is not filtered
+ * @throws {Error} If the period is unknown
+ */
+function normalizeDateFilter(date) {
+    if (date && !['today', 'week', 'month', 'quarter', 'year'].includes(date)) {
+        throw new Error(`Invalid date filter: ${date}`);
+    }
+    return date || '';
+}
+
+/**
+ * Converts a date range filter to `{ from, to }`, where a null bound leaves the range open
+ * @param {{from?: string|null, to?: string|null}|null} range - Date range, with ISO dates
+ * @returns {{from: string|null, to: string|null}} Normalized range
+ * @throws {Error} If a bound is not an ISO date
+ */
+function normalizeDateRange(range) {
+    const { from = null, to = null } = range || {};
+    [from, to].forEach(bound => {
+        if (bound && !NAMED_DATE_FORMATS.iso(String(bound))) {
+            throw new Error(`Invalid date range bound: ${bound}`);
+        }
+    });
+    return { from: from || null, to: to || null };
+}
+
+const EVENT_PREFIX = 'litetable:';
+
+const CONTROL_NAMES = ['filters', 'sorting', 'displayLimit', 'pagination'];
+
+const DEFAULT_OPTIONS = {
+    pageSizes: [10, 25, 50, 100],
+    pageSize: 25,
+    initialSort: 'auto',
+    initialFilters: {},
+    sortableColumns: null,
+    locale: 'fr',
+    controls: {},
+    data: null,
+    columns: null,
+    rowKey: null,
+    search: false,
+    filterRow: false,
+    urlState: false,
+    persist: null,
+    exportButton: false,
+    selectable: false,
+    columnChooser: false,
+    reorderable: false,
+    resizable: false,
+    stickyHeader: false,
+    frozenColumns: 0,
+    virtualScroll: false,
+    dateFormat: DEFAULT_DATE_FORMAT
+};
+
+const SEARCH_DEFAULTS = {
+    debounce: 250,
+    highlight: true,
+    placeholder: 'Search...'
+};
+
+/**
+ * Version of the preferences saved by the `persist` option; saved data of another version is dropped
+ */
+const PERSIST_VERSION = 1;
+
+const PERSIST_PREFIX = 'litetable:';
+
+const EXPORT_SCOPES = ['filtered', 'page', 'all', 'selected'];
+
+/**
+ * Rows targeted by the "select all" checkbox: the current page or every filtered row
+ */
+const SELECT_ALL_SCOPES = ['page', 'filtered'];
+
+const SELECTABLE_DEFAULTS = {
+    selectAll: 'page'
+};
+
+const EXPORT_BUTTON_DEFAULTS = {
+    label: 'Export CSV',
+    filename: 'export.csv',
+    scope: 'filtered'
+};
+
+/**
+ * Days between the Excel epoch (30/12/1899) and the Unix epoch
+ */
+const EXCEL_EPOCH_OFFSET = 25569;
+
+/**
+ * Indexes of the cell formats defined in the styles of exported workbooks
+ */
+const XLSX_STYLES = {
+    header: 1,
+    date: 2,
+    datetime: 3
+};
+
+const COLUMN_WIDTH_DEFAULTS = {
+    // Smallest width of a column without data-min-width, in pixels
+    min: 40,
+    // Width change of a resize handle per arrow key press, in pixels
+    step: 10
+};
+
+const VIRTUAL_SCROLL_DEFAULTS = {
+    // Height of the rows not rendered yet, in pixels; rendered rows are measured
+    rowHeight: 32,
+    // Rows rendered above and below the visible ones
+    buffer: 10
+};
+
+const URL_STATE_DEFAULTS = {
+    key: null,
+    mode: 'query',
+    history: 'replace'
+};
+
+const COLUMN_FILTERS = [true, false, 'value', 'date', 'dateRange', 'numberRange'];
+
+/**
+ * Validates a page size value
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a positive integer or 'all'
+ */
+function isValidPageSize(value) {
+    return value === 'all' || (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Validates a column index against an optional column count
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a non-negative integer
+ */
+function isValidColumnIndex(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validates a sort key
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is { column, direction: 'asc' | 'desc' }
+ */
+function isValidSortKey(value) {
+    return !!value && typeof value === 'object' && isValidColumnIndex(value.column) &&
+        ['asc', 'desc'].includes(value.direction);
+}
+
+/**
+ * Tells whether two lists of sort keys sort the same columns, in the same or in opposite directions
+ * @private
+ * @param {Array<{column: number, direction: string}>} sortKeys - Sort keys
+ * @param {Array<{column: number, direction: string}>} other - Sort keys to compare with
+ * @param {boolean} [reversed=false] - Whether every direction must be the opposite
+ * @returns {boolean} True if the keys match
+ */
+function matchesSortKeys(sortKeys, other, reversed = false) {
+    return sortKeys.length === other.length && sortKeys.every((key, index) =>
+        key.column === other[index].column && (key.direction === other[index].direction) !== reversed);
+}
+
+/**
+ * Validates user options and merges them with the defaults
+ * @param {Object} options - Options passed to the constructor
+ * @returns {Object} The complete options object
+ * @throws {Error} If an option has an invalid value
+ */
+function normalizeOptions(options) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('Options must be an object');
+    }
+
+    const unknownKeys = Object.keys(options).filter(key => !(key in DEFAULT_OPTIONS));
+    if (unknownKeys.length) {
+        throw new Error(`Unknown option(s): ${unknownKeys.join(', ')}`);
+    }
+
+    const normalized = { ...DEFAULT_OPTIONS, ...options };
+
+    if (normalized.virtualScroll === true) {
+        normalized.virtualScroll = { ...VIRTUAL_SCROLL_DEFAULTS };
+    } else if (normalized.virtualScroll === false || normalized.virtualScroll === null) {
+        normalized.virtualScroll = null;
+    } else if (typeof normalized.virtualScroll === 'object' && !Array.isArray(normalized.virtualScroll)) {
+        const virtualScroll = { ...VIRTUAL_SCROLL_DEFAULTS, ...normalized.virtualScroll };
+        if (typeof virtualScroll.rowHeight !== 'number' || !(virtualScroll.rowHeight > 0) || !Number.isFinite(virtualScroll.rowHeight)) {
+            throw new Error('Invalid option "virtualScroll.rowHeight": expected a positive number of pixels');
+        }
+        if (!isValidColumnIndex(virtualScroll.buffer)) {
+            throw new Error('Invalid option "virtualScroll.buffer": expected a number of rows');
+        }
+        normalized.virtualScroll = virtualScroll;
+    } else {
+        throw new Error('Invalid option "virtualScroll": expected a boolean or { rowHeight, buffer }');
+    }
+    // A virtual table scrolls through every row unless a page size is given
+    if (normalized.virtualScroll && options.pageSize === undefined) {
+        normalized.pageSize = 'all';
+    }
+
+    if (!Array.isArray(normalized.pageSizes) || !normalized.pageSizes.length ||
+        !normalized.pageSizes.every(isValidPageSize)) {
+        throw new Error('Invalid option "pageSizes": expected a non-empty array of positive integers or \'all\'');
+    }
+    if (!isValidPageSize(normalized.pageSize)) {
+        throw new Error('Invalid option "pageSize": expected a positive integer or \'all\'');
+    }
+    if (!normalized.pageSizes.includes(normalized.pageSize)) {
+        normalized.pageSizes = [...normalized.pageSizes, normalized.pageSize]
+            .sort((a, b) => (a === 'all' ? Infinity : a) - (b === 'all' ? Infinity : b));
+    }
+
+    const sort = normalized.initialSort;
+    if (sort !== 'auto' && sort !== null) {
+        const sortKeys = Array.isArray(sort) ? sort : [sort];
+        if (!sortKeys.every(isValidSortKey)) {
+            throw new Error('Invalid option "initialSort": expected \'auto\', null, { column, direction: \'asc\' | \'desc\' } or an array of them');
+        }
+    }
+
+    const filters = normalized.initialFilters;
+    if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+        throw new Error('Invalid option "initialFilters": expected an object');
+    }
+    const unknownFilters = Object.keys(filters).filter(key => !['value', 'date', 'dateRange', 'numberRange', 'text', 'search'].includes(key));
+    if (unknownFilters.length) {
+        throw new Error(`Invalid option "initialFilters": unknown filter type(s) ${unknownFilters.join(', ')}`);
+    }
+    if (filters.search !== undefined && typeof filters.search !== 'string') {
+        throw new Error('Invalid option "initialFilters.search": expected a string');
+    }
+    for (const [type, byColumn] of Object.entries(filters)) {
+        if (type === 'search') continue;
+        if (byColumn === null || typeof byColumn !== 'object' ||
+            !Object.keys(byColumn).every(key => isValidColumnIndex(Number(key)))) {
+            throw new Error(`Invalid option "initialFilters.${type}": expected an object keyed by column index`);
+        }
+    }
+    const filterNormalizers = { date: normalizeDateFilter, dateRange: normalizeDateRange, numberRange: normalizeNumberRange };
+    Object.entries(filterNormalizers).forEach(([type, normalize]) => {
+        Object.entries(filters[type] || {}).forEach(([colIndex, filter]) => {
+            try {
+                normalize(filter);
+            } catch (e) {
+                throw new Error(`Invalid option "initialFilters.${type}[${colIndex}]": ${e.message}`);
+            }
+        });
+    });
+    Object.entries(filters.text || {}).forEach(([colIndex, filter]) => {
+        if ((filter !== null && !['string', 'number', 'object'].includes(typeof filter)) || Array.isArray(filter)) {
+            throw new Error(`Invalid option "initialFilters.text[${colIndex}]": expected a string or { operator, value, to }`);
+        }
+        try {
+            const textFilter = normalizeTextFilter(filter);
+            if (textFilter?.operator === 'regex') new RegExp(textFilter.value);
+        } catch (e) {
+            const message = e instanceof SyntaxError ? `Invalid regular expression: ${filter.value}` : e.message;
+            throw new Error(`Invalid option "initialFilters.text[${colIndex}]": ${message}`);
+        }
+    });
+
+    if (normalized.sortableColumns !== null &&
+        (!Array.isArray(normalized.sortableColumns) || !normalized.sortableColumns.every(isValidColumnIndex))) {
+        throw new Error('Invalid option "sortableColumns": expected null or an array of column indexes');
+    }
+
+    if (typeof normalized.filterRow !== 'boolean') {
+        throw new Error('Invalid option "filterRow": expected a boolean');
+    }
+
+    if (typeof normalized.columnChooser !== 'boolean') {
+        throw new Error('Invalid option "columnChooser": expected a boolean');
+    }
+    if (typeof normalized.reorderable !== 'boolean') {
+        throw new Error('Invalid option "reorderable": expected a boolean');
+    }
+    if (typeof normalized.resizable !== 'boolean') {
+        throw new Error('Invalid option "resizable": expected a boolean');
+    }
+
+    if (typeof normalized.persist === 'string') {
+        normalized.persist = { key: normalized.persist, storage: null };
+    }
+    if (normalized.persist !== null) {
+        const persist = normalized.persist;
+        if (typeof persist !== 'object' || Array.isArray(persist) || typeof persist.key !== 'string' || !persist.key) {
+            throw new Error('Invalid option "persist": expected a key or { key, storage }');
+        }
+        const storage = persist.storage ?? null;
+        if (storage !== null && !['getItem', 'setItem', 'removeItem'].every(method => typeof storage[method] === 'function')) {
+            throw new Error('Invalid option "persist.storage": expected an object with getItem, setItem and removeItem');
+        }
+        normalized.persist = { key: persist.key, storage };
+    }
+
+    if (normalized.exportButton === true) {
+        normalized.exportButton = { ...EXPORT_BUTTON_DEFAULTS };
+    } else if (normalized.exportButton === false || normalized.exportButton === null) {
+        normalized.exportButton = null;
+    } else if (typeof normalized.exportButton === 'object' && !Array.isArray(normalized.exportButton)) {
+        const exportButton = { ...EXPORT_BUTTON_DEFAULTS, ...normalized.exportButton };
+        if (typeof exportButton.label !== 'string' || typeof exportButton.filename !== 'string' || !exportButton.filename) {
+            throw new Error('Invalid option "exportButton": expected a "label" string and a "filename"');
+        }
+        if (!EXPORT_SCOPES.includes(exportButton.scope)) {
+            throw new Error(`Invalid option "exportButton.scope": expected one of ${EXPORT_SCOPES.join(', ')}`);
+        }
+        normalized.exportButton = exportButton;
+    } else {
+        throw new Error('Invalid option "exportButton": expected a boolean or { label, filename, scope, columns, bom }');
+    }
+
+    if (normalized.selectable === true) {
+        normalized.selectable = { ...SELECTABLE_DEFAULTS };
+    } else if (normalized.selectable === false || normalized.selectable === null) {
+        normalized.selectable = null;
+    } else if (typeof normalized.selectable === 'object' && !Array.isArray(normalized.selectable)) {
+        const selectable = { ...SELECTABLE_DEFAULTS, ...normalized.selectable };
+        if (!SELECT_ALL_SCOPES.includes(selectable.selectAll)) {
+            throw new Error(`Invalid option "selectable.selectAll": expected one of ${SELECT_ALL_SCOPES.join(', ')}`);
+        }
+        normalized.selectable = selectable;
+    } else {
+        throw new Error('Invalid option "selectable": expected a boolean or { selectAll }');
+    }
+
+    if (normalized.urlState === true) {
+        normalized.urlState = { ...URL_STATE_DEFAULTS };
+    } else if (normalized.urlState === false || normalized.urlState === null) {
+        normalized.urlState = null;
+    } else if (typeof normalized.urlState === 'object' && !Array.isArray(normalized.urlState)) {
+        const urlState = { ...URL_STATE_DEFAULTS, ...normalized.urlState };
+        if (urlState.key !== null && (typeof urlState.key !== 'string' || !urlState.key)) {
+            throw new Error('Invalid option "urlState.key": expected a non-empty string');
+        }
+        if (!['query', 'hash'].includes(urlState.mode)) {
+            throw new Error('Invalid option "urlState.mode": expected \'query\' or \'hash\'');
+        }
+        if (!['replace', 'push'].includes(urlState.history)) {
+            throw new Error('Invalid option "urlState.history": expected \'replace\' or \'push\'');
+        }
+        normalized.urlState = urlState;
+    } else {
+        throw new Error('Invalid option "urlState": expected a boolean or { key, mode, history }');
+    }
+
+    if (typeof normalized.locale !== 'string' || !normalized.locale) {
+        throw new Error('Invalid option "locale": expected a non-empty string');
+    }
+    try {
+        Intl.Collator.supportedLocalesOf(normalized.locale);
+    } catch (e) {
+        throw new Error(`Invalid option "locale": ${normalized.locale}`);
+    }
+
+    try {
+        createDateParser(normalized.dateFormat);
+    } catch (e) {
+        throw new Error(`Invalid option "dateFormat": ${e.message}`);
+    }
+
+    const controls = normalized.controls;
+    if (controls === null || typeof controls !== 'object' || Array.isArray(controls)) {
+        throw new Error('Invalid option "controls": expected an object');
+    }
+    const unknownControls = Object.keys(controls).filter(key => !CONTROL_NAMES.includes(key));
+    if (unknownControls.length) {
+        throw new Error(`Invalid option "controls": unknown control(s) ${unknownControls.join(', ')}`);
+    }
+
+    if (normalized.columns !== null) {
+        if (!Array.isArray(normalized.columns) || !normalized.columns.length) {
+            throw new Error('Invalid option "columns": expected a non-empty array of column definitions');
+        }
+        normalized.columns.forEach((column, index) => {
+            if (!column || typeof column !== 'object' || typeof column.key !== 'string' || !column.key) {
+                throw new Error(`Invalid option "columns[${index}]": expected an object with a "key" string`);
+            }
+            if (column.type !== undefined && !TYPE_REGISTRY.has(column.type)) {
+                throw new Error(`Invalid option "columns[${index}].type": expected one of ${[...TYPE_REGISTRY.keys()].join(', ')}`);
+            }
+            if (column.rangeSlider !== undefined && typeof column.rangeSlider !== 'boolean') {
+                throw new Error(`Invalid option "columns[${index}].rangeSlider": expected a boolean`);
+            }
+            if (column.hidden !== undefined && typeof column.hidden !== 'boolean') {
+                throw new Error(`Invalid option "columns[${index}].hidden": expected a boolean`);
+            }
+            ['minWidth', 'maxWidth'].forEach(name => {
+                if (column[name] !== undefined && !(typeof column[name] === 'number' && column[name] >= 0 && column[name] < Infinity)) {
+                    throw new Error(`Invalid option "columns[${index}].${name}": expected a number of pixels`);
+                }
+            });
+            if (column.render !== undefined && typeof column.render !== 'function') {
+                throw new Error(`Invalid option "columns[${index}].render": expected a function`);
+            }
+            if (column.filter !== undefined && !COLUMN_FILTERS.includes(column.filter)) {
+                throw new Error(`Invalid option "columns[${index}].filter": expected a boolean, 'value', 'date', 'dateRange' or 'numberRange'`);
+            }
+            if (column.dateFormat !== undefined) {
+                try {
+                    createDateParser(column.dateFormat);
+                } catch (e) {
+                    throw new Error(`Invalid option "columns[${index}].dateFormat": ${e.message}`);
+                }
+            }
+        });
+    }
+    if (normalized.search === true) {
+        normalized.search = { ...SEARCH_DEFAULTS };
+    } else if (normalized.search === false || normalized.search === null) {
+        normalized.search = null;
+    } else if (typeof normalized.search === 'object' && !Array.isArray(normalized.search)) {
+        const search = { ...SEARCH_DEFAULTS, ...normalized.search };
+        if (typeof search.debounce !== 'number' || search.debounce < 0) {
+            throw new Error('Invalid option "search.debounce": expected a number of milliseconds');
+        }
+        if (typeof search.highlight !== 'boolean') {
+            throw new Error('Invalid option "search.highlight": expected a boolean');
+        }
+        if (typeof search.placeholder !== 'string') {
+            throw new Error('Invalid option "search.placeholder": expected a string');
+        }
+        normalized.search = search;
+    } else {
+        throw new Error('Invalid option "search": expected a boolean or { debounce, highlight, placeholder }');
+    }
+
+    if (normalized.rowKey !== null && (typeof normalized.rowKey !== 'string' || !normalized.rowKey)) {
+        throw new Error('Invalid option "rowKey": expected a property name');
+    }
+    if (normalized.data !== null) {
+        if (!Array.isArray(normalized.data)) {
+            throw new Error('Invalid option "data": expected an array');
+        }
+        if (normalized.columns === null) {
+            throw new Error('Option "data" requires the "columns" option');
+        }
+    }
+
+    if (normalized.stickyHeader === true) {
+        normalized.stickyHeader = { offset: 0 };
+    } else if (normalized.stickyHeader === false || normalized.stickyHeader === null) {
+        normalized.stickyHeader = null;
+    } else if (typeof normalized.stickyHeader === 'object' && !Array.isArray(normalized.stickyHeader)) {
+        const stickyHeader = { offset: 0, ...normalized.stickyHeader };
+        if (typeof stickyHeader.offset !== 'number' || !Number.isFinite(stickyHeader.offset)) {
+            throw new Error('Invalid option "stickyHeader.offset": expected a number of pixels');
+        }
+        normalized.stickyHeader = stickyHeader;
+    } else {
+        throw new Error('Invalid option "stickyHeader": expected a boolean or { offset }');
+    }
+    if (!isValidColumnIndex(normalized.frozenColumns)) {
+        throw new Error('Invalid option "frozenColumns": expected a number of columns');
+    }
+
+    return normalized;
+}
+
+/**
+ * Lays out header rows on a grid of columns, following the `rowspan` and `colspan` of their cells
+ * @private
+ * @param {HTMLTableRowElement[]} rows - Header rows, from the top
+ * @returns {{grid: HTMLTableCellElement[][], starts: Map<HTMLTableCellElement, number>}} Cell covering
+ *          each column of each row, and the first column of each cell
+ */
+function getHeaderGrid(rows) {
+    const grid = rows.map(() => []);
+    const starts = new Map();
+    rows.forEach((row, rowIndex) => {
+        let column = 0;
+        for (const cell of Array.from(row.cells)) {
+            while (grid[rowIndex][column]) column++;
+            starts.set(cell, column);
+            const lastRow = Math.min(rowIndex + (cell.rowSpan || rows.length), rows.length);
+            for (let spanned = rowIndex; spanned < lastRow; spanned++) {
+                for (let offset = 0; offset < cell.colSpan; offset++) grid[spanned][column + offset] = cell;
+            }
+            column += cell.colSpan;
+        }
+    });
+    return { grid, starts };
+}
+
+/**
+ * Title cells of the columns of a header, from the last row but the filter row, without the
+ * selection checkbox cell; cells spanning rows from above count for their columns
+ * @private
+ * @param {HTMLTableSectionElement|null} thead - Table header
+ * @returns {HTMLTableCellElement[]} Header cells by column
+ */
+function getTitleCells(thead) {
+    const rows = thead ? Array.from(thead.rows).filter(row => !row.classList.contains('lite-table-filter-row')) : [];
+    if (!rows.length) return [];
+    const { grid } = getHeaderGrid(rows);
+    return [...new Set(grid[rows.length - 1])].filter(th => th && !th.classList.contains('lite-table-select'));
+}
+
+/**
+ * Validates the options that depend on the table, before the constructor changes the DOM
+ * @private
+ * @param {HTMLElement} container - Table container
+ * @param {Object} options - Normalized options
+ * @throws {Error} If an option does not fit the table
+ */
+function assertTableOptions(container, options) {
+    const columnCount = options.columns?.length ?? getTitleCells(container.querySelector('table thead')).length;
+
+    if (options.initialSort && options.initialSort !== 'auto') {
+        [].concat(options.initialSort).forEach(({ column }) => {
+            if (column >= columnCount) {
+                throw new Error(`Invalid option "initialSort": column ${column} does not exist`);
+            }
+        });
+    }
+    for (const [type, byColumn] of Object.entries(options.initialFilters)) {
+        if (type === 'search') continue;
+        Object.keys(byColumn).forEach(column => {
+            if (Number(column) >= columnCount) {
+                throw new Error(`Invalid option "initialFilters.${type}": column ${column} does not exist`);
+            }
+        });
+    }
+    (options.sortableColumns || []).forEach(column => {
+        if (column >= columnCount) {
+            throw new Error(`Invalid option "sortableColumns": column ${column} does not exist`);
+        }
+    });
+    if (options.frozenColumns > columnCount) {
+        throw new Error(`Invalid option "frozenColumns": the table has ${columnCount} columns`);
+    }
+    if (options.virtualScroll && !container.querySelector('.lite-table-container')) {
+        throw new Error('Option "virtualScroll" requires a .lite-table-container element');
+    }
+}
+
+/**
+ * Reads a data-date-format attribute, where several formats are separated by "|"
+ * @param {string} value - Attribute value
+ * @returns {string|string[]} Format, or formats tried in order
+ */
+function parseDateFormatAttribute(value) {
+    const formats = value.split('|').map(format => format.trim()).filter(Boolean);
+    return formats.length === 1 ? formats[0] : formats;
+}
+
+/**
+ * Escapes a CSV or TSV field: fields holding the delimiter, a quote or a line break are quoted
+ * @param {string} value - Field text
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Escaped field
+ */
+function escapeDelimitedField(value, delimiter) {
+    const text = String(value);
+    if (!/["\r\n]/.test(text) && !text.includes(delimiter)) return text;
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Escapes text for XML, dropping the control characters XML does not allow
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXML(value) {
+    return String(value)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column name of a 0-based column index: A, B, ..., Z, AA, AB...
+ * @param {number} index - Column index
+ * @returns {string} Column name
+ */
+function getColumnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Excel serial number of a date, keeping its local date and time
+ *
+ * Excel counts 29/02/1900, which did not exist, so dates before 01/03/1900 are one day lower.
+ *
+ * @param {Date} date - Date
+ * @returns {number|null} Serial number, or null before 01/01/1900
+ */
+function toExcelDate(date) {
+    const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+        date.getHours(), date.getMinutes(), date.getSeconds());
+    const serial = utc / 86400000 + EXCEL_EPOCH_OFFSET;
+    if (serial >= 61) return serial;
+    return serial >= 2 ? serial - 1 : null;
+}
+
+let crcTable = null;
+
+/**
+ * CRC-32 checksum of bytes, as stored in zip entries
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Builds a zip archive of uncompressed (stored) entries
+ * @param {Array<{name: string, content: string}>} files - Entries, whose content is encoded as UTF-8
+ * @param {Date} [date=new Date()] - Modification date of the entries
+ * @returns {Uint8Array} Archive
+ */
+function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const entries = files.map(({ name, content }) => {
+        const data = encoder.encode(content);
+        return { name: encoder.encode(name), data, crc: crc32(data) };
+    });
+    const localSize = entries.reduce((size, entry) => size + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+
+    // Fields shared by the local header (from its offset 4) and the central header (from its offset 6)
+    const writeEntryFields = entry => {
+        view.setUint16(offset, 20, true);
+        view.setUint16(offset + 2, 0x0800, true); // UTF-8 names
+        view.setUint16(offset + 4, 0, true); // stored
+        view.setUint16(offset + 6, time, true);
+        view.setUint16(offset + 8, day, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.data.length, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint16(offset + 22, entry.name.length, true);
+        offset += 24;
+    };
+
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034B50, true);
+        offset += 4;
+        writeEntryFields(entry);
+        offset += 2;
+        bytes.set(entry.name, offset);
+        bytes.set(entry.data, offset + entry.name.length);
+        offset += entry.name.length + entry.data.length;
+    });
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset + 4, 20, true);
+        offset += 6;
+        writeEntryFields(entry);
+        view.setUint32(offset + 12, entry.offset, true);
+        offset += 16;
+        bytes.set(entry.name, offset);
+        offset += entry.name.length;
+    });
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, localSize, true);
+    return bytes;
+}
+
+/**
+ * Builds the parts of a single-sheet workbook
+ * @param {string} sheetName - Sheet name
+ * @param {string} sheetData - Content of <sheetData>
+ * @param {Object} [options]
+ * @param {number[]} [options.widths=[]] - Column widths, in characters
+ * @param {boolean} [options.frozenHeader=false] - Freezes the first row
+ * @returns {Array<{name: string, content: string}>} Zip entries
+ */
+function createWorkbookFiles(sheetName, sheetData, { widths = [], frozenHeader = false } = {}) {
+    const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const PACKAGE_RELATIONSHIPS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+    const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+    const pane = frozenHeader
+        ? '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+        : '';
+    const cols = widths.length
+        ? `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+        : '';
+
+    return [
+        {
+            name: '[Content_Types].xml',
+            content: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + `<Override PartName="/xl/workbook.xml" ContentType="${CONTENT_TYPE}.sheet.main+xml"/>`
+                + `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${CONTENT_TYPE}.worksheet+xml"/>`
+                + `<Override PartName="/xl/styles.xml" ContentType="${CONTENT_TYPE}.styles+xml"/>`
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIPS}">`
+                + `<Relationship Id="rId1" Type="${RELATIONSHIPS}/officeDocument" Target="xl/workbook.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: `${XML_HEADER}<workbook xmlns="${MAIN}" xmlns:r="${RELATIONSHIPS}">`
+                + `<sheets><sheet name="${escapeXML(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+                + '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIPS}">`
+                + `<Relationship Id="rId1" Type="${RELATIONSHIPS}/worksheet" Target="worksheets/sheet1.xml"/>`
+                + `<Relationship Id="rId2" Type="${RELATIONSHIPS}/styles" Target="styles.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/styles.xml',
+            // Cell formats, see XLSX_STYLES: default, bold header, short date (14) and date with time (22)
+            content: `${XML_HEADER}<styleSheet xmlns="${MAIN}">`
+                + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>'
+                + '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                + '<fills count="2"><fill><patternFill patternType="none"/></fill>'
+                + '<fill><patternFill patternType="gray125"/></fill></fills>'
+                + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                + '<cellXfs count="4">'
+                + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+                + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+                + '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+                + '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+                + '</cellXfs>'
+                + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+                + '</styleSheet>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: `${XML_HEADER}<worksheet xmlns="${MAIN}">`
+                + `<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews>`
+                + `${cols}<sheetData>${sheetData}</sheetData>`
+                + '</worksheet>'
+        }
+    ];
+}
+
+/**
+ * Reads sort keys written as "column:direction" pairs separated by commas
+ * @param {string} value - Sort keys, like "2:desc" or "1:asc,2:desc"; the direction defaults to 'asc'
+ * @returns {Array<{column: number, direction: string}>} Sort keys, not validated
+ */
+function parseSortKeys(value) {
+    return value.split(',').map(key => key.trim()).filter(Boolean).map(key => {
+        const [column, direction = 'asc'] = key.split(':');
+        return { column: Number(column), direction: direction.trim() };
+    });
+}
+
+/**
+ * Reads table options from the container's data-* attributes
+ *
+ * Supported attributes: data-page-sizes ("10,25,all"), data-page-size ("50"),
+ * data-initial-sort ("2:desc", "1:asc,2:desc", "none" or "auto"), data-initial-filters (JSON),
+ * data-sortable-columns ("1,2,4"), data-locale ("en"), data-controls
+ * ("filters,pagination" or "none"), data-search ("true" or "false"), data-filter-row
+ * ("true" or "false"), data-url-state ("true", "false", "query" or "hash"), data-persist (storage
+ * key), data-export-button ("true" or "false"), data-selectable ("true", "false", "page" or
+ * "filtered"), data-column-chooser ("true" or "false") and data-date-format ("MM/DD/YYYY", or
+ * several formats separated by "|").
+ *
+ * @param {HTMLElement} container - Table container with the 'lite-table' class
+ * @returns {Object} Options object, only containing the attributes that are set
+ * @throws {Error} If an attribute cannot be parsed
+ */
+function getDataOptions(container) {
+    const data = container.dataset || {};
+    const options = {};
+    const parsePageSize = value => (value.trim() === 'all' ? 'all' : Number(value));
+    const parseList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+    if (data.pageSizes !== undefined) {
+        options.pageSizes = parseList(data.pageSizes).map(parsePageSize);
+    }
+    if (data.pageSize !== undefined) {
+        options.pageSize = parsePageSize(data.pageSize);
+    }
+    if (data.initialSort !== undefined) {
+        const value = data.initialSort.trim();
+        if (value === 'none') {
+            options.initialSort = null;
+        } else if (value === 'auto') {
+            options.initialSort = 'auto';
+        } else {
+            const sortKeys = parseSortKeys(value);
+            options.initialSort = sortKeys.length === 1 ? sortKeys[0] : sortKeys;
+        }
+    }
+    if (data.initialFilters !== undefined) {
+        try {
+            options.initialFilters = JSON.parse(data.initialFilters);
+        } catch (e) {
+            throw new Error('Invalid data-initial-filters attribute: expected JSON');
+        }
+    }
+    if (data.sortableColumns !== undefined) {
+        options.sortableColumns = parseList(data.sortableColumns).map(Number);
+    }
+    if (data.locale !== undefined) {
+        options.locale = data.locale;
+    }
+    if (data.search !== undefined) {
+        options.search = data.search.trim() !== 'false';
+    }
+    if (data.filterRow !== undefined) {
+        options.filterRow = data.filterRow.trim() !== 'false';
+    }
+    if (data.exportButton !== undefined) {
+        options.exportButton = data.exportButton.trim() !== 'false';
+    }
+    if (data.columnChooser !== undefined) {
+        options.columnChooser = data.columnChooser.trim() !== 'false';
+    }
+    if (data.reorderable !== undefined) {
+        options.reorderable = data.reorderable.trim() !== 'false';
+    }
+    if (data.resizable !== undefined) {
+        options.resizable = data.resizable.trim() !== 'false';
+    }
+    if (data.stickyHeader !== undefined) {
+        const value = data.stickyHeader.trim();
+        options.stickyHeader = /^-?\d+(\.\d+)?$/.test(value) ? { offset: Number(value) } : value !== 'false';
+    }
+    if (data.frozenColumns !== undefined) {
+        options.frozenColumns = Number(data.frozenColumns);
+    }
+    if (data.virtualScroll !== undefined) {
+        const value = data.virtualScroll.trim();
+        options.virtualScroll = /^\d+(\.\d+)?$/.test(value) ? { rowHeight: Number(value) } : value !== 'false';
+    }
+    if (data.persist !== undefined) {
+        options.persist = data.persist.trim();
+    }
+    if (data.selectable !== undefined) {
+        const value = data.selectable.trim();
+        options.selectable = SELECT_ALL_SCOPES.includes(value) ? { selectAll: value } : value !== 'false';
+    }
+    if (data.urlState !== undefined) {
+        const value = data.urlState.trim();
+        options.urlState = ['query', 'hash'].includes(value) ? { mode: value } : value !== 'false';
+    }
+    if (data.dateFormat !== undefined) {
+        options.dateFormat = parseDateFormatAttribute(data.dateFormat);
+    }
+    if (data.controls !== undefined) {
+        const enabled = data.controls.trim() === 'none' ? [] : parseList(data.controls);
+        options.controls = {};
+        CONTROL_NAMES.forEach(name => {
+            options.controls[name] = enabled.includes(name);
+        });
+        enabled.filter(name => !CONTROL_NAMES.includes(name)).forEach(name => {
+            options.controls[name] = true;
+        });
+    }
+
+    return options;
+}
+
+/**
+ * Normalizes text for search: removes accents and lowercases
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeSearchText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Wraps the parts of an element's text that match search terms in <mark> elements
+ *
+ * Matching is accent and case insensitive; only text nodes are changed, so the
+ * element's markup is preserved.
+ *
+ * @param {HTMLElement} element - Element whose text is highlighted
+ * @param {string[]} terms - Normalized search terms
+ */
+function highlightMatches(element, terms) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+        const text = node.nodeValue;
+        let normalized = '';
+        const offsets = [];
+        for (let i = 0; i < text.length; i++) {
+            const part = normalizeSearchText(text[i]);
+            for (let k = 0; k < part.length; k++) offsets.push(i);
+            normalized += part;
+        }
+
+        const ranges = [];
+        terms.forEach(term => {
+            let index = normalized.indexOf(term);
+            while (index !== -1) {
+                ranges.push([offsets[index], offsets[index + term.length - 1] + 1]);
+                index = normalized.indexOf(term, index + term.length);
+            }
+        });
+        if (!ranges.length) return;
+
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [ranges[0]];
+        ranges.slice(1).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (start <= last[1]) last[1] = Math.max(last[1], end);
+            else merged.push([start, end]);
+        });
+
+        const fragment = document.createDocumentFragment();
+        let position = 0;
+        merged.forEach(([start, end]) => {
+            if (start > position) fragment.appendChild(document.createTextNode(text.slice(position, start)));
+            const mark = document.createElement('mark');
+            mark.className = 'lite-table-highlight';
+            mark.textContent = text.slice(start, end);
+            fragment.appendChild(mark);
+            position = end;
+        });
+        if (position < text.length) fragment.appendChild(document.createTextNode(text.slice(position)));
+        node.parentNode.replaceChild(fragment, node);
+    });
+}
+
+/**
+ * Moves the cells of a row into a new column order
+ * @param {HTMLTableRowElement} row - Row whose cells are moved
+ * @param {number[]} positions - Current index of the cell to put at each position
+ * @param {number} [offset=0] - Number of leading cells left in place, like the selection checkboxes
+ */
+function reorderCells(row, positions, offset = 0) {
+    const cells = Array.from(row.cells).slice(offset);
+    positions.forEach(position => {
+        if (cells[position]) row.appendChild(cells[position]);
+    });
+}
+
+/**
+ * Table manager with sorting, filtering, and pagination features
+ */
+class LiteTableManager {
+    /**
+     * Registers a column type, see registerType()
+     * @param {string} name - Type name
+     * @param {{parse?: Function, compare?: Function, detect?: Function}} definition - Type definition
+     */
+    static registerType(name, definition) {
+        registerType(name, definition);
+    }
+
+    /**
+     * Creates a LiteTableManager instance
+     * @param {HTMLElement} tableContainer - Table container with the 'lite-table' class
+     * @param {Object} [options] - Table options
+     * @param {Array<number|'all'>} [options.pageSizes=[10, 25, 50, 100]] - Choices offered by the display limit selector
+     * @param {number|'all'} [options.pageSize=25] - Initial number of rows per page
+     * @param {'auto'|null|{column: number, direction: 'asc'|'desc'}|Array<{column: number, direction: 'asc'|'desc'}>} [options.initialSort='auto'] - Initial sort;
+     *        'auto' sorts the first date column (from index 2) descending, null keeps the markup order, an array sorts by several columns
+     * @param {{value?: Object, date?: Object, dateRange?: Object, numberRange?: Object, text?: Object}} [options.initialFilters={}] - Initial filters keyed by column index
+     * @param {number[]|null} [options.sortableColumns=null] - Columns that get a sort button; null means every column but the first
+     * @param {string} [options.locale='fr'] - Locale used to compare text values and read numbers
+     * @param {{filters?: boolean, sorting?: boolean, displayLimit?: boolean, pagination?: boolean}} [options.controls={}] - Built-in controls to render
+     * @throws {Error} If the container or table is missing, or if an option is invalid
+     */
+    constructor(tableContainer, options = {}) {
+        if (!tableContainer)
+            throw new Error('Table container is required');
+
+        if (tableContainer._tableManager)
+            tableContainer._tableManager.destroy();
+
+        this.options = normalizeOptions(options);
+
+        if (!tableContainer.querySelector('table') && !this.options.columns)
+            throw new Error('No table found in container');
+        assertTableOptions(tableContainer, this.options);
+
+        if (!tableContainer.querySelector('table')) {
+            const tableWrapper = tableContainer.querySelector('.lite-table-container') || tableContainer;
+            tableWrapper.appendChild(document.createElement('table'));
+        }
+
+        this.container = tableContainer;
+        this.table = tableContainer.querySelector('table');
+        this.columns = this.options.columns;
+        this.columnTypes = {};
+        if (this.columns) this.initColumns();
+
+        this.tbody = this.table.querySelector('tbody') || this.table.appendChild(document.createElement('tbody'));
+        this.displayLimit = this.options.pageSize === 'all' ? Infinity : this.options.pageSize;
+        this.currentPageIndex = 1;
+        this.collator = new Intl.Collator(this.options.locale, { sensitivity: 'base', numeric: true });
+        this.numberParser = createNumberParser(this.options.locale);
+
+        const isTestEnvironment = typeof process !== 'undefined' &&
+            process.env.NODE_ENV === 'test' ||
+            typeof window === 'undefined';
+
+        this.controls = {};
+        CONTROL_NAMES.forEach(name => {
+            this.controls[name] = this.options.controls[name] ?? !isTestEnvironment;
+        });
+
+        const rows = this.options.data
+            ? this.options.data.map(record => this.createRowFromRecord(record))
+            : Array.from(this.tbody.querySelectorAll('tr'));
+        this.allRows = rows.map((row, index) => {
+            row.setAttribute('data-original-index', index);
+            return row;
+        });
+        this.nextIndex = this.allRows.length;
+
+        const { value = {}, date = {}, dateRange = {}, numberRange = {}, text = {}, search = '' } = this.options.initialFilters;
+        this.currentDateFilters = {};
+        Object.entries(date).forEach(([colIndex, period]) => {
+            this.currentDateFilters[colIndex] = normalizeDateFilter(period);
+        });
+        this.currentValueFilters = {};
+        Object.entries(value).forEach(([colIndex, filter]) => {
+            const values = normalizeValueFilter(filter);
+            if (values) this.currentValueFilters[colIndex] = new Set(values);
+        });
+        this.currentDateRangeFilters = {};
+        Object.entries(dateRange).forEach(([colIndex, range]) => {
+            this.currentDateRangeFilters[colIndex] = normalizeDateRange(range);
+        });
+        this.currentNumberRangeFilters = {};
+        Object.entries(numberRange).forEach(([colIndex, range]) => {
+            this.currentNumberRangeFilters[colIndex] = normalizeNumberRange(range);
+        });
+        this.currentTextFilters = {};
+        Object.entries(text).forEach(([colIndex, filter]) => {
+            const textFilter = normalizeTextFilter(filter);
+            if (textFilter) this.currentTextFilters[colIndex] = textFilter;
+        });
+        this.currentSearch = search;
+
+        this.sortKeys = [];
+        this.filterControls = {};
+        this.textFilterControls = {};
+        this.listeners = [];
+        this.visibleRows = [];
+        this.renderedRows = [];
+        this.selection = new Set();
+        this.selectionAnchor = null;
+        this.cellOffset = this.options.selectable ? 1 : 0;
+
+        this.columnCount = this.getActualColumnCount();
+        this.getHeaderCells().forEach((th, colIndex) => {
+            const type = th.getAttribute('data-type');
+            if (!type || this.columnTypes[colIndex]) return;
+            if (!TYPE_REGISTRY.has(type)) {
+                throw new Error(`Unknown column type "${type}" on column ${colIndex}`);
+            }
+            this.columnTypes[colIndex] = type;
+        });
+        this.getHeaderCells().forEach((th, colIndex) => {
+            const { min, max } = this.getWidthLimits(th);
+            if (!(min >= 0) || !(max >= min)) {
+                throw new Error(`Invalid data-min-width or data-max-width on column ${colIndex}: expected pixels, the minimum first`);
+            }
+        });
+        this.dateParser = createDateParser(this.options.dateFormat);
+        this.dateParsers = this.getHeaderCells().map((th, colIndex) => {
+            const format = this.columns?.[colIndex]?.dateFormat ??
+                (th.dataset.dateFormat ? parseDateFormatAttribute(th.dataset.dateFormat) : null);
+            return format ? createDateParser(format) : this.dateParser;
+        });
+        this.rowsCache = this.allRows.map((row, index) => this.createRowData(row, this.options.data?.[index]));
+        // Bumped whenever rows or columns change, to drop the detected types and the sort and filter results
+        this.rowsVersion = 0;
+        this.detectedTypes = {};
+        this.sortedBy = { sortKeys: [], types: [], version: 0 };
+        this.filterCache = null;
+        this.rowsSnapshots = {};
+        // Comparisons read their operands with the column type, known once the rows are cached
+        Object.entries(this.currentTextFilters).forEach(([colIndex, filter]) => {
+            try {
+                this.createTextMatcher(Number(colIndex), filter);
+            } catch (e) {
+                throw new Error(`Invalid option "initialFilters.text[${colIndex}]": ${e.message}`);
+            }
+        });
+
+        this.filteredRows = [...this.rowsCache];
+        this.rowPool = [];
+        this.tbody.innerHTML = '';
+        this.searchableColumns = this.getHeaderCells()
+            .map((th, colIndex) => (th.getAttribute('data-searchable') === 'false' ? null : colIndex))
+            .filter(colIndex => colIndex !== null);
+        this.hiddenColumns = new Set(this.getHeaderCells()
+            .map((th, colIndex) => (th.hasAttribute('data-hidden') && th.getAttribute('data-hidden') !== 'false' ? colIndex : null))
+            .filter(colIndex => colIndex !== null));
+        this.defaultHiddenColumns = [...this.hiddenColumns];
+        this.columnOrder = this.getHeaderCells().map((th, colIndex) => colIndex);
+        this.columnWidths = {};
+
+        if (this.options.search) this.initSearch();
+        if (this.options.filterRow) this.initFilterRow();
+        if (this.controls.filters) this.initGlobalFiltersButtons();
+        if (this.controls.sorting) this.initColumnsFilters();
+        if (this.options.selectable) this.initSelection();
+        if (this.options.columnChooser) this.initColumnChooser();
+        if (this.options.reorderable) this.initColumnReorder();
+        if (this.options.resizable) this.initColumnResize();
+        if (this.options.stickyHeader || this.options.frozenColumns) this.initStickyLayout();
+        if (this.options.virtualScroll) this.initVirtualScroll();
+        if (this.controls.displayLimit) this.initDisplayLimit();
+        if (this.controls.pagination) this.initPagination();
+        if (this.options.exportButton) this.initExportButton();
+
+        if (this.options.initialSort === 'auto') {
+            const headerCells = this.getHeaderCells();
+            for (let colIndex = 2; colIndex < headerCells.length; colIndex++) {
+                if (this.getColumnType(colIndex) === 'date') {
+                    this.sortKeys = [{ column: colIndex, direction: 'desc' }];
+                    break;
+                }
+            }
+        } else if (this.options.initialSort) {
+            const sortKeys = [].concat(this.options.initialSort);
+            this.sortKeys = sortKeys.map(({ column, direction }) => ({ column, direction }));
+        }
+
+        this.defaultState = this.getState();
+        if (this.options.persist) this.restorePersistedState();
+        if (this.options.urlState) this.initUrlState();
+
+        this.syncControls();
+        this.syncColumnVisibility();
+        this.updateTable();
+        this.initialized = true;
+        this.container._tableManager = this;
+        this.emit('init', this.getEventDetail());
+    }
+
+    /**
+     * Primary sort key, kept for compatibility with single-column sorting
+     * @type {{column: number|null, direction: 'asc'|'desc'|null}}
+     */
+    get currentSort() {
+        return this.sortKeys[0] ? { ...this.sortKeys[0] } : { column: null, direction: null };
+    }
+
+    set currentSort(sort) {
+        this.sortKeys = sort && sort.column !== null && sort.direction
+            ? [{ column: sort.column, direction: sort.direction }]
+            : [];
+    }
+
+    /**
+     * Value of a cached cell used to sort, from data-sort-value or the cell text
+     * @private
+     */
+    getSortValue(cell) {
+        return cell ? cell.sortValue ?? cell.textContent : '';
+    }
+
+    /**
+     * Value of a cached cell used to filter, from data-filter-value or the cell text
+     * @private
+     */
+    getFilterValue(cell) {
+        return cell ? cell.filterValue ?? cell.textContent : '';
+    }
+
+    /** @private */
+    getTypeContext(columnIndex) {
+        return {
+            columnIndex,
+            locale: this.options.locale,
+            collator: this.collator,
+            parseDate: value => this.parseCellDate(columnIndex, value),
+            parseNumber: this.numberParser
+        };
+    }
+
+    /** @private */
+    parseCellDate(columnIndex, value) {
+        return (this.dateParsers[columnIndex] || this.dateParser)(value);
+    }
+
+    /**
+     * Number of a cached cell for range filters, read from its sort value like the number type,
+     * and kept in the cell
+     * @private
+     */
+    getCellNumber(cell) {
+        if (!cell) return null;
+        if (cell.number === undefined) cell.number = this.numberParser(this.getSortValue(cell));
+        return cell.number;
+    }
+
+    /**
+     * Date of a cached cell for date filters, read from its filter value with the column's parser,
+     * and kept in the cell with that parser
+     * @private
+     */
+    getCellDate(columnIndex, cell) {
+        if (!cell) return null;
+        const parse = this.dateParsers[columnIndex] || this.dateParser;
+        if (cell.dateParser !== parse) {
+            cell.date = parse(this.getFilterValue(cell));
+            cell.dateParser = parse;
+        }
+        return cell.date;
+    }
+
+    /**
+     * Smallest and largest numbers of a column, or null when it holds none
+     * @private
+     */
+    getColumnBounds(columnIndex) {
+        let min = Infinity;
+        let max = -Infinity;
+        this.rowsCache.forEach(rowData => {
+            const number = this.getCellNumber(rowData.cells[columnIndex]);
+            if (number === null) return;
+            if (number < min) min = number;
+            if (number > max) max = number;
+        });
+        return min === Infinity ? null : { min, max };
+    }
+
+    /**
+     * Builds the test of a text filter on the cells of a column
+     *
+     * Text operators compare the filter value of cells, ignoring case and accents;
+     * "regex" is case insensitive. Comparison operators read numbers like sorting,
+     * or dates on date columns, compared by day.
+     *
+     * @private
+     * @param {number} columnIndex - Filtered column
+     * @param {{operator: string, value: string, to: string}} filter - Normalized text filter
+     * @returns {function(Object): boolean} Test of a cached cell
+     * @throws {Error} If the regular expression or a compared value is invalid
+     */
+    createTextMatcher(columnIndex, filter) {
+        const { operator, value, to } = filter;
+        if (operator in TEXT_OPERATORS) {
+            if (operator === 'regex') {
+                let pattern;
+                try {
+                    pattern = new RegExp(value, 'i');
+                } catch (e) {
+                    throw new Error(`Invalid regular expression: ${value}`);
+                }
+                return cell => pattern.test(this.getFilterValue(cell));
+            }
+            const term = normalizeSearchText(value);
+            const matches = {
+                contains: text => text.includes(term),
+                notContains: text => !text.includes(term),
+                equals: text => text === term,
+                startsWith: text => text.startsWith(term),
+                endsWith: text => text.endsWith(term)
+            }[operator];
+            return cell => matches(normalizeSearchText(this.getFilterValue(cell)));
+        }
+
+        const isDate = this.getColumnType(columnIndex) === 'date';
+        const toDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        const readCell = isDate
+            ? cell => {
+                const date = this.getCellDate(columnIndex, cell);
+                return date ? toDay(date) : null;
+            }
+            : cell => this.getCellNumber(cell);
+        const readOperand = operand => {
+            if (operand === '') return null;
+            const parsed = isDate
+                ? this.parseCellDate(columnIndex, operand) || NAMED_DATE_FORMATS.iso(operand)
+                : this.numberParser(operand);
+            if (parsed === null) {
+                throw new Error(`Invalid ${isDate ? 'date' : 'number'} for column ${columnIndex}: ${operand}`);
+            }
+            return isDate ? toDay(parsed) : parsed;
+        };
+
+        const bound = readOperand(value);
+        const upperBound = readOperand(to);
+        const compare = {
+            '>': key => key > bound,
+            '>=': key => key >= bound,
+            '<': key => key < bound,
+            '<=': key => key <= bound,
+            between: key => (bound === null || key >= bound) && (upperBound === null || key <= upperBound)
+        }[operator];
+        return cell => {
+            const key = readCell(cell);
+            return key !== null && compare(key);
+        };
+    }
+
+    /**
+     * Header cells of the columns, without the selection checkbox cell
+     * @private
+     */
+    getHeaderCells() {
+        return getTitleCells(this.table.tHead);
+    }
+
+    /**
+     * Current index of a column, from its header cell
+     * @private
+     */
+    getColumnIndex(th) {
+        return this.getHeaderCells().indexOf(th);
+    }
+
+    /**
+     * Last header row, which holds the column titles; the filter row is skipped
+     * @private
+     */
+    getHeaderRow() {
+        const rows = Array.from(this.table.querySelectorAll('thead tr'))
+            .filter(row => !row.classList.contains('lite-table-filter-row'));
+        return rows[rows.length - 1] || null;
+    }
+
+    /** @private */
+    getSortButton(columnIndex) {
+        if (columnIndex === null) return null;
+        return this.getHeaderCells()[columnIndex]?.querySelector('button.sort-button') || null;
+    }
+
+    /** @private */
+    isSortable(columnIndex) {
+        const { sortableColumns } = this.options;
+        return sortableColumns ? sortableColumns.includes(columnIndex) : columnIndex !== 0;
+    }
+
+    /** @private */
+    createRowData(row, record) {
+        const rowData = {
+            originalIndex: parseInt(row.getAttribute('data-original-index')),
+            key: row.getAttribute('data-row-id'),
+            element: row.cloneNode(true),
+            cells: Array.from(row.cells).map(cell => ({
+                innerHTML: cell.innerHTML,
+                textContent: getTextContent(cell).trim(),
+                title: cell.getAttribute('title') || '',
+                attributes: this.getElementAttributes(cell),
+                sortValue: cell.getAttribute('data-sort-value'),
+                filterValue: cell.getAttribute('data-filter-value')
+            }))
+        };
+        if (record !== undefined) rowData.record = record;
+        return rowData;
+    }
+
+    /** @private */
+    initColumns() {
+        const thead = this.table.querySelector('thead') || this.table.createTHead();
+        const headerRow = document.createElement('tr');
+        this.columns.forEach((column, colIndex) => {
+            const th = document.createElement('th');
+            th.textContent = column.title ?? column.key;
+            if (column.filter === 'dateRange') {
+                th.classList.add('date-range');
+            } else if (column.filter) {
+                th.classList.add('filtered');
+                if (typeof column.filter === 'string') th.setAttribute('data-filter', column.filter);
+            }
+            if (column.rangeSlider) th.setAttribute('data-range-slider', '');
+            if (column.hidden) th.setAttribute('data-hidden', '');
+            if (column.minWidth !== undefined) th.setAttribute('data-min-width', column.minWidth);
+            if (column.maxWidth !== undefined) th.setAttribute('data-max-width', column.maxWidth);
+            if (column.type) {
+                this.columnTypes[colIndex] = column.type;
+                th.setAttribute('data-type', column.type);
+            }
+            if (column.searchable === false) th.setAttribute('data-searchable', 'false');
+            headerRow.appendChild(th);
+        });
+        thead.innerHTML = '';
+        thead.appendChild(headerRow);
+    }
+
+    /** @private */
+    createRowFromRecord(record) {
+        const tr = document.createElement('tr');
+        if (this.options.rowKey !== null && record[this.options.rowKey] !== undefined) {
+            tr.setAttribute('data-row-id', record[this.options.rowKey]);
+        }
+        this.columns.forEach(column => {
+            const td = document.createElement('td');
+            const value = record[column.key];
+            if (column.render) {
+                const content = column.render(value, record);
+                if (content instanceof Node) {
+                    td.appendChild(content);
+                } else {
+                    td.innerHTML = content ?? '';
+                }
+            } else {
+                td.textContent = value ?? '';
+            }
+            tr.appendChild(td);
+        });
+        return tr;
+    }
+
+    /** @private */
+    getElementAttributes(element) {
+        const attributes = {};
+        Array.from(element.attributes).forEach(attr => {
+            if (attr.name !== 'style') {
+                attributes[attr.name] = attr.value;
+            }
+        });
+        return attributes;
+    }
+
+    /** @private */
+    initPagination() {
+        const footer = this.container.querySelector('.lite-table-footer');
+        if (!footer) return;
+
+        const paginationDiv = document.createElement('div');
+        paginationDiv.className = 'lite-table-pagination';
+        footer.appendChild(paginationDiv);
+
+        this.updatePagination();
+    }
+
+    /** @private */
+    initExportButton() {
+        const footer = this.container.querySelector('.lite-table-footer');
+        if (!footer) return;
+
+        const { label, filename, ...exportOptions } = this.options.exportButton;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'lite-table-export';
+        button.textContent = label;
+        button.addEventListener('click', () => this.downloadCSV(filename, exportOptions));
+        footer.appendChild(button);
+    }
+
+    /**
+     * Adds the selection checkbox cell at the start of every header row, with the "select all"
+     * checkbox in the row of column titles, and listens to the row checkboxes
+     * @private
+     */
+    initSelection() {
+        const headerRow = this.getHeaderRow();
+        if (!headerRow) return;
+
+        this.table.querySelectorAll('thead tr').forEach(row => {
+            const th = document.createElement('th');
+            th.className = 'lite-table-select';
+            if (row === headerRow) {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.setAttribute('aria-label', this.options.selectable.selectAll === 'page'
+                    ? 'Select all rows on this page'
+                    : 'Select all rows');
+                checkbox.addEventListener('change', () => {
+                    this.setRowsSelected(this.getSelectAllRows(), checkbox.checked);
+                });
+                th.appendChild(checkbox);
+                this.selectAllCheckbox = checkbox;
+            }
+            row.insertBefore(th, row.firstChild);
+        });
+
+        this.onSelectClick = e => {
+            const checkbox = e.target.closest?.('.lite-table-select input');
+            if (!checkbox) return;
+            const originalIndex = parseInt(checkbox.closest('tr').getAttribute('data-original-index'));
+            const index = this.filteredRows.findIndex(rowData => rowData.originalIndex === originalIndex);
+            if (index === -1) return;
+
+            let rows = [this.filteredRows[index]];
+            const anchor = e.shiftKey && this.selectionAnchor !== null
+                ? this.filteredRows.findIndex(rowData => rowData.originalIndex === this.selectionAnchor)
+                : -1;
+            if (anchor !== -1) {
+                rows = this.filteredRows.slice(Math.min(anchor, index), Math.max(anchor, index) + 1);
+            }
+            this.selectionAnchor = originalIndex;
+            this.setRowsSelected(rows, checkbox.checked);
+        };
+        this.tbody.addEventListener('click', this.onSelectClick);
+    }
+
+    /**
+     * Adds the "Columns" menu to `.lite-table-filters`, with a checkbox per column
+     * @private
+     */
+    initColumnChooser() {
+        const filterContainer = this.container.querySelector('.lite-table-filters');
+        if (!filterContainer) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'lite-table-filter lite-table-column-chooser';
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'lite-table-column-chooser-toggle';
+        toggle.textContent = 'Columns';
+        toggle.setAttribute('aria-haspopup', 'true');
+        toggle.setAttribute('aria-expanded', 'false');
+
+        const popup = document.createElement('div');
+        popup.className = 'lite-table-column-chooser-popup';
+        popup.setAttribute('role', 'group');
+        popup.setAttribute('aria-label', 'Columns');
+        popup.hidden = true;
+
+        const list = document.createElement('ul');
+        this.getColumnTitles().forEach((title, colIndex) => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = colIndex;
+            const text = document.createElement('span');
+            text.textContent = title;
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+        popup.appendChild(list);
+
+        this.columnChooser = { wrapper, toggle, popup, list };
+        toggle.addEventListener('click', () => {
+            if (popup.hidden) {
+                popup.hidden = false;
+                toggle.setAttribute('aria-expanded', 'true');
+                list.querySelector('input:not(:disabled)')?.focus();
+            } else {
+                this.closeColumnChooser();
+            }
+        });
+        list.addEventListener('change', (e) => {
+            const colIndex = Number(e.target.value);
+            if (e.target.checked) this.showColumn(colIndex);
+            else this.hideColumn(colIndex);
+        });
+        popup.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeColumnChooser(true);
+                return;
+            }
+            if (!['ArrowDown', 'ArrowUp', 'Home', 'End'].includes(e.key)) return;
+            const items = Array.from(list.querySelectorAll('input:not(:disabled)'));
+            const current = items.indexOf(document.activeElement);
+            let next;
+            if (e.key === 'Home') next = 0;
+            else if (e.key === 'End') next = items.length - 1;
+            else if (e.key === 'ArrowDown') next = Math.min(current + 1, items.length - 1);
+            else next = Math.max(current - 1, 0);
+            e.preventDefault();
+            items[next].focus();
+        });
+        this.listenDocumentClicks();
+
+        wrapper.appendChild(toggle);
+        wrapper.appendChild(popup);
+        filterContainer.appendChild(wrapper);
+    }
+
+    /** @private */
+    closeColumnChooser(focusToggle = false) {
+        const { popup, toggle } = this.columnChooser;
+        if (popup.hidden) return;
+        popup.hidden = true;
+        toggle.setAttribute('aria-expanded', 'false');
+        if (focusToggle) toggle.focus();
+    }
+
+    /**
+     * Lets users drag the header cells onto another column, or press Alt+ArrowLeft/ArrowRight on
+     * them, to move the columns
+     * @private
+     */
+    initColumnReorder() {
+        const headerRow = this.getHeaderRow();
+        if (!headerRow) return;
+
+        this.focusableHeaders = [];
+        this.getHeaderCells().forEach(th => {
+            th.draggable = true;
+            th.classList.add('lite-table-reorderable');
+            if (!th.querySelector('button.sort-button') && !th.hasAttribute('tabindex')) {
+                th.tabIndex = 0;
+                this.focusableHeaders.push(th);
+            }
+        });
+
+        const getHeaderCell = target => {
+            const th = target.closest('th');
+            return th && this.getColumnIndex(th) !== -1 ? th : null;
+        };
+        const clearDropTarget = () => {
+            headerRow.querySelectorAll('.lite-table-drop-target, .lite-table-dragging').forEach(th => {
+                th.classList.remove('lite-table-drop-target', 'lite-table-dragging');
+            });
+        };
+
+        this.reorderListeners = {
+            dragstart: (e) => {
+                const th = getHeaderCell(e.target);
+                if (!th) return;
+                if (this.resizing) {
+                    e.preventDefault();
+                    return;
+                }
+                this.draggedColumn = th;
+                th.classList.add('lite-table-dragging');
+                if (e.dataTransfer) {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', th.textContent.trim());
+                }
+            },
+            dragover: (e) => {
+                const th = getHeaderCell(e.target);
+                if (!th || !this.draggedColumn) return;
+                e.preventDefault();
+                if (e.dataTransfer) e.dataTransfer.dropEffect = 'move';
+                headerRow.querySelectorAll('.lite-table-drop-target').forEach(other => {
+                    if (other !== th) other.classList.remove('lite-table-drop-target');
+                });
+                if (th !== this.draggedColumn) th.classList.add('lite-table-drop-target');
+            },
+            drop: (e) => {
+                const th = getHeaderCell(e.target);
+                if (!th || !this.draggedColumn) return;
+                e.preventDefault();
+                const from = this.getColumnIndex(this.draggedColumn);
+                clearDropTarget();
+                this.draggedColumn = null;
+                this.moveColumn(from, this.getColumnIndex(th));
+            },
+            dragend: () => {
+                clearDropTarget();
+                this.draggedColumn = null;
+            },
+            keydown: (e) => {
+                if (!e.altKey || !['ArrowLeft', 'ArrowRight'].includes(e.key)) return;
+                const th = getHeaderCell(e.target);
+                if (!th) return;
+                e.preventDefault();
+
+                // Hidden columns are skipped, so that every key press visibly moves the column
+                const from = this.getColumnIndex(th);
+                const step = e.key === 'ArrowLeft' ? -1 : 1;
+                let to = from + step;
+                while (this.hiddenColumns.has(to)) to += step;
+                if (to < 0 || to >= this.columnCount) return;
+
+                const focused = document.activeElement;
+                this.moveColumn(from, to);
+                if (th.contains(focused)) focused.focus();
+            }
+        };
+        Object.entries(this.reorderListeners).forEach(([name, listener]) => headerRow.addEventListener(name, listener));
+    }
+
+    /**
+     * Adds a handle to the right edge of each header cell: drag it to resize the column,
+     * double-click it to fit the content, or focus it and press ArrowLeft/ArrowRight
+     * @private
+     */
+    initColumnResize() {
+        const headerRow = this.getHeaderRow();
+        if (!headerRow) return;
+
+        this.getHeaderCells().forEach(th => {
+            const handle = document.createElement('span');
+            handle.className = 'lite-table-resize-handle';
+            handle.tabIndex = 0;
+            handle.setAttribute('role', 'separator');
+            handle.setAttribute('aria-orientation', 'vertical');
+            handle.setAttribute('aria-label', `Resize ${th.textContent.trim()}`);
+            th.appendChild(handle);
+        });
+
+        const getHandle = target => target.closest('.lite-table-resize-handle');
+        const endResize = () => {
+            if (!this.resizing) return;
+            const { th, startWidths } = this.resizing;
+            th.classList.remove('lite-table-resizing');
+            this.resizing = null;
+            if (JSON.stringify(startWidths) !== JSON.stringify(this.columnWidths)) this.emitColumnResize();
+        };
+
+        this.resizeListeners = {
+            pointerdown: (e) => {
+                const handle = getHandle(e.target);
+                if (!handle || e.button !== 0) return;
+                // Keeps the header cell from being dragged to reorder the columns
+                e.preventDefault();
+                const th = handle.closest('th');
+                this.resizing = {
+                    th,
+                    startX: e.clientX,
+                    startWidth: th.getBoundingClientRect().width,
+                    startWidths: { ...this.columnWidths }
+                };
+                th.classList.add('lite-table-resizing');
+                if (handle.setPointerCapture && e.pointerId !== undefined) handle.setPointerCapture(e.pointerId);
+            },
+            pointermove: (e) => {
+                if (!this.resizing) return;
+                const { th, startX, startWidth } = this.resizing;
+                this.columnWidths[this.getColumnIndex(th)] = this.clampColumnWidth(th, startWidth + e.clientX - startX);
+                this.applyColumnWidths();
+            },
+            pointerup: endResize,
+            pointercancel: endResize,
+            dblclick: (e) => {
+                const handle = getHandle(e.target);
+                if (handle) this.fitColumn(this.getColumnIndex(handle.closest('th')));
+            },
+            keydown: (e) => {
+                const handle = getHandle(e.target);
+                if (!handle || e.altKey || !['ArrowLeft', 'ArrowRight'].includes(e.key)) return;
+                e.preventDefault();
+                const th = handle.closest('th');
+                const colIndex = this.getColumnIndex(th);
+                const width = this.columnWidths[colIndex] ?? th.getBoundingClientRect().width;
+                const step = e.key === 'ArrowLeft' ? -COLUMN_WIDTH_DEFAULTS.step : COLUMN_WIDTH_DEFAULTS.step;
+                this.setColumnWidths({ ...this.columnWidths, [colIndex]: width + step });
+            }
+        };
+        Object.entries(this.resizeListeners).forEach(([name, listener]) => headerRow.addEventListener(name, listener));
+    }
+
+    /**
+     * Pins the header rows and the first `frozenColumns` columns, and updates their offsets when
+     * the header cells change size
+     * @private
+     */
+    initStickyLayout() {
+        if (this.options.stickyHeader) this.table.classList.add('lite-table-sticky-header');
+        if (this.options.frozenColumns) this.table.classList.add('lite-table-frozen-columns');
+
+        this.onStickyResize = () => this.updateStickyLayout();
+        if (typeof ResizeObserver !== 'undefined') {
+            this.stickyObserver = new ResizeObserver(this.onStickyResize);
+            this.table.querySelectorAll('thead tr, thead th').forEach(element => this.stickyObserver.observe(element));
+        } else {
+            window.addEventListener('resize', this.onStickyResize);
+        }
+    }
+
+    /**
+     * Sets the `top` of the header cells, each row below the previous ones, and the `left` of the
+     * frozen cells, after the selection checkboxes and the previous frozen columns
+     *
+     * Header cells are placed on a grid following their `rowspan` and `colspan`, and those spanning
+     * frozen and scrolling columns are not frozen. Every size is read before any offset is written,
+     * so the layout is computed once.
+     *
+     * @private
+     */
+    updateStickyLayout() {
+        const { stickyHeader, frozenColumns } = this.options;
+        if (!stickyHeader && !frozenColumns) return;
+        const headerRows = Array.from(this.table.querySelectorAll('thead tr'));
+        const count = frozenColumns + this.cellOffset;
+        const { grid, starts } = getHeaderGrid(headerRows);
+
+        const tops = [];
+        if (stickyHeader) {
+            let top = stickyHeader.offset;
+            headerRows.forEach(row => {
+                tops.push(top);
+                top += row.getBoundingClientRect().height;
+            });
+        }
+        const lefts = [];
+        let last = 0;
+        if (frozenColumns) {
+            // Each column takes its width from the cell covering it in the title row
+            const titleCells = grid[headerRows.indexOf(this.getHeaderRow())] || [];
+            const widths = new Map();
+            let left = 0;
+            for (let column = 0; column < count; column++) {
+                const cell = titleCells[column];
+                lefts.push(left);
+                if (!cell || cell.hidden) continue;
+                if (!widths.has(cell)) widths.set(cell, cell.getBoundingClientRect().width / cell.colSpan);
+                left += widths.get(cell);
+                last = column;
+            }
+        }
+
+        if (stickyHeader) {
+            headerRows.forEach((row, index) => {
+                Array.from(row.cells).forEach(cell => { cell.style.top = `${tops[index]}px`; });
+            });
+        }
+        if (!frozenColumns) return;
+
+        const freezeCell = (cell, column) => {
+            const frozen = column + cell.colSpan <= count;
+            cell.classList.toggle('lite-table-frozen', frozen);
+            cell.classList.toggle('lite-table-frozen-last', frozen && column + cell.colSpan - 1 === last);
+            cell.style.left = frozen ? `${lefts[column]}px` : '';
+        };
+        // Header cells move with the columns, while body rows always start with the same columns
+        starts.forEach((column, cell) => freezeCell(cell, column));
+        this.getRenderedRows().forEach(row => {
+            let column = 0;
+            for (const cell of Array.from(row.cells)) {
+                if (column >= count) break;
+                freezeCell(cell, column);
+                column += cell.colSpan;
+            }
+        });
+    }
+
+    /**
+     * Width limits of a column, from the data-min-width and data-max-width attributes of its header cell
+     * @private
+     */
+    getWidthLimits(th) {
+        const read = value => (value === undefined || value.trim() === '' ? null : Number(value));
+        const max = read(th.dataset.maxWidth) ?? Infinity;
+        const min = read(th.dataset.minWidth) ?? Math.min(COLUMN_WIDTH_DEFAULTS.min, max);
+        return { min, max };
+    }
+
+    /** @private */
+    clampColumnWidth(th, width) {
+        const { min, max } = this.getWidthLimits(th);
+        return Math.round(Math.min(Math.max(width, min), max));
+    }
+
+    /**
+     * Gives the header cells their width in `columnWidths`, with a fixed table layout so that
+     * the cells do not grow with their content
+     *
+     * Visible columns without a width first get the width of the automatic layout. The table is
+     * as wide as its columns, so `.lite-table-container` scrolls when they do not fit. The sticky
+     * offsets are updated last.
+     *
+     * @private
+     */
+    applyColumnWidths() {
+        const resized = Object.keys(this.columnWidths).length > 0;
+        if (!resized && !this.table.classList.contains('lite-table-resized')) {
+            this.updateStickyLayout();
+            return;
+        }
+
+        const headerCells = this.getHeaderCells();
+        const missing = headerCells.filter((th, colIndex) => !th.hidden && this.columnWidths[colIndex] === undefined);
+        if (resized && missing.length) {
+            this.table.classList.remove('lite-table-resized');
+            this.table.style.width = '';
+            missing.forEach(th => {
+                this.columnWidths[this.getColumnIndex(th)] = this.clampColumnWidth(th, th.getBoundingClientRect().width);
+            });
+        }
+
+        const selectCell = this.getHeaderRow().querySelector('.lite-table-select');
+        let total = selectCell ? selectCell.getBoundingClientRect().width : 0;
+        headerCells.forEach((th, colIndex) => {
+            const width = this.columnWidths[colIndex];
+            th.style.width = width === undefined ? '' : `${width}px`;
+            if (width !== undefined && !th.hidden) total += width;
+        });
+        this.table.classList.toggle('lite-table-resized', resized);
+        this.table.style.width = resized ? `${total}px` : '';
+        this.updateStickyLayout();
+    }
+
+    /**
+     * Sets the width of a column to the widest of its header and rendered cells
+     * @private
+     */
+    fitColumn(colIndex) {
+        const th = this.getHeaderCells()[colIndex];
+        // Cells narrower than their content overflow, so their scrollWidth is the content width
+        this.columnWidths[colIndex] = 0;
+        this.applyColumnWidths();
+        const cells = [th, ...this.getRenderedRows().map(tr => tr.cells[colIndex + this.cellOffset])].filter(Boolean);
+        const contentWidth = Math.max(...cells.map(cell => cell.scrollWidth));
+        this.columnWidths[colIndex] = this.clampColumnWidth(th, contentWidth);
+        this.applyColumnWidths();
+        this.emitColumnResize();
+    }
+
+    /** @private */
+    emitColumnResize() {
+        if (this.options.persist && this.initialized) this.savePersistedState();
+        this.emit('columnresize', { ...this.getEventDetail(), columnWidths: this.getColumnWidths() });
+    }
+
+    /**
+     * Shows or hides the header, filter row and rendered cells of every column, and checks the
+     * column chooser boxes; the last visible column cannot be unchecked
+     * @private
+     */
+    syncColumnVisibility() {
+        const offset = this.cellOffset;
+        const headerCells = this.getHeaderCells();
+        const filterRow = this.table.querySelector('thead tr.lite-table-filter-row');
+        const rows = this.getRenderedRows();
+        for (let colIndex = 0; colIndex < this.columnCount; colIndex++) {
+            const hidden = this.hiddenColumns.has(colIndex);
+            if (headerCells[colIndex]) headerCells[colIndex].hidden = hidden;
+            if (filterRow?.cells[colIndex + offset]) filterRow.cells[colIndex + offset].hidden = hidden;
+            rows.forEach(tr => {
+                if (tr.cells[colIndex + offset]) tr.cells[colIndex + offset].hidden = hidden;
+            });
+        }
+
+        if (this.columnChooser) {
+            const lastVisible = this.hiddenColumns.size === this.columnCount - 1;
+            this.columnChooser.list.querySelectorAll('input').forEach(checkbox => {
+                checkbox.checked = !this.hiddenColumns.has(Number(checkbox.value));
+                checkbox.disabled = lastVisible && checkbox.checked;
+            });
+        }
+        this.applyColumnWidths();
+    }
+
+    /** @private */
+    createSelectCell() {
+        const td = document.createElement('td');
+        td.className = 'lite-table-select';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.setAttribute('aria-label', 'Select row');
+        td.appendChild(checkbox);
+        return td;
+    }
+
+    /** @private */
+    syncRowSelection(tr, rowData) {
+        const selected = this.selection.has(rowData.originalIndex);
+        tr.classList.toggle('lite-table-selected', selected);
+        tr.setAttribute('aria-selected', String(selected));
+        tr.cells[0].querySelector('input').checked = selected;
+    }
+
+    /**
+     * Checks the "select all" checkbox when every targeted row is selected, and makes it
+     * indeterminate when only some of them are
+     * @private
+     */
+    syncSelectAll() {
+        if (!this.selectAllCheckbox) return;
+        const rows = this.getSelectAllRows();
+        const count = rows.filter(rowData => this.selection.has(rowData.originalIndex)).length;
+        this.selectAllCheckbox.checked = rows.length > 0 && count === rows.length;
+        this.selectAllCheckbox.indeterminate = count > 0 && count < rows.length;
+    }
+
+    /** @private */
+    getSelectAllRows() {
+        return this.options.selectable.selectAll === 'page' ? this.visibleRows : this.filteredRows;
+    }
+
+    /** @private */
+    initDisplayLimit() {
+        if (!this.container.querySelector('.displayLimit')) {
+            const displayLimitWrapper = document.createElement('div');
+            displayLimitWrapper.className = 'lite-table-display-limit';
+            const displayLimitLabel = document.createElement('label');
+            displayLimitLabel.textContent = 'Show';
+            const displayLimitSelect = document.createElement('select');
+            displayLimitSelect.className = 'displayLimit';
+            const filterContainer = this.container.querySelector('.lite-table-filters');
+            if (!filterContainer) return;
+
+            const displayLimitOptions = this.options.pageSizes.map(size => ({
+                value: String(size),
+                text: size === 'all' ? 'All' : String(size),
+                selected: size === this.options.pageSize
+            }));
+
+            displayLimitOptions.forEach(option => {
+                const opt = document.createElement('option');
+                opt.value = option.value;
+                opt.textContent = option.text;
+                if (option.selected) {
+                    opt.selected = true;
+                }
+                displayLimitSelect.appendChild(opt);
+            });
+
+            displayLimitWrapper.appendChild(displayLimitLabel);
+            displayLimitWrapper.appendChild(displayLimitSelect);
+            filterContainer.appendChild(displayLimitWrapper);
+        }
+
+        const limitSelect = this.container.querySelector('.displayLimit');
+        limitSelect?.addEventListener('change', (e) => {
+            this.setPageSize(e.target.value === 'all' ? 'all' : parseInt(e.target.value));
+        });
+    }
+
+    /** @private */
+    initSearch() {
+        const filterContainer = this.container.querySelector('.lite-table-filters');
+        if (!filterContainer) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'lite-table-filter lite-table-search';
+        const label = document.createElement('label');
+        label.textContent = 'Search';
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.placeholder = this.options.search.placeholder;
+        input.value = this.currentSearch;
+
+        input.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.setSearch(input.value), this.options.search.debounce);
+        });
+
+        wrapper.appendChild(label);
+        wrapper.appendChild(input);
+        filterContainer.insertBefore(wrapper, filterContainer.firstChild);
+        this.searchInput = input;
+    }
+
+    /** @private */
+    initFilterRow() {
+        const headerRow = this.getHeaderRow();
+        if (!headerRow) return;
+
+        const filterRow = document.createElement('tr');
+        filterRow.className = 'lite-table-filter-row';
+        this.getHeaderCells().forEach((th, colIndex) => {
+            const cell = document.createElement('th');
+            cell.appendChild(this.createTextFilter(th, colIndex));
+            filterRow.appendChild(cell);
+        });
+        headerRow.after(filterRow);
+    }
+
+    /** @private */
+    createTextFilter(th, colIndex) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'lite-table-text-filter';
+        const title = th.innerText;
+
+        const select = document.createElement('select');
+        select.className = 'lite-table-text-filter-operator';
+        select.setAttribute('aria-label', `${title} operator`);
+        const type = this.getColumnType(colIndex);
+        const operators = type === 'number' || type === 'date'
+            ? { ...TEXT_OPERATORS, ...COMPARISON_OPERATORS }
+            : TEXT_OPERATORS;
+        Object.entries(operators).forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = 'Filter...';
+        input.setAttribute('aria-label', `${title} filter`);
+        const toInput = document.createElement('input');
+        toInput.type = 'text';
+        toInput.placeholder = 'and...';
+        toInput.setAttribute('aria-label', `${title} upper bound`);
+
+        const control = { select, input, toInput, timer: null };
+        this.textFilterControls[colIndex] = control;
+        this.syncTextFilterControl(colIndex);
+
+        const debounce = this.options.search?.debounce ?? SEARCH_DEFAULTS.debounce;
+        const scheduleUpdate = () => {
+            clearTimeout(control.timer);
+            control.timer = setTimeout(() => this.applyTextFilterInput(this.getColumnIndex(th)), debounce);
+        };
+        select.addEventListener('change', () => {
+            toInput.hidden = select.value !== 'between';
+            this.applyTextFilterInput(this.getColumnIndex(th));
+        });
+        input.addEventListener('input', scheduleUpdate);
+        toInput.addEventListener('input', scheduleUpdate);
+
+        wrapper.appendChild(select);
+        wrapper.appendChild(input);
+        wrapper.appendChild(toInput);
+        return wrapper;
+    }
+
+    /**
+     * Applies the text filter typed in the filter row, unless it is invalid
+     * @private
+     */
+    applyTextFilterInput(colIndex) {
+        const control = this.textFilterControls[colIndex];
+        clearTimeout(control.timer);
+        const filter = normalizeTextFilter({
+            operator: control.select.value,
+            value: control.input.value,
+            to: control.toInput.value
+        });
+
+        try {
+            if (filter) this.createTextMatcher(colIndex, filter);
+        } catch (e) {
+            control.input.setAttribute('aria-invalid', 'true');
+            control.input.title = e.message;
+            return;
+        }
+        control.input.removeAttribute('aria-invalid');
+        control.input.removeAttribute('title');
+
+        const current = this.currentTextFilters[colIndex] || null;
+        if (JSON.stringify(current) === JSON.stringify(filter)) return;
+        this.setFilter(colIndex, { text: filter });
+    }
+
+    /** @private */
+    syncTextFilterControl(colIndex) {
+        const control = this.textFilterControls[colIndex];
+        const filter = this.currentTextFilters[colIndex];
+        const operator = filter?.operator || 'contains';
+        if (Array.from(control.select.options).some(option => option.value === operator)) {
+            control.select.value = operator;
+        }
+        if (control.input.value !== (filter?.value || '')) control.input.value = filter?.value || '';
+        if (control.toInput.value !== (filter?.to || '')) control.toInput.value = filter?.to || '';
+        control.toInput.hidden = control.select.value !== 'between';
+    }
+
+    /** @private */
+    initColumnsFilters() {
+        const headerCells = this.getHeaderCells();
+        headerCells.forEach((th, index) => {
+            if (!this.isSortable(index)) {
+                return;
+            }
+            const button = document.createElement('button');
+            button.className = 'sort-button';
+            button.innerHTML = th.innerHTML;
+            button.addEventListener('click', (e) => this.handleSort(this.getColumnIndex(th), e.shiftKey));
+            th.innerHTML = '';
+            th.appendChild(button);
+        });
+    }
+
+    /** @private */
+    initGlobalFiltersButtons() {
+        const filterContainer = this.container.querySelector('.lite-table-filters');
+        if (!filterContainer) return;
+
+        const headerCells = this.getHeaderCells();
+        headerCells.forEach((th, colIndex) => {
+            if (th.classList.contains('date-range')) {
+                this.createDateRangeDropdown(th, filterContainer, colIndex);
+                return;
+            }
+            if (!th.classList.contains('filtered')) return;
+
+            let dataType = this.getColumnType(colIndex);
+
+            const columnFilter = th.getAttribute('data-filter');
+            if (columnFilter === 'date') dataType = 'date';
+            else if (columnFilter === 'numberRange') dataType = 'number';
+            else if (columnFilter === 'value') dataType = 'text';
+
+            if (dataType === 'date') {
+                this.createDateDropdown(th, filterContainer, colIndex);
+            } else if (dataType === 'number') {
+                this.createNumberRangeDropdown(th, filterContainer, colIndex);
+            } else {
+                this.createValueDropdown(th, filterContainer, colIndex);
+            }
+        });
+    }
+
+    /** @private */
+    createDateRangeDropdown(th, filterContainer, colIndex) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'lite-table-filter';
+        const label = this.createRangeLabel(th, '(from / to)');
+        const fromInput = document.createElement('input');
+        fromInput.type = 'date';
+        fromInput.placeholder = 'From';
+        const toInput = document.createElement('input');
+        toInput.type = 'date';
+        toInput.placeholder = 'To';
+
+        const initialRange = this.currentDateRangeFilters[colIndex];
+        fromInput.value = initialRange?.from || '';
+        toInput.value = initialRange?.to || '';
+
+        const updateRange = () => {
+            this.setFilter(this.getColumnIndex(th), {
+                dateRange: {
+                    from: fromInput.value || null,
+                    to: toInput.value || null
+                }
+            });
+        };
+
+        fromInput.addEventListener('change', updateRange);
+        toInput.addEventListener('change', updateRange);
+        this.filterControls[colIndex] = { type: 'dateRange', fromInput, toInput };
+
+        wrapper.appendChild(label);
+        wrapper.appendChild(fromInput);
+        wrapper.appendChild(toInput);
+        filterContainer.appendChild(wrapper);
+    }
+
+    /**
+     * Label of a range filter: the column title, set as text, followed by a lighter hint
+     * @private
+     */
+    createRangeLabel(th, hint) {
+        const label = document.createElement('label');
+        const hintText = document.createElement('span');
+        hintText.style.fontWeight = 'lighter';
+        hintText.textContent = hint;
+        label.append(`${th.textContent.trim()} `, hintText);
+        return label;
+    }
+
+    /** @private */
+    createNumberRangeDropdown(th, filterContainer, colIndex) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'lite-table-filter lite-table-number-range';
+        const label = this.createRangeLabel(th, '(min / max)');
+        const minInput = document.createElement('input');
+        minInput.type = 'number';
+        minInput.step = 'any';
+        minInput.placeholder = 'Min';
+        const maxInput = document.createElement('input');
+        maxInput.type = 'number';
+        maxInput.step = 'any';
+        maxInput.placeholder = 'Max';
+
+        const readBound = input => (input.value === '' ? null : Number(input.value));
+        const updateRange = () => {
+            let min = readBound(minInput);
+            let max = readBound(maxInput);
+            if (min !== null && max !== null && min > max) [min, max] = [max, min];
+            this.setFilter(this.getColumnIndex(th), { numberRange: { min, max } });
+        };
+
+        minInput.addEventListener('change', updateRange);
+        maxInput.addEventListener('change', updateRange);
+        const control = { type: 'numberRange', minInput, maxInput, slider: null };
+
+        wrapper.appendChild(label);
+        wrapper.appendChild(minInput);
+        wrapper.appendChild(maxInput);
+
+        if (th.hasAttribute('data-range-slider')) {
+            const slider = document.createElement('div');
+            slider.className = 'lite-table-range-slider';
+            const createHandle = name => {
+                const handle = document.createElement('input');
+                handle.type = 'range';
+                handle.step = 'any';
+                handle.setAttribute('aria-label', `${th.innerText} ${name}`);
+                slider.appendChild(handle);
+                return handle;
+            };
+            const minHandle = createHandle('minimum');
+            const maxHandle = createHandle('maximum');
+            control.slider = { element: slider, minHandle, maxHandle };
+
+            const moveHandle = (handle, other, input) => {
+                if (handle === minHandle && Number(handle.value) > Number(other.value)) handle.value = other.value;
+                if (handle === maxHandle && Number(handle.value) < Number(other.value)) handle.value = other.value;
+                input.value = handle.value === handle.min || handle.value === handle.max ? '' : handle.value;
+            };
+            minHandle.addEventListener('input', () => moveHandle(minHandle, maxHandle, minInput));
+            maxHandle.addEventListener('input', () => moveHandle(maxHandle, minHandle, maxInput));
+            minHandle.addEventListener('change', updateRange);
+            maxHandle.addEventListener('change', updateRange);
+            wrapper.appendChild(slider);
+        }
+
+        this.filterControls[colIndex] = control;
+        this.syncNumberRangeControl(colIndex);
+        filterContainer.appendChild(wrapper);
+    }
+
+    /**
+     * Reflects the range of a column in its inputs, and bounds the slider by the column values
+     * @private
+     */
+    syncNumberRangeControl(colIndex) {
+        const control = this.filterControls[colIndex];
+        const range = this.currentNumberRangeFilters[colIndex];
+        const min = range?.min ?? null;
+        const max = range?.max ?? null;
+        control.minInput.value = min === null ? '' : String(min);
+        control.maxInput.value = max === null ? '' : String(max);
+        if (!control.slider) return;
+
+        const { element, minHandle, maxHandle } = control.slider;
+        const bounds = this.getColumnBounds(colIndex);
+        element.hidden = !bounds;
+        if (!bounds) return;
+        [minHandle, maxHandle].forEach(handle => {
+            handle.min = String(bounds.min);
+            handle.max = String(bounds.max);
+        });
+        minHandle.value = String(min === null ? bounds.min : Math.min(Math.max(min, bounds.min), bounds.max));
+        maxHandle.value = String(max === null ? bounds.max : Math.min(Math.max(max, bounds.min), bounds.max));
+    }
+
+    /** @private */
+    createDateDropdown(th, filterContainer, colIndex) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'lite-table-filter';
+        const label = document.createElement('label');
+        label.textContent = th.innerText;
+        const select = document.createElement('select');
+
+        const options = [
             { value: '', text: 'All dates' },
             { value: 'today', text: 'Today' },
             { value: 'week', text: 'This week' },
@@ -339,298 +2880,2308 @@ class LiteTableManager {
             { value: 'quarter', text: 'This quarter' },
             { value: 'year', text: 'This year' }
         ];
-        options.forEach(o => {
-            const opt = document.createElement('option');
-            opt.value = o.value;
-            opt.textContent = o.text;
-            select.appendChild(opt);
+        options.forEach(o => {
+            const opt = document.createElement('option');
+            opt.value = o.value;
+            opt.textContent = o.text;
+            select.appendChild(opt);
+        });
+        select.value = this.currentDateFilters[colIndex] || '';
+        this.filterControls[colIndex] = { type: 'date', select };
+
+        select.addEventListener('change', () => {
+            this.setFilter(this.getColumnIndex(th), { date: select.value });
+        });
+
+        wrapper.appendChild(label);
+        wrapper.appendChild(select);
+        filterContainer.appendChild(wrapper);
+    }
+
+    /** @private */
+    createValueDropdown(th, filterContainer, colIndex) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'lite-table-filter lite-table-value-filter';
+        const label = document.createElement('label');
+        label.textContent = th.innerText;
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'lite-table-value-filter-toggle';
+        toggle.setAttribute('aria-haspopup', 'true');
+        toggle.setAttribute('aria-expanded', 'false');
+
+        const popup = document.createElement('div');
+        popup.className = 'lite-table-value-filter-popup';
+        popup.setAttribute('role', 'group');
+        popup.setAttribute('aria-label', label.textContent);
+        popup.hidden = true;
+
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.placeholder = 'Search...';
+        search.setAttribute('aria-label', `Search ${label.textContent} values`);
+
+        const actions = document.createElement('div');
+        actions.className = 'lite-table-value-filter-actions';
+        const selectAll = document.createElement('button');
+        selectAll.type = 'button';
+        selectAll.textContent = 'Select all';
+        const selectNone = document.createElement('button');
+        selectNone.type = 'button';
+        selectNone.textContent = 'Select none';
+        actions.appendChild(selectAll);
+        actions.appendChild(selectNone);
+
+        const list = document.createElement('ul');
+        list.className = 'lite-table-value-filter-options';
+
+        popup.appendChild(search);
+        popup.appendChild(actions);
+        popup.appendChild(list);
+
+        const control = { type: 'value', wrapper, toggle, popup, search, list };
+        this.filterControls[colIndex] = control;
+        this.fillValueOptions(control, colIndex);
+
+        toggle.addEventListener('click', () => {
+            if (popup.hidden) this.openValuePopup(control);
+            else this.closeValuePopup(control);
+        });
+        search.addEventListener('input', () => this.filterValueOptions(control));
+        list.addEventListener('change', () => this.applyValueSelection(this.getColumnIndex(th)));
+        selectAll.addEventListener('click', () => this.applyValueSelection(this.getColumnIndex(th), true));
+        selectNone.addEventListener('click', () => this.applyValueSelection(this.getColumnIndex(th), false));
+        popup.addEventListener('keydown', (e) => this.handleValuePopupKeydown(control, e));
+        wrapper.addEventListener('focusout', (e) => {
+            if (e.relatedTarget && !wrapper.contains(e.relatedTarget)) this.closeValuePopup(control);
+        });
+
+        this.listenDocumentClicks();
+
+        wrapper.appendChild(label);
+        wrapper.appendChild(toggle);
+        wrapper.appendChild(popup);
+        filterContainer.appendChild(wrapper);
+    }
+
+    /**
+     * Closes the value filter popups and the column chooser on clicks outside of them
+     * @private
+     */
+    listenDocumentClicks() {
+        if (this.onDocumentClick) return;
+        this.onDocumentClick = (e) => {
+            Object.values(this.filterControls).forEach(other => {
+                if (other.type === 'value' && !other.wrapper.contains(e.target)) this.closeValuePopup(other);
+            });
+            if (this.columnChooser && !this.columnChooser.wrapper.contains(e.target)) {
+                this.closeColumnChooser();
+            }
+        };
+        document.addEventListener('click', this.onDocumentClick);
+    }
+
+    /** @private */
+    openValuePopup(control) {
+        control.popup.hidden = false;
+        control.toggle.setAttribute('aria-expanded', 'true');
+        control.search.value = '';
+        this.filterValueOptions(control);
+        control.search.focus();
+    }
+
+    /** @private */
+    closeValuePopup(control, focusToggle = false) {
+        if (control.popup.hidden) return;
+        control.popup.hidden = true;
+        control.toggle.setAttribute('aria-expanded', 'false');
+        if (focusToggle) control.toggle.focus();
+    }
+
+    /** @private */
+    handleValuePopupKeydown(control, e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeValuePopup(control, true);
+            return;
+        }
+        if (!['ArrowDown', 'ArrowUp', 'Home', 'End'].includes(e.key)) return;
+
+        const items = [control.search, ...Array.from(control.list.querySelectorAll('li:not([hidden]) input:not(:disabled)'))];
+        const current = items.indexOf(document.activeElement);
+        let next;
+        if (e.key === 'Home') next = 0;
+        else if (e.key === 'End') next = items.length - 1;
+        else if (e.key === 'ArrowDown') next = Math.min(current + 1, items.length - 1);
+        else next = Math.max(current - 1, 0);
+        e.preventDefault();
+        items[next].focus();
+    }
+
+    /** @private */
+    filterValueOptions(control) {
+        const query = normalizeSearchText(control.search.value.trim());
+        control.list.querySelectorAll('li').forEach(item => {
+            const text = item.querySelector('.lite-table-value-filter-label').textContent;
+            item.hidden = !!query && !normalizeSearchText(text).includes(query);
+        });
+    }
+
+    /**
+     * Applies the checked values of a value filter, or checks or unchecks the listed values first
+     *
+     * Checking every value removes the filter.
+     *
+     * @private
+     * @param {number} colIndex - Column index
+     * @param {boolean} [checked] - Check (true) or uncheck (false) the values matching the search
+     */
+    applyValueSelection(colIndex, checked) {
+        const control = this.filterControls[colIndex];
+        const checkboxes = Array.from(control.list.querySelectorAll('input'));
+        if (checked !== undefined) {
+            checkboxes
+                .filter(checkbox => !checkbox.closest('li').hidden)
+                .forEach(checkbox => { checkbox.checked = checked; });
+        }
+        const values = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+        this.setFilter(colIndex, values.length === checkboxes.length ? null : { value: values });
+    }
+
+    /** @private */
+    fillValueOptions(control, colIndex) {
+        const uniqueVals = new Set();
+        let hasEmpty = false;
+        this.rowsCache.forEach(rowData => {
+            const cellVal = this.getFilterValue(rowData.cells[colIndex]);
+            if (cellVal) uniqueVals.add(cellVal);
+            else hasEmpty = true;
+        });
+
+        const selected = normalizeValueFilter(this.currentValueFilters[colIndex]);
+        const values = [...uniqueVals].sort(this.createValueComparator(colIndex));
+        selected?.forEach(value => {
+            if (value && !uniqueVals.has(value)) values.push(value);
+        });
+        if (hasEmpty || selected?.has('')) values.push('');
+
+        control.list.innerHTML = '';
+        values.forEach(value => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = value;
+            const text = document.createElement('span');
+            text.className = 'lite-table-value-filter-label';
+            text.textContent = value || '(empty)';
+            const count = document.createElement('span');
+            count.className = 'lite-table-value-filter-count';
+            if (!value) item.className = 'lite-table-value-filter-empty';
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            label.appendChild(count);
+            item.appendChild(label);
+            control.list.appendChild(item);
+        });
+        this.filterValueOptions(control);
+        this.syncValueControl(colIndex);
+        this.updateFacetCounts(colIndex);
+    }
+
+    /**
+     * Shows how many rows each option of a value filter would match, given the other filters
+     *
+     * Options matching no row are disabled and get the `lite-table-value-filter-unavailable`
+     * class, unless they are explicitly selected so that they can still be unchecked.
+     *
+     * @private
+     * @param {number|string} colIndex - Column index
+     */
+    updateFacetCounts(colIndex) {
+        const counts = this.facetCounts?.[colIndex];
+        if (!counts) return;
+        const selected = normalizeValueFilter(this.currentValueFilters[colIndex]);
+        this.filterControls[colIndex].list.querySelectorAll('li').forEach(item => {
+            const checkbox = item.querySelector('input');
+            const count = counts.get(checkbox.value) || 0;
+            const unavailable = count === 0 && !selected?.has(checkbox.value);
+            item.querySelector('.lite-table-value-filter-count').textContent = `(${count})`;
+            checkbox.disabled = unavailable;
+            item.classList.toggle('lite-table-value-filter-unavailable', unavailable);
+        });
+    }
+
+    /** @private */
+    syncValueControl(colIndex) {
+        const control = this.filterControls[colIndex];
+        const selected = normalizeValueFilter(this.currentValueFilters[colIndex]);
+        control.list.querySelectorAll('input').forEach(checkbox => {
+            checkbox.checked = !selected || selected.has(checkbox.value);
+        });
+
+        let text = 'All';
+        if (selected && selected.size === 0) text = 'None';
+        else if (selected && selected.size === 1) text = [...selected][0] || '(empty)';
+        else if (selected) text = `${selected.size} selected`;
+        control.toggle.textContent = text;
+        control.wrapper.classList.toggle('active', !!selected);
+    }
+
+    /** @private */
+    refreshFilterOptions() {
+        for (const [colIndex, control] of Object.entries(this.filterControls)) {
+            if (control.type === 'value') this.fillValueOptions(control, Number(colIndex));
+            else if (control.type === 'numberRange') this.syncNumberRangeControl(Number(colIndex));
+        }
+    }
+
+    /** @private */
+    updateTableInfo() {
+        const tableInfo = this.container.querySelector('.tableInfo');
+        if (!tableInfo) return;
+
+        let text = `Showing ${this.visibleRows.length} items out of ${this.filteredRows.length} (total: ${this.rowsCache.length})`;
+        if (this.selection.size) {
+            text += `, ${this.selection.size} selected`;
+        }
+        tableInfo.textContent = text;
+    }
+
+    /** @private */
+    updatePagination() {
+        const paginationDiv = this.container.querySelector('.lite-table-pagination');
+        if (!paginationDiv) return;
+
+        const createButton = (text, pageIndex, isDisabled = false) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.disabled = isDisabled;
+            if (!isDisabled) {
+                button.addEventListener('click', () => this.goToPage(pageIndex));
+            }
+            return button;
+        };
+
+        const totalPages = Math.ceil(this.filteredRows.length / this.displayLimit);
+        const prevDisabled = this.currentPageIndex <= 2;
+        const nextDisabled = this.currentPageIndex + 2 > totalPages;
+
+        paginationDiv.innerHTML = '';
+        paginationDiv.appendChild(createButton('<<', 1, prevDisabled));
+
+        for (let i = -1; i < 2; i++) {
+            const pageNum = this.currentPageIndex + i;
+            if (pageNum <= 0) continue;
+            if (pageNum > totalPages) continue;
+            const button = createButton(pageNum.toString(), pageNum, false);
+            if (pageNum === this.currentPageIndex) button.classList.add('active');
+            paginationDiv.appendChild(button);
+        }
+
+        paginationDiv.appendChild(createButton('>>', totalPages, nextDisabled));
+    }
+
+    /**
+     * Sorts and filters the rows when the sort keys, filters or rows changed, then renders the page
+     * @private
+     */
+    updateTable() {
+        if (!this.isSortedBy(this.sortKeys)) {
+            this.sortRows(this.sortKeys);
+        }
+
+        const filterSignature = this.getFilterSignature();
+        const filterCache = this.filterCache;
+        if (!filterCache || filterCache.signature !== filterSignature || filterCache.version !== this.rowsVersion) {
+            this.applyFilters();
+            Object.keys(this.facetCounts).forEach(colIndex => this.updateFacetCounts(colIndex));
+            this.filterCache = { signature: filterSignature, version: this.rowsVersion, sortedBy: this.sortedBy, matches: null };
+        } else if (filterCache.sortedBy !== this.sortedBy) {
+            // Sorting moves the rows without changing which ones match
+            filterCache.matches = filterCache.matches || new Set(this.filteredRows);
+            this.filteredRows = filterCache.matches.size === this.rowsCache.length
+                ? [...this.rowsCache]
+                : this.rowsCache.filter(rowData => filterCache.matches.has(rowData));
+            filterCache.sortedBy = this.sortedBy;
+        }
+        this.renderPage();
+    }
+
+    /**
+     * Renders the current page of `filteredRows`, without sorting or filtering again
+     * @private
+     */
+    renderPage() {
+        const totalPages = Math.ceil(this.filteredRows.length / this.displayLimit);
+        if (this.currentPageIndex > totalPages) {
+            this.currentPageIndex = Math.max(totalPages, 1);
+        }
+
+        const minIndex = this.currentPageIndex > 1 ? this.displayLimit * (this.currentPageIndex - 1) : 0;
+        const maxIndex = Math.min(
+            this.displayLimit * this.currentPageIndex,
+            this.filteredRows.length
+        );
+
+        this.visibleRows = this.filteredRows.slice(minIndex, maxIndex);
+        if (this.virtualScroll) {
+            // Another page starts at the top, while sorting and filtering keep the scroll position
+            if (this.virtualScroll.page !== this.currentPageIndex) {
+                this.virtualScroll.page = this.currentPageIndex;
+                this.virtualScroll.scroller.scrollTop = 0;
+            }
+            this.renderVirtualWindow(true);
+        } else {
+            this.renderRows(this.visibleRows);
+        }
+
+        this.updateTableInfo();
+        if (this.options.selectable) this.syncSelectAll();
+        this.updatePagination();
+        if (this.options.urlState) this.writeUrlState();
+        if (this.options.persist && this.initialized) this.savePersistedState();
+        this.emit('render', { ...this.getEventDetail(), elements: this.getRenderedRows() });
+    }
+
+    /**
+     * Renders rows in the table body, reusing the rows rendered before
+     * @private
+     */
+    renderRows(rows) {
+        while (this.tbody.firstChild) {
+            const tr = this.tbody.firstChild;
+            this.tbody.removeChild(tr);
+            if (!tr.classList.contains('lite-table-spacer')) this.rowPool.push(tr);
+        }
+
+        this.renderedRows = rows;
+        const offset = this.cellOffset;
+        for (const rowData of rows) {
+            let tr;
+
+            if (this.rowPool.length > 0) {
+                tr = this.rowPool.pop();
+                for (let j = 0; j < rowData.cells.length; j++) {
+                    const cell = tr.cells[j + offset];
+                    if (cell) {
+                        cell.innerHTML = rowData.cells[j].innerHTML;
+                        cell.hidden = this.hiddenColumns.has(j);
+
+                        if (rowData.cells[j].title) {
+                            cell.setAttribute('title', rowData.cells[j].title);
+                        } else {
+                            cell.removeAttribute('title');
+                        }
+
+                        for (const [attrName, attrValue] of Object.entries(rowData.cells[j].attributes)) {
+                            if (attrName !== 'innerHTML') {
+                                cell.setAttribute(attrName, attrValue);
+                            }
+                        }
+                    }
+                }
+            } else {
+                tr = rowData.element.cloneNode(true);
+                this.hiddenColumns.forEach(colIndex => {
+                    if (tr.cells[colIndex]) tr.cells[colIndex].hidden = true;
+                });
+                if (this.options.selectable) tr.insertBefore(this.createSelectCell(), tr.firstChild);
+            }
+
+            tr.setAttribute('data-original-index', rowData.originalIndex);
+            if (rowData.key !== null) {
+                tr.setAttribute('data-row-id', rowData.key);
+            } else {
+                tr.removeAttribute('data-row-id');
+            }
+            if (this.options.selectable) this.syncRowSelection(tr, rowData);
+            this.tbody.appendChild(tr);
+        }
+
+        const searchTerms = this.options.search?.highlight ? this.getSearchTerms() : [];
+        if (searchTerms.length) {
+            Array.from(this.tbody.rows).forEach(tr => {
+                this.searchableColumns.forEach(colIndex => {
+                    const cell = tr.cells[colIndex + offset];
+                    if (cell) highlightMatches(cell, searchTerms);
+                });
+            });
+        }
+
+        this.updateStickyLayout();
+    }
+
+    /**
+     * Rendered body rows, without the spacers of the virtual scrolling mode
+     * @private
+     */
+    getRenderedRows() {
+        return Array.from(this.tbody.rows).filter(tr => !tr.classList.contains('lite-table-spacer'));
+    }
+
+    /**
+     * Renders only the rows in view in `.lite-table-container`, between two spacer rows standing
+     * for the rows above and below, and renders other rows on scroll
+     * @private
+     */
+    initVirtualScroll() {
+        const scroller = this.container.querySelector('.lite-table-container');
+        const createSpacer = () => {
+            const tr = document.createElement('tr');
+            tr.className = 'lite-table-spacer';
+            tr.setAttribute('aria-hidden', 'true');
+            tr.appendChild(document.createElement('td'));
+            return tr;
+        };
+        this.virtualScroll = {
+            scroller,
+            // Measured row heights, by original index
+            heights: new Map(),
+            offsets: new Float64Array(1),
+            first: 0,
+            last: -1,
+            page: null,
+            top: createSpacer(),
+            bottom: createSpacer()
+        };
+        scroller.classList.add('lite-table-virtual');
+
+        this.onVirtualScroll = () => {
+            if (this.renderVirtualWindow()) {
+                this.emit('render', { ...this.getEventDetail(), elements: this.getRenderedRows() });
+            }
+        };
+        scroller.addEventListener('scroll', this.onVirtualScroll, { passive: true });
+        window.addEventListener('resize', this.onVirtualScroll);
+    }
+
+    /**
+     * Computes the offset of each row of the page from the top of the body, from the measured
+     * heights or the `rowHeight` estimate
+     * @private
+     */
+    updateVirtualOffsets() {
+        const { heights } = this.virtualScroll;
+        const { rowHeight } = this.options.virtualScroll;
+        const offsets = new Float64Array(this.visibleRows.length + 1);
+        this.visibleRows.forEach((rowData, index) => {
+            offsets[index + 1] = offsets[index] + (heights.get(rowData.originalIndex) ?? rowHeight);
+        });
+        this.virtualScroll.offsets = offsets;
+    }
+
+    /**
+     * Index of the row of the page at a distance from the top of the body
+     * @private
+     */
+    findVirtualRow(y) {
+        const { offsets } = this.virtualScroll;
+        let low = 0;
+        let high = offsets.length - 2;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (offsets[middle] <= y) low = middle;
+            else high = middle - 1;
+        }
+        return low;
+    }
+
+    /**
+     * Renders the rows of the page in view plus `buffer` rows on each side, and sizes the spacers
+     * standing for the others
+     *
+     * Rendered rows are measured; when rows above the first row in view turn out taller or shorter
+     * than estimated, the scroll position follows so that row stays in place.
+     *
+     * @param {boolean} [force=false] - Renders even if the same rows are in view, after the rows changed
+     * @returns {boolean} True if rows were rendered
+     * @private
+     */
+    renderVirtualWindow(force = false) {
+        const virtualScroll = this.virtualScroll;
+        const { scroller } = virtualScroll;
+        const { buffer } = this.options.virtualScroll;
+        if (force) this.updateVirtualOffsets();
+
+        const count = this.visibleRows.length;
+        // `.lite-table-container` is positioned, so it is the offset parent of the table
+        const bodyTop = this.table.offsetTop + this.tbody.offsetTop;
+        const maxTop = Math.max(virtualScroll.offsets[count] - scroller.clientHeight, 0);
+        const viewTop = Math.min(Math.max(scroller.scrollTop - bodyTop, 0), maxTop);
+        const anchor = this.findVirtualRow(viewTop);
+        // An even first row keeps the stripes of the rows in place
+        const first = Math.max(anchor - buffer, 0) & ~1;
+        const last = Math.min(this.findVirtualRow(viewTop + scroller.clientHeight) + buffer, count - 1);
+        if (!force && first === virtualScroll.first && last === virtualScroll.last) return false;
+
+        virtualScroll.first = first;
+        virtualScroll.last = last;
+        const anchorOffset = virtualScroll.offsets[anchor];
+        this.renderRows(this.visibleRows.slice(first, last + 1));
+
+        let measured = false;
+        this.getRenderedRows().forEach((tr, index) => {
+            const height = tr.getBoundingClientRect().height;
+            const { originalIndex } = this.renderedRows[index];
+            if (height > 0 && virtualScroll.heights.get(originalIndex) !== height) {
+                virtualScroll.heights.set(originalIndex, height);
+                measured = true;
+            }
+        });
+        if (measured) this.updateVirtualOffsets();
+
+        const { offsets } = virtualScroll;
+        [[virtualScroll.top, offsets[first]], [virtualScroll.bottom, offsets[count] - offsets[last + 1]]].forEach(([spacer, height]) => {
+            spacer.hidden = !height;
+            spacer.cells[0].colSpan = this.columnCount + this.cellOffset;
+            spacer.cells[0].style.height = `${height}px`;
+        });
+        this.tbody.insertBefore(virtualScroll.top, this.tbody.firstChild);
+        this.tbody.appendChild(virtualScroll.bottom);
+
+        if (count && offsets[anchor] !== anchorOffset) {
+            scroller.scrollTop += offsets[anchor] - anchorOffset;
+        }
+        return true;
+    }
+
+    /**
+     * Applies all active filters to the row cache and counts the values of each value filter
+     *
+     * The counts of a column are taken from the rows matching every filter except the
+     * value filter of that column, so they tell how many rows each option would show.
+     *
+     * @private
+     */
+    applyFilters() {
+        const matchers = this.createRowMatchers();
+        const valueFilters = Object.entries(this.currentValueFilters)
+            .map(([colIndex, filter]) => [colIndex, normalizeValueFilter(filter)])
+            .filter(([, values]) => values);
+        const facetCounts = {};
+        for (const [colIndex, control] of Object.entries(this.filterControls)) {
+            if (control.type === 'value') facetCounts[colIndex] = new Map();
+        }
+        const countValue = (rowData, colIndex) => {
+            const value = this.getFilterValue(rowData.cells[colIndex]);
+            facetCounts[colIndex].set(value, (facetCounts[colIndex].get(value) || 0) + 1);
+        };
+
+        this.filteredRows = this.rowsCache.filter(rowData => {
+            if (!matchers.every(matches => matches(rowData))) return false;
+            const failed = valueFilters.filter(([colIndex, values]) => !values.has(this.getFilterValue(rowData.cells[colIndex])));
+            if (failed.length === 1 && facetCounts[failed[0][0]]) countValue(rowData, failed[0][0]);
+            if (failed.length) return false;
+            Object.keys(facetCounts).forEach(colIndex => countValue(rowData, colIndex));
+            return true;
+        });
+        this.facetCounts = facetCounts;
+    }
+
+    /**
+     * Builds the tests of the search and of every filter but the value filters, reading their
+     * bounds once
+     * @private
+     * @returns {Array<function(Object): boolean>} Tests of a cached row
+     */
+    createRowMatchers() {
+        const matchers = [];
+        const searchTerms = this.getSearchTerms();
+        if (searchTerms.length) matchers.push(rowData => this.matchesSearch(rowData, searchTerms));
+        for (const [colIndex, filter] of Object.entries(this.currentTextFilters)) {
+            const matches = this.createTextMatcher(Number(colIndex), filter);
+            matchers.push(rowData => matches(rowData.cells[colIndex]));
+        }
+        for (const [colIndex, filterVal] of Object.entries(this.currentDateFilters)) {
+            if (!filterVal) continue;
+            const bounds = getPeriodBounds(filterVal);
+            if (!bounds) {
+                matchers.push(rowData => !!this.getCellDate(colIndex, rowData.cells[colIndex]));
+                continue;
+            }
+            matchers.push(rowData => {
+                const cellDate = this.getCellDate(colIndex, rowData.cells[colIndex]);
+                return !!cellDate && cellDate >= bounds.from && cellDate < bounds.to;
+            });
+        }
+        for (const [colIndex, range] of Object.entries(this.currentDateRangeFilters)) {
+            if (!range || (!range.from && !range.to)) continue;
+            const fromDate = range.from ? NAMED_DATE_FORMATS.iso(range.from) : null;
+            const toDate = range.to ? NAMED_DATE_FORMATS.iso(range.to) : null;
+            if (toDate) toDate.setDate(toDate.getDate() + 1);
+            matchers.push(rowData => {
+                const cellDate = this.getCellDate(colIndex, rowData.cells[colIndex]);
+                if (!cellDate) return false;
+                return !(fromDate && cellDate < fromDate) && !(toDate && cellDate >= toDate);
+            });
+        }
+        for (const [colIndex, range] of Object.entries(this.currentNumberRangeFilters)) {
+            if (!range || (range.min == null && range.max == null)) continue;
+            matchers.push(rowData => {
+                const number = this.getCellNumber(rowData.cells[colIndex]);
+                if (number === null) return false;
+                return !(range.min != null && number < range.min) && !(range.max != null && number > range.max);
+            });
+        }
+        return matchers;
+    }
+
+    /**
+     * Key of the search and filters, telling whether `filteredRows` must be computed again
+     *
+     * Relative date filters depend on the current day, so it is part of the key when one is set.
+     *
+     * @private
+     * @returns {string} Filter signature
+     */
+    getFilterSignature() {
+        const valueFilters = Object.entries(this.currentValueFilters).map(([colIndex, filter]) => {
+            const values = normalizeValueFilter(filter);
+            return [colIndex, values && [...values]];
+        });
+        const hasDateFilter = Object.values(this.currentDateFilters).some(Boolean);
+        return JSON.stringify([
+            this.currentSearch,
+            valueFilters,
+            this.currentTextFilters,
+            this.currentDateFilters,
+            this.currentDateRangeFilters,
+            this.currentNumberRangeFilters,
+            Object.keys(this.filterControls).filter(colIndex => this.filterControls[colIndex].type === 'value'),
+            hasDateFilter ? new Date().toDateString() : null
+        ]);
+    }
+
+    /**
+     * Drops the detected column types and the sort and filter results, after rows were added,
+     * updated, removed or replaced
+     * @private
+     */
+    invalidateRows() {
+        this.rowsVersion++;
+        this.detectedTypes = {};
+    }
+
+    /** @private */
+    getSearchTerms() {
+        return normalizeSearchText(this.currentSearch).split(/\s+/).filter(Boolean);
+    }
+
+    /** @private */
+    matchesSearch(rowData, terms) {
+        const texts = this.searchableColumns.map(colIndex => {
+            const cell = rowData.cells[colIndex];
+            if (!cell) return '';
+            if (cell.searchText === undefined) cell.searchText = normalizeSearchText(cell.textContent);
+            return cell.searchText;
+        });
+        return terms.every(term => texts.some(text => text.includes(term)));
+    }
+
+    /** @private */
+    handleSort(columnIndex, additive = false) {
+        const existing = this.sortKeys.find(key => key.column === columnIndex);
+        const cycled = !existing ? 'asc' : existing.direction === 'asc' ? 'desc' : null;
+
+        if (additive) {
+            this.addSort(columnIndex, cycled);
+        } else {
+            this.sortBy(columnIndex, this.sortKeys.length === 1 ? cycled : 'asc');
+        }
+    }
+
+    /**
+     * Sorts the cached rows
+     *
+     * Ties at one level fall through to the next sort key, and then to the original order, so
+     * no sort key restores the original order. When the rows are sorted by the same columns in the
+     * opposite directions, they are reversed instead, and each run of tied rows is reversed back.
+     *
+     * @private
+     * @param {number|Array<{column: number, direction: 'asc'|'desc'}>} columnIndex - Column index, or the list of sort keys
+     * @param {'asc'|'desc'} [direction] - Sort direction, when a single column index is given
+     */
+    sortRows(columnIndex, direction) {
+        const sortKeys = Array.isArray(columnIndex) ? columnIndex : [{ column: columnIndex, direction }];
+        const previous = this.sortedBy;
+        this.sortedBy = {
+            sortKeys: sortKeys.map(key => ({ column: key.column, direction: key.direction })),
+            types: sortKeys.map(key => this.getColumnType(key.column)),
+            version: this.rowsVersion
+        };
+
+        const rows = this.rowsCache;
+        const reversed = sortKeys.length > 0 && this.isSortedBy(sortKeys, previous, true);
+        if (reversed) rows.reverse();
+
+        // Rows are compared by position, through the sort keys of each level in the current order
+        const levels = sortKeys.map(key => this.createComparator(key.column, key.direction));
+        const compareAt = (i, j) => {
+            for (const { keys, compare } of levels) {
+                const result = compare(keys[i], keys[j]);
+                if (result) return result;
+            }
+            return 0;
+        };
+
+        if (reversed) {
+            let start = 0;
+            for (let i = 1; i <= rows.length; i++) {
+                if (i < rows.length && !compareAt(i - 1, i)) continue;
+                for (let low = start, high = i - 1; low < high; low++, high--) {
+                    [rows[low], rows[high]] = [rows[high], rows[low]];
+                }
+                start = i;
+            }
+            return;
+        }
+
+        const order = Array.from(rows.keys());
+        order.sort((i, j) => compareAt(i, j) || rows[i].originalIndex - rows[j].originalIndex);
+        const sorted = order.map(index => rows[index]);
+        sorted.forEach((rowData, index) => { rows[index] = rowData; });
+    }
+
+    /**
+     * Tells whether the cached rows are in the order of sort keys, or the opposite order, and
+     * neither the rows nor the column types changed since
+     * @private
+     */
+    isSortedBy(sortKeys, sortedBy = this.sortedBy, reversed = false) {
+        return sortedBy.version === this.rowsVersion && matchesSortKeys(sortKeys, sortedBy.sortKeys, reversed) &&
+            sortKeys.every((key, index) => this.getColumnType(key.column) === sortedBy.types[index]);
+    }
+
+    /**
+     * Creates the sort level of a column: the sort key of each cached row, in the order of
+     * `rowsCache`, and their comparator
+     *
+     * Sort keys are parsed with the column type once, equal values once, and kept in the cells
+     * with that type. Empty cells come last in ascending order, then values the type cannot parse.
+     *
+     * @private
+     * @returns {{keys: Array, compare: function(*, *): number}} Sort level
+     */
+    createComparator(columnIndex, direction) {
+        const multiplier = direction === 'asc' ? 1 : -1;
+        const type = TYPE_REGISTRY.get(this.getColumnType(columnIndex)) || TYPE_REGISTRY.get('text');
+        const context = this.getTypeContext(columnIndex);
+
+        const parsed = new Map();
+        const keys = this.rowsCache.map(rowData => {
+            const cell = rowData.cells[columnIndex];
+            if (!cell) return EMPTY_SORT_KEY;
+            if (cell.sortKeyType !== type) {
+                const value = this.getSortValue(cell);
+                if (!parsed.has(value)) parsed.set(value, value ? type.parse(value, context) ?? null : EMPTY_SORT_KEY);
+                cell.sortKey = parsed.get(value);
+                cell.sortKeyType = type;
+            }
+            return cell.sortKey;
+        });
+
+        const compare = (aKey, bKey) => {
+            if (aKey === EMPTY_SORT_KEY || bKey === EMPTY_SORT_KEY) {
+                return ((aKey === EMPTY_SORT_KEY) - (bKey === EMPTY_SORT_KEY)) * multiplier;
+            }
+            if (aKey === null || bKey === null) return ((aKey === null) - (bKey === null)) * multiplier;
+            return type.compare(aKey, bKey, context) * multiplier;
+        };
+        return { keys, compare };
+    }
+
+    /**
+     * Creates an ascending comparator of raw values using the column type
+     *
+     * Values are parsed once; values the type cannot parse come after the others.
+     *
+     * @private
+     * @param {number} columnIndex - Column index
+     * @returns {function(string, string): number} Comparator
+     */
+    createValueComparator(columnIndex) {
+        const type = TYPE_REGISTRY.get(this.getColumnType(columnIndex)) || TYPE_REGISTRY.get('text');
+        const context = this.getTypeContext(columnIndex);
+
+        const keys = new Map();
+        const toKey = value => {
+            if (!keys.has(value)) keys.set(value, type.parse(value, context) ?? null);
+            return keys.get(value);
+        };
+
+        return (aValue, bValue) => {
+            const aKey = toKey(aValue);
+            const bKey = toKey(bValue);
+            if (aKey === null || bKey === null) return (aKey === null) - (bKey === null);
+            return type.compare(aKey, bKey, context);
+        };
+    }
+
+    /**
+     * Returns the declared type of a column, or detects it from its values
+     *
+     * Up to TYPE_DETECTION_SAMPLE sort values are sampled, skipping empty cells and number
+     * placeholders such as "-". The detected type is the first of the registered custom types,
+     * 'date', 'number' and 'boolean' accepting at least half of them, so a few odd values do
+     * not turn a column into text. The detected type is kept until the rows change.
+     *
+     * @private
+     * @param {number} columnIndex - Column index
+     * @returns {string} Column type name
+     */
+    getColumnType(columnIndex) {
+        if (this.columnTypes[columnIndex]) return this.columnTypes[columnIndex];
+        if (!this.detectedTypes[columnIndex]) this.detectedTypes[columnIndex] = this.detectColumnType(columnIndex);
+        return this.detectedTypes[columnIndex];
+    }
+
+    /**
+     * Detects the type of a column without a declared type, see getColumnType()
+     * @private
+     */
+    detectColumnType(columnIndex) {
+        const sample = [];
+        for (const rowData of this.rowsCache) {
+            const value = this.getSortValue(rowData.cells[columnIndex]);
+            if (!value || isNumberPlaceholder(value)) continue;
+            sample.push(value);
+            if (sample.length === TYPE_DETECTION_SAMPLE) break;
+        }
+        if (!sample.length) return 'text';
+
+        const context = this.getTypeContext(columnIndex);
+        const candidates = [
+            ...[...TYPE_REGISTRY.keys()].filter(name => !BUILT_IN_TYPES.includes(name)),
+            'date', 'number', 'boolean'
+        ];
+        for (const name of candidates) {
+            const { detect } = TYPE_REGISTRY.get(name);
+            if (!detect) continue;
+            const matches = sample.filter(value => detect(value, context)).length;
+            if (matches * 2 >= sample.length) return name;
+        }
+        return 'text';
+    }
+
+    /** @private */
+    getActualColumnCount() {
+        return this.getHeaderCells().length;
+    }
+
+    /** @private */
+    syncControls() {
+        this.table.querySelectorAll('.sort-button').forEach(btn => {
+            btn.classList.remove('asc', 'desc');
+            btn.removeAttribute('data-sort-order');
+        });
+        this.sortKeys.forEach(({ column, direction }, index) => {
+            const sortButton = this.getSortButton(column);
+            if (!sortButton) return;
+            sortButton.classList.add(direction);
+            if (this.sortKeys.length > 1) {
+                sortButton.setAttribute('data-sort-order', index + 1);
+            }
         });
 
-        select.addEventListener('change', () => {
-            const filterVal = select.value;
-            this.currentDateFilters[colIndex] = filterVal;
-            this.updateTable();
+        for (const [colIndex, control] of Object.entries(this.filterControls)) {
+            if (control.type === 'dateRange') {
+                const range = this.currentDateRangeFilters[colIndex];
+                control.fromInput.value = range?.from || '';
+                control.toInput.value = range?.to || '';
+            } else if (control.type === 'date') {
+                control.select.value = this.currentDateFilters[colIndex] || '';
+            } else if (control.type === 'numberRange') {
+                this.syncNumberRangeControl(colIndex);
+            } else {
+                this.syncValueControl(colIndex);
+            }
+        }
+
+        Object.keys(this.textFilterControls).forEach(colIndex => this.syncTextFilterControl(colIndex));
+
+        if (this.searchInput && this.searchInput.value !== this.currentSearch) {
+            this.searchInput.value = this.currentSearch;
+        }
+
+        const limitSelect = this.container.querySelector('.displayLimit');
+        if (limitSelect) {
+            const value = this.displayLimit === Infinity ? 'all' : String(this.displayLimit);
+            if (!Array.from(limitSelect.options).some(opt => opt.value === value)) {
+                const opt = document.createElement('option');
+                opt.value = value;
+                opt.textContent = value === 'all' ? 'All' : value;
+                limitSelect.appendChild(opt);
+            }
+            limitSelect.value = value;
+        }
+    }
+
+    /** @private */
+    assertColumn(columnIndex) {
+        if (!isValidColumnIndex(columnIndex) || columnIndex >= this.columnCount) {
+            throw new Error(`Invalid column index: ${columnIndex}`);
+        }
+    }
+
+    /** @private */
+    assertSortKeys(sortKeys) {
+        if (!Array.isArray(sortKeys)) {
+            throw new Error('Sort keys must be an array');
+        }
+        const columns = new Set();
+        sortKeys.forEach(key => {
+            if (!key || typeof key !== 'object') {
+                throw new Error('Invalid sort key: expected { column, direction }');
+            }
+            if (!['asc', 'desc'].includes(key.direction)) {
+                throw new Error(`Invalid sort direction: ${key.direction}`);
+            }
+            this.assertColumn(key.column);
+            if (columns.has(key.column)) {
+                throw new Error(`Column ${key.column} is sorted more than once`);
+            }
+            columns.add(key.column);
         });
+    }
 
-        wrapper.appendChild(label);
-        wrapper.appendChild(select);
-        filterContainer.appendChild(wrapper);
+    /**
+     * Sorts the table by a single column, replacing every sort key
+     * @param {number} columnIndex - Index of the column to sort
+     * @param {'asc'|'desc'|null} [direction='asc'] - Sort direction, null restores the original order
+     * @throws {Error} If the column or direction is invalid
+     */
+    sortBy(columnIndex, direction = 'asc') {
+        if (direction !== null && !['asc', 'desc'].includes(direction)) {
+            throw new Error(`Invalid sort direction: ${direction}`);
+        }
+        this.changeSort(direction ? [{ column: columnIndex, direction }] : [], columnIndex, direction);
+    }
+
+    /**
+     * Adds a sort key after the existing ones, or changes the direction of a sorted column
+     * @param {number} columnIndex - Index of the column to sort
+     * @param {'asc'|'desc'|null} [direction='asc'] - Sort direction, null removes the column from the sort keys
+     * @throws {Error} If the column or direction is invalid
+     */
+    addSort(columnIndex, direction = 'asc') {
+        if (direction !== null && !['asc', 'desc'].includes(direction)) {
+            throw new Error(`Invalid sort direction: ${direction}`);
+        }
+
+        const sortKeys = this.sortKeys.map(key => ({ ...key }));
+        const existing = sortKeys.findIndex(key => key.column === columnIndex);
+        if (!direction) {
+            if (existing !== -1) sortKeys.splice(existing, 1);
+        } else if (existing !== -1) {
+            sortKeys[existing].direction = direction;
+        } else {
+            sortKeys.push({ column: columnIndex, direction });
+        }
+        this.changeSort(sortKeys, columnIndex, direction);
+    }
+
+    /**
+     * Replaces every sort key
+     * @param {Array<{column: number, direction: 'asc'|'desc'}>} sortKeys - Sort keys, by priority; an empty array restores the original order
+     * @throws {Error} If a sort key is invalid
+     */
+    setSort(sortKeys) {
+        this.changeSort(sortKeys, sortKeys?.[0]?.column ?? null, sortKeys?.[0]?.direction ?? null);
     }
 
     /** @private */
-    createValueDropdown(th, filterContainer, colIndex) {
-        const uniqueVals = new Set();
-        this.allRows.forEach(row => {
-            if (row.cells[colIndex]) {
-                const cellVal = getTextContent(row.cells[colIndex]).trim();
-                if (cellVal) uniqueVals.add(cellVal);
+    changeSort(sortKeys, columnIndex, direction) {
+        this.assertSortKeys(sortKeys);
+        const sorts = sortKeys.map(({ column, direction }) => ({ column, direction }));
+        if (!this.emit('beforesort', { column: columnIndex, direction, sorts }, true)) {
+            this.syncControls();
+            return;
+        }
+
+        this.sortKeys = sorts;
+
+        this.syncControls();
+        this.updateTable();
+        this.emit('sort', this.getEventDetail());
+    }
+
+    /**
+     * Sets or clears the filter of a column
+     *
+     * The spec is either a string (exact value), an array of accepted values, `{ value }`
+     * with a value or an array of values ('' matches empty cells), `{ date }` with one of
+     * 'today', 'week', 'month', 'quarter' or 'year', `{ dateRange: { from, to } }`
+     * with YYYY-MM-DD bounds, `{ numberRange: { min, max } }` with inclusive numeric
+     * bounds, `{ text: { operator, value, to } }` as typed in the filter row, or null to
+     * clear every filter of the column. The text filter is kept apart: it is only replaced
+     * by another `{ text }` spec or cleared by null.
+     *
+     * @param {number} columnIndex - Index of the column to filter
+     * @param {string|string[]|Object|null} spec - Filter specification
+     * @throws {Error} If the column or spec is invalid
+     */
+    setFilter(columnIndex, spec) {
+        this.assertColumn(columnIndex);
+        if (!this.emit('beforefilter', { column: columnIndex, spec }, true)) {
+            this.syncControls();
+            return;
+        }
+        this.applyFilterSpec(columnIndex, spec);
+        this.currentPageIndex = 1;
+        this.syncControls();
+        this.updateTable();
+        this.emit('filter', this.getEventDetail());
+    }
+
+    /** @private */
+    applyFilterSpec(columnIndex, spec) {
+        if (typeof spec === 'string' || Array.isArray(spec)) spec = { value: spec };
+
+        if (spec !== null && (typeof spec !== 'object' || Array.isArray(spec) ||
+            Object.keys(spec).length !== 1 ||
+            !['value', 'date', 'dateRange', 'numberRange', 'text'].includes(Object.keys(spec)[0]))) {
+            throw new Error('Invalid filter spec: expected a string, an array, null, { value }, { date }, { dateRange }, { numberRange } or { text }');
+        }
+
+        if (spec && 'text' in spec) {
+            const filter = normalizeTextFilter(spec.text);
+            if (filter) this.createTextMatcher(columnIndex, filter);
+            delete this.currentTextFilters[columnIndex];
+            if (filter) this.currentTextFilters[columnIndex] = filter;
+            return;
+        }
+
+        if (!spec) delete this.currentTextFilters[columnIndex];
+        delete this.currentValueFilters[columnIndex];
+        delete this.currentDateFilters[columnIndex];
+        delete this.currentDateRangeFilters[columnIndex];
+        delete this.currentNumberRangeFilters[columnIndex];
+        if (!spec) return;
+
+        if ('value' in spec) {
+            const values = normalizeValueFilter(spec.value);
+            if (values) this.currentValueFilters[columnIndex] = new Set(values);
+        } else if ('date' in spec) {
+            this.currentDateFilters[columnIndex] = normalizeDateFilter(spec.date);
+        } else if ('numberRange' in spec) {
+            this.currentNumberRangeFilters[columnIndex] = normalizeNumberRange(spec.numberRange);
+        } else {
+            this.currentDateRangeFilters[columnIndex] = normalizeDateRange(spec.dateRange);
+        }
+    }
+
+    /**
+     * Clears every active filter
+     */
+    clearFilters() {
+        if (!this.emit('beforefilter', { column: null, spec: null }, true)) {
+            this.syncControls();
+            return;
+        }
+        this.currentValueFilters = {};
+        this.currentDateFilters = {};
+        this.currentDateRangeFilters = {};
+        this.currentNumberRangeFilters = {};
+        this.currentTextFilters = {};
+        this.currentSearch = '';
+        this.currentPageIndex = 1;
+        this.syncControls();
+        this.updateTable();
+        this.emit('filter', this.getEventDetail());
+    }
+
+    /**
+     * Sets the full-text search query, matched against every searchable column
+     *
+     * Every word of the query must appear in the row; matching ignores case and accents.
+     *
+     * @param {string} query - Search query, an empty string clears the search
+     * @throws {Error} If the query is not a string
+     */
+    setSearch(query) {
+        if (typeof query !== 'string') {
+            throw new Error('Search query must be a string');
+        }
+        if (!this.emit('beforefilter', { column: null, spec: { search: query } }, true)) {
+            this.syncControls();
+            return;
+        }
+        this.currentSearch = query;
+        this.currentPageIndex = 1;
+        this.syncControls();
+        this.updateTable();
+        this.emit('filter', this.getEventDetail());
+    }
+
+    /**
+     * Displays a page, clamped to the available pages
+     * @param {number} pageIndex - Page number (1-based)
+     * @throws {Error} If the page number is not an integer
+     */
+    goToPage(pageIndex) {
+        if (!Number.isInteger(pageIndex)) {
+            throw new Error(`Invalid page number: ${pageIndex}`);
+        }
+        const totalPages = Math.max(1, Math.ceil(this.filteredRows.length / this.displayLimit));
+        const page = Math.min(Math.max(pageIndex, 1), totalPages);
+        if (!this.emit('beforepage', { page }, true)) return;
+
+        this.currentPageIndex = page;
+        this.renderPage();
+        this.emit('page', this.getEventDetail());
+    }
+
+    /**
+     * Changes the number of rows per page
+     * @param {number|'all'} pageSize - Positive integer or 'all'
+     * @throws {Error} If the page size is invalid
+     */
+    setPageSize(pageSize) {
+        if (!isValidPageSize(pageSize)) {
+            throw new Error(`Invalid page size: ${pageSize}`);
+        }
+        if (!this.emit('beforepagesize', { pageSize }, true)) {
+            this.syncControls();
+            return;
+        }
+        this.displayLimit = pageSize === 'all' ? Infinity : pageSize;
+        this.currentPageIndex = 1;
+        this.syncControls();
+        this.renderPage();
+        this.emit('pagesize', this.getEventDetail());
+    }
+
+    /**
+     * Returns a snapshot of the sort, filter and paging state
+     * @returns {{sort: {column: number|null, direction: 'asc'|'desc'|null},
+     *           filters: {value: Object, date: Object, dateRange: Object, numberRange: Object, text: Object},
+     *           page: number, pageSize: number|'all'}} Current state
+     */
+    getState() {
+        const activeEntries = (filters, isActive) => Object.fromEntries(
+            Object.entries(filters).filter(([, filter]) => isActive(filter))
+        );
+
+        return {
+            sort: this.currentSort,
+            sorts: this.sortKeys.map(key => ({ ...key })),
+            filters: {
+                value: Object.fromEntries(
+                    Object.entries(this.currentValueFilters)
+                        .map(([colIndex, filter]) => [colIndex, normalizeValueFilter(filter)])
+                        .filter(([, values]) => values)
+                        // A lone '' stays an array, as a scalar '' means no filter
+                        .map(([colIndex, values]) => [colIndex, values.size === 1 && !values.has('') ? [...values][0] : [...values]])
+                ),
+                date: activeEntries(this.currentDateFilters, filter => !!filter),
+                dateRange: Object.fromEntries(
+                    Object.entries(this.currentDateRangeFilters)
+                        .filter(([, range]) => range && (range.from || range.to))
+                        .map(([colIndex, range]) => [colIndex, { ...range }])
+                ),
+                numberRange: Object.fromEntries(
+                    Object.entries(this.currentNumberRangeFilters)
+                        .filter(([, range]) => range && (range.min != null || range.max != null))
+                        .map(([colIndex, range]) => [colIndex, { min: range.min ?? null, max: range.max ?? null }])
+                ),
+                text: Object.fromEntries(
+                    Object.entries(this.currentTextFilters).map(([colIndex, filter]) => [colIndex, { ...filter }])
+                ),
+                search: this.currentSearch
+            },
+            page: this.currentPageIndex,
+            pageSize: this.displayLimit === Infinity ? 'all' : this.displayLimit
+        };
+    }
+
+    /**
+     * Restores a state previously returned by getState()
+     *
+     * Missing keys keep their current value; `filters` replaces every active filter.
+     *
+     * @param {Object} state - State to restore
+     * @throws {Error} If a part of the state is invalid, in which case nothing changes
+     */
+    setState(state) {
+        if (!state || typeof state !== 'object') {
+            throw new Error('State must be an object');
+        }
+        if (!this.emit('beforestatechange', { state }, true)) return;
+
+        this.applyState(state);
+        this.syncControls();
+        this.updateTable();
+        this.emit('statechange', this.getEventDetail());
+    }
+
+    /**
+     * Restores the parts of a state without rendering nor emitting events
+     *
+     * The whole state is checked first: when it is invalid, nothing changes.
+     *
+     * @private
+     */
+    applyState(state) {
+        if (state.pageSize !== undefined && !isValidPageSize(state.pageSize)) {
+            throw new Error(`Invalid page size: ${state.pageSize}`);
+        }
+
+        let sortKeys = state.sorts;
+        if (sortKeys === undefined && state.sort !== undefined) {
+            const { column = null, direction = null } = state.sort || {};
+            sortKeys = direction ? [{ column, direction }] : [];
+        }
+        if (sortKeys !== undefined) this.assertSortKeys(sortKeys);
+
+        if (state.page !== undefined && !Number.isInteger(state.page)) {
+            throw new Error(`Invalid page number: ${state.page}`);
+        }
+
+        if (state.filters !== undefined) {
+            const { value = {}, date = {}, dateRange = {}, numberRange = {}, text = {}, search = '' } = state.filters || {};
+            if (typeof search !== 'string') {
+                throw new Error('Search query must be a string');
+            }
+            const specs = [];
+            Object.entries({ value, date, dateRange, numberRange, text }).forEach(([kind, filters]) => {
+                Object.entries(filters).forEach(([colIndex, filter]) => {
+                    this.assertColumn(Number(colIndex));
+                    specs.push([Number(colIndex), { [kind]: filter }]);
+                });
+            });
+
+            const previous = [this.currentValueFilters, this.currentDateFilters, this.currentDateRangeFilters,
+                this.currentNumberRangeFilters, this.currentTextFilters];
+            this.currentValueFilters = {};
+            this.currentDateFilters = {};
+            this.currentDateRangeFilters = {};
+            this.currentNumberRangeFilters = {};
+            this.currentTextFilters = {};
+            try {
+                specs.forEach(([colIndex, spec]) => this.applyFilterSpec(colIndex, spec));
+            } catch (e) {
+                [this.currentValueFilters, this.currentDateFilters, this.currentDateRangeFilters,
+                    this.currentNumberRangeFilters, this.currentTextFilters] = previous;
+                throw e;
+            }
+            this.currentSearch = search;
+        }
+
+        if (state.pageSize !== undefined) {
+            this.displayLimit = state.pageSize === 'all' ? Infinity : state.pageSize;
+        }
+        if (sortKeys !== undefined) {
+            this.sortKeys = sortKeys.map(({ column, direction }) => ({ column, direction }));
+        }
+        if (state.page !== undefined) {
+            this.currentPageIndex = Math.max(state.page, 1);
+        }
+    }
+
+    /** @private */
+    initUrlState() {
+        const { key } = this.options.urlState;
+        this.urlStateKey = key || this.container.id || this.table.id;
+        if (!this.urlStateKey) {
+            throw new Error('Invalid option "urlState": set a key or an id on the container');
+        }
+
+        const restoredState = this.getState();
+        try {
+            this.applyState(this.readUrlState(restoredState));
+        } catch (e) {
+            this.applyState(restoredState);
+        }
+
+        this.onPopState = () => {
+            let state;
+            try {
+                state = this.readUrlState();
+            } catch (e) {
+                state = this.defaultState;
             }
+            const { sorts, filters, page, pageSize } = this.getState();
+            if (JSON.stringify(state) === JSON.stringify({ sorts, filters, page, pageSize })) return;
+            try {
+                this.setState(state);
+            } catch (e) {
+                this.setState(this.defaultState);
+            }
+        };
+        window.addEventListener('popstate', this.onPopState);
+    }
+
+    /**
+     * Parameters holding the table state, from the query string or the hash
+     * @private
+     */
+    getUrlParams() {
+        return this.options.urlState.mode === 'hash'
+            ? new URLSearchParams(window.location.hash.slice(1))
+            : new URLSearchParams(window.location.search);
+    }
+
+    /**
+     * Reads the state stored in the URL; missing parts take their value in `base`
+     *
+     * The parameters are prefixed with the table key: `<key>.sort` ("1:asc,2:desc" or "none"),
+     * `<key>.page`, `<key>.size`, `<key>.q` (search) and `<key>.filter` (JSON of the other filters).
+     *
+     * @private
+     * @param {Object} [base=this.defaultState] - State completing the parameters
+     * @returns {Object} State accepted by setState()
+     */
+    readUrlState(base = this.defaultState) {
+        const params = this.getUrlParams();
+        const param = name => params.get(`${this.urlStateKey}.${name}`);
+        const defaults = base;
+        const { search: defaultSearch, ...defaultFilters } = defaults.filters;
+
+        const sort = param('sort');
+        const page = param('page');
+        const size = param('size');
+        const filter = param('filter');
+        const search = param('q');
+        return {
+            sorts: sort === null ? defaults.sorts : (sort === 'none' ? [] : parseSortKeys(sort)),
+            filters: { ...(filter === null ? defaultFilters : JSON.parse(filter)), search: search ?? defaultSearch },
+            page: page === null ? defaults.page : Number(page),
+            pageSize: size === null ? defaults.pageSize : (size === 'all' ? 'all' : Number(size))
+        };
+    }
+
+    /**
+     * Writes the parts of the state that differ from the initial state to the URL
+     * @private
+     */
+    writeUrlState() {
+        const serialize = state => {
+            const { search, ...filters } = state.filters;
+            return {
+                sort: state.sorts.length ? state.sorts.map(key => `${key.column}:${key.direction}`).join(',') : 'none',
+                page: String(state.page),
+                size: String(state.pageSize),
+                q: search,
+                filter: JSON.stringify(filters)
+            };
+        };
+        const current = serialize(this.getState());
+        const defaults = serialize(this.defaultState);
+
+        const params = this.getUrlParams();
+        Object.keys(current).forEach(name => {
+            const paramName = `${this.urlStateKey}.${name}`;
+            if (current[name] === defaults[name]) params.delete(paramName);
+            else params.set(paramName, current[name]);
         });
 
-        const wrapper = document.createElement('div');
-        wrapper.className = 'lite-table-filter';
-        const label = document.createElement('label');
-        label.textContent = th.innerText;
-        const select = document.createElement('select');
+        const url = new URL(window.location.href);
+        const query = params.toString();
+        if (this.options.urlState.mode === 'hash') url.hash = query;
+        else url.search = query;
+        if (url.href === window.location.href) return;
+
+        const method = this.options.urlState.history === 'push' && this.initialized ? 'pushState' : 'replaceState';
+        window.history[method](window.history.state, '', url.href);
+    }
+
+    /**
+     * Storage of the `persist` option, or null when it is not available
+     * @private
+     */
+    getPersistStorage() {
+        if (this.options.persist.storage) return this.options.persist.storage;
+        try {
+            return window.localStorage;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Removes the saved preferences; storage that cannot be accessed has nothing to forget
+     * @private
+     */
+    forgetPersistedState() {
+        try {
+            this.getPersistStorage()?.removeItem(PERSIST_PREFIX + this.options.persist.key);
+        } catch (e) {
+            // Nothing saved to forget
+        }
+        this.persistedData = null;
+    }
+
+    /**
+     * Header titles, used to tell whether saved column indexes still point to the same columns
+     * @private
+     */
+    getColumnTitles() {
+        return this.getHeaderCells().map(th => th.textContent.trim());
+    }
+
+    /**
+     * Restores the saved column order, sort, filters, page size, hidden columns and column widths
+     *
+     * Data saved with another version or that cannot be read is removed. The column order is
+     * only restored when the markup still has the saved columns. Sort keys and filters of
+     * columns whose title changed since they were saved are dropped.
+     *
+     * @private
+     */
+    restorePersistedState() {
+        const storage = this.getPersistStorage();
+        const storageKey = PERSIST_PREFIX + this.options.persist.key;
+        if (!storage) return;
+
+        let saved;
+        try {
+            saved = JSON.parse(storage.getItem(storageKey));
+        } catch (e) {
+            saved = null;
+        }
+        if (!saved) return;
+        if (saved.version !== PERSIST_VERSION || !Array.isArray(saved.columns) || !saved.state) {
+            this.forgetPersistedState();
+            return;
+        }
+
+        if (this.isColumnOrder(saved.order)) {
+            const markupTitles = this.getColumnTitles();
+            if (saved.order.every((source, colIndex) => saved.columns[colIndex] === markupTitles[source])) {
+                this.arrangeColumns(saved.order);
+            }
+        }
+
+        const titles = this.getColumnTitles();
+        const isCurrent = colIndex => saved.columns[colIndex] !== undefined && saved.columns[colIndex] === titles[colIndex];
+        const { sorts = [], filters = {}, pageSize } = saved.state;
+        const state = {
+            sorts: sorts.filter(key => isCurrent(key.column)),
+            filters: Object.fromEntries(Object.entries(filters).map(([type, byColumn]) => [
+                type,
+                Object.fromEntries(Object.entries(byColumn).filter(([colIndex]) => isCurrent(Number(colIndex))))
+            ])),
+            pageSize
+        };
+
+        const initialState = this.getState();
+        try {
+            this.applyState(state);
+        } catch (e) {
+            this.applyState(initialState);
+            this.forgetPersistedState();
+            return;
+        }
+
+        if (Array.isArray(saved.hidden)) {
+            titles.forEach((title, colIndex) => {
+                if (!isCurrent(colIndex)) return;
+                if (saved.hidden.includes(colIndex)) this.hiddenColumns.add(colIndex);
+                else this.hiddenColumns.delete(colIndex);
+            });
+            if (this.hiddenColumns.size === titles.length) this.hiddenColumns = new Set(this.defaultHiddenColumns);
+        }
+
+        if (saved.widths && typeof saved.widths === 'object') {
+            const headerCells = this.getHeaderCells();
+            Object.entries(saved.widths).forEach(([colIndex, width]) => {
+                if (isCurrent(Number(colIndex)) && typeof width === 'number' && width > 0 && width < Infinity) {
+                    this.columnWidths[colIndex] = this.clampColumnWidth(headerCells[colIndex], width);
+                }
+            });
+        }
+    }
+
+    /**
+     * Saves the sort, filters (but the search), page size, hidden columns, column order and
+     * column widths, when they changed
+     * @private
+     */
+    savePersistedState() {
+        const storage = this.getPersistStorage();
+        if (!storage) return;
+
+        const { sorts, filters: { search, ...filters }, pageSize } = this.getState();
+        const data = JSON.stringify({
+            version: PERSIST_VERSION,
+            columns: this.getColumnTitles(),
+            state: { sorts, filters, pageSize },
+            hidden: this.getHiddenColumns(),
+            order: this.getColumnOrder(),
+            widths: this.getColumnWidths()
+        });
+        if (data === this.persistedData) return;
+        try {
+            storage.setItem(PERSIST_PREFIX + this.options.persist.key, data);
+            this.persistedData = data;
+        } catch (e) {
+            // Storage full or denied: the preferences are simply not saved
+        }
+    }
+
+    /**
+     * Builds a CSV of the table in the current sort order, from the cells' text
+     *
+     * @param {Object} [options] - Export options
+     * @param {'filtered'|'page'|'all'|'selected'} [options.scope='filtered'] - Rows to export: the rows
+     *        matching the filters, the rows of the current page, every row, or the selected rows
+     * @param {number[]|null} [options.columns=null] - Indexes of the exported columns, in order; null exports every column
+     * @param {string} [options.delimiter=','] - Field delimiter
+     * @param {boolean} [options.header=true] - Starts with a row of column titles
+     * @param {boolean} [options.bom=false] - Starts with a byte order mark, so that Excel reads the file as UTF-8
+     * @returns {string} CSV text, with CRLF line endings
+     * @throws {Error} If an option is invalid
+     */
+    exportCSV({ scope = 'filtered', columns = null, delimiter = ',', header = true, bom = false } = {}) {
+        if (typeof delimiter !== 'string' || !delimiter) {
+            throw new Error('Invalid export delimiter: expected a non-empty string');
+        }
+        const exportRows = this.getExportRows(scope);
+        const columnIndexes = this.getExportColumns(columns);
+
+        const rows = exportRows.map(rowData => columnIndexes.map(colIndex => rowData.cells[colIndex]?.textContent ?? ''));
+        if (header) {
+            const titles = this.getColumnTitles();
+            rows.unshift(columnIndexes.map(colIndex => titles[colIndex]));
+        }
+        const lines = rows.map(fields => fields.map(field => escapeDelimitedField(field, delimiter)).join(delimiter));
+        return (bom ? '\uFEFF' : '') + lines.join('\r\n');
+    }
+
+    /** @private */
+    getExportRows(scope) {
+        if (!EXPORT_SCOPES.includes(scope)) {
+            throw new Error(`Invalid export scope: ${scope}`);
+        }
+        if (scope === 'page') return this.visibleRows;
+        if (scope === 'all') return this.rowsCache;
+        if (scope === 'selected') {
+            this.assertSelectable();
+            return this.getSelectedRows();
+        }
+        return this.filteredRows;
+    }
+
+    /** @private */
+    getExportColumns(columns) {
+        if (columns !== null && !Array.isArray(columns)) {
+            throw new Error('Invalid export columns: expected an array of column indexes');
+        }
+        const columnIndexes = columns ?? this.getHeaderCells().map((th, colIndex) => colIndex);
+        columnIndexes.forEach(colIndex => this.assertColumn(colIndex));
+        return columnIndexes;
+    }
+
+    /**
+     * Builds an Excel workbook of the table in the current sort order
+     *
+     * Cells of date columns are written as Excel dates and cells of number columns as numbers,
+     * read like the table sorts them; other cells, and values that cannot be read, are written
+     * as their text. The header row is bold and frozen.
+     *
+     * @param {Object} [options] - Export options
+     * @param {'filtered'|'page'|'all'|'selected'} [options.scope='filtered'] - Rows to export, see exportCSV()
+     * @param {number[]|null} [options.columns=null] - Indexes of the exported columns, in order; null exports every column
+     * @param {boolean} [options.header=true] - Starts with a row of column titles
+     * @param {string} [options.sheetName='Sheet1'] - Name of the worksheet
+     * @returns {Uint8Array} Content of the .xlsx file
+     * @throws {Error} If an option is invalid
+     */
+    exportXLSX({ scope = 'filtered', columns = null, header = true, sheetName = 'Sheet1' } = {}) {
+        if (typeof sheetName !== 'string' || !sheetName || sheetName.length > 31 || /[\\/?*[\]:]/.test(sheetName)) {
+            throw new Error(`Invalid sheet name: ${sheetName}`);
+        }
+        const exportRows = this.getExportRows(scope);
+        const columnIndexes = this.getExportColumns(columns);
+        const types = columnIndexes.map(colIndex => this.getColumnType(colIndex));
+        const titles = this.getColumnTitles();
 
-        const defaultOption = document.createElement('option');
-        defaultOption.value = '';
-        defaultOption.textContent = 'All';
-        select.appendChild(defaultOption);
+        // Typed values first, so that a date column with times uses the date and time format for every cell
+        const hasTime = columnIndexes.map(() => false);
+        const values = exportRows.map(rowData => columnIndexes.map((colIndex, index) => {
+            const cell = rowData.cells[colIndex];
+            const text = cell?.textContent ?? '';
+            if (types[index] === 'date') {
+                const date = this.parseCellDate(colIndex, this.getSortValue(cell));
+                const serial = date && toExcelDate(date);
+                if (serial) {
+                    hasTime[index] = hasTime[index] || !Number.isInteger(serial);
+                    return { serial, text };
+                }
+            } else if (types[index] === 'number') {
+                const number = this.getCellNumber(cell);
+                if (number !== null && Number.isFinite(number)) return { number, text };
+            }
+            return { text };
+        }));
 
-        [...uniqueVals].sort().forEach(val => {
-            const opt = document.createElement('option');
-            opt.value = val;
-            opt.textContent = val;
-            select.appendChild(opt);
+        const rows = [];
+        if (header) {
+            const cells = columnIndexes.map((colIndex, index) => `<c r="${getColumnName(index)}1" t="inlineStr" s="${XLSX_STYLES.header}">`
+                + `<is><t xml:space="preserve">${escapeXML(titles[colIndex])}</t></is></c>`);
+            rows.push(`<row r="1">${cells.join('')}</row>`);
+        }
+        values.forEach(rowValues => {
+            const rowNumber = rows.length + 1;
+            const cells = rowValues.map((value, index) => {
+                const ref = `${getColumnName(index)}${rowNumber}`;
+                if (value.serial) {
+                    const style = hasTime[index] ? XLSX_STYLES.datetime : XLSX_STYLES.date;
+                    return `<c r="${ref}" s="${style}"><v>${value.serial}</v></c>`;
+                }
+                if (value.number !== undefined) return `<c r="${ref}"><v>${value.number}</v></c>`;
+                if (!value.text) return '';
+                return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(value.text)}</t></is></c>`;
+            });
+            rows.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
         });
 
-        select.addEventListener('change', () => {
-            const filterVal = select.value;
-            this.currentValueFilters[colIndex] = filterVal;
-            this.updatePagination();
-            this.updateTable();
+        // Widths fitting the longest text, as Excel shows ### for dates and numbers that do not fit
+        const widths = columnIndexes.map((colIndex, index) => {
+            const longest = values.reduce((max, rowValues) => Math.max(max, rowValues[index].text.length),
+                header ? titles[colIndex].length : 0);
+            return Math.min(Math.max(longest + 2, hasTime[index] ? 18 : 10), 60);
         });
 
-        wrapper.appendChild(label);
-        wrapper.appendChild(select);
-        filterContainer.appendChild(wrapper);
+        return createZip(createWorkbookFiles(sheetName, rows.join(''), { widths, frozenHeader: header }));
+    }
+
+    /**
+     * Downloads a CSV of the table
+     * @param {string} [filename='export.csv'] - Name of the downloaded file
+     * @param {Object} [options] - Options of exportCSV()
+     */
+    downloadCSV(filename = 'export.csv', options = {}) {
+        this.downloadBlob(new Blob([this.exportCSV(options)], { type: 'text/csv;charset=utf-8' }), filename);
+    }
+
+    /**
+     * Downloads an Excel workbook of the table
+     * @param {string} [filename='export.xlsx'] - Name of the downloaded file
+     * @param {Object} [options] - Options of exportXLSX()
+     */
+    downloadXLSX(filename = 'export.xlsx', options = {}) {
+        const type = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+        this.downloadBlob(new Blob([this.exportXLSX(options)], { type }), filename);
     }
 
     /** @private */
-    updatePagination() {
-        const paginationDiv = this.container.querySelector('.lite-table-pagination');
-        if (!paginationDiv) return;
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoking the URL during the click cancels the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
 
-        const createButton = (text, pageIndex, isDisabled = false) => {
-            const button = document.createElement('button');
-            button.textContent = text;
-            button.disabled = isDisabled;
-            if (!isDisabled) {
-                button.addEventListener('click', () => {
-                    this.currentPageIndex = pageIndex;
-                    this.updateTable();
-                });
-            }
-            return button;
-        };
+    /**
+     * Copies the table to the clipboard as TSV, ready to be pasted in a spreadsheet
+     * @param {Object} [options] - Options of exportCSV(); the delimiter is a tab and there is no BOM
+     * @returns {Promise<void>} Resolves once the text is copied
+     */
+    copyTSV(options = {}) {
+        if (!navigator.clipboard?.writeText) {
+            return Promise.reject(new Error('Clipboard is not available'));
+        }
+        try {
+            return navigator.clipboard.writeText(this.exportCSV({ ...options, delimiter: '\t', bom: false }));
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
 
-        const totalPages = Math.ceil(this.filteredRows.length / this.displayLimit);
-        const prevDisabled = this.currentPageIndex <= 2;
-        const nextDisabled = this.currentPageIndex + 2 > totalPages;
+    /**
+     * Restores the initial sort, filters, page, page size, hidden columns, column order and
+     * column widths, and forgets the saved preferences
+     *
+     * Emits `beforestatechange` and `statechange` like setState(), and renders once; canceling
+     * `beforestatechange` keeps every setting.
+     */
+    resetState() {
+        if (!this.emit('beforestatechange', { state: this.defaultState }, true)) return;
 
-        paginationDiv.innerHTML = '';
-        paginationDiv.appendChild(createButton('<<', 1, prevDisabled));
+        const positions = this.columnOrder.map((source, colIndex) => this.columnOrder.indexOf(colIndex));
+        const moved = positions.some((position, colIndex) => position !== colIndex);
+        // The default state follows the columns, so they are put back in place first
+        if (moved) this.arrangeColumns(positions);
+        this.hiddenColumns = new Set(this.defaultHiddenColumns);
+        this.columnWidths = {};
+        this.applyState(this.defaultState);
+        if (moved) {
+            // Pooled rows keep the attributes of the cells they showed, which are now in other columns
+            this.tbody.innerHTML = '';
+            this.rowPool = [];
+        }
+        this.syncControls();
+        this.syncColumnVisibility();
+        this.updateTable();
+        this.emit('statechange', this.getEventDetail());
+        if (this.options.persist) this.forgetPersistedState();
+    }
 
-        for (let i = -1; i < 2; i++) {
-            const pageNum = this.currentPageIndex + i;
-            if (pageNum <= 0) continue;
-            if (pageNum > totalPages) continue;
-            const button = createButton(pageNum.toString(), pageNum, false);
-            if (pageNum === this.currentPageIndex) button.classList.add('active');
-            paginationDiv.appendChild(button);
+    /**
+     * Replaces the rows of a table built from the `data` and `columns` options
+     *
+     * The current sort, filters and page size are kept.
+     *
+     * @param {Object[]} data - New records, rendered with the column definitions
+     * @throws {Error} If the table was not built from column definitions, the data is not an array or two records have the same key
+     */
+    setData(data) {
+        if (!this.columns) {
+            throw new Error('setData() requires the "columns" option');
+        }
+        if (!Array.isArray(data)) {
+            throw new Error('Data must be an array');
         }
 
-        paginationDiv.appendChild(createButton('>>', totalPages, nextDisabled));
+        this.replaceRows(data);
+        this.emit('data', this.getEventDetail());
     }
 
-    /** @private */
-    updateTable() {
-        if (this.currentSort.column !== null && this.currentSort.direction) {
-            this.sortRows(this.currentSort.column, this.currentSort.direction);
+    /**
+     * Appends rows, keeping the current sort, filters and page
+     * @param {Array<HTMLTableRowElement|string|Object>} rows - `<tr>` elements, HTML strings, or records
+     *        when the table is built from column definitions
+     * @throws {Error} If a row is invalid or its id is already used, in which case no row is added
+     */
+    addRows(rows) {
+        if (!Array.isArray(rows)) {
+            throw new Error('Rows must be an array');
         }
 
-        this.applyFilters();
-        const totalPages = Math.ceil(this.filteredRows.length / this.displayLimit);
-        if (this.currentPageIndex > totalPages) {
-            this.currentPageIndex = 1;
-        }
+        const prepared = rows.map(row => this.prepareRow(row));
+        this.assertUniqueRowKeys(prepared, this.rowsCache);
+        const added = prepared.map(row => this.cacheRow(row));
+        this.rowsCache.push(...added);
+        this.invalidateRows();
+        this.refreshFilterOptions();
+        this.updateTable();
+        this.emit('rowschange', { ...this.getEventDetail(), action: 'add', keys: added.map(rowData => rowData.key) });
+    }
 
-        const minIndex = this.displayLimit * (this.currentPageIndex - 1);
-        const maxIndex = Math.min(
-            this.displayLimit * this.currentPageIndex,
-            this.filteredRows.length
-        );
+    /**
+     * Replaces the content of a row, keeping its position in the original order
+     *
+     * `data` is a `<tr>` element, an HTML string, an array of cell HTML (undefined entries are
+     * kept), or, when the table is built from column definitions, properties merged into the record.
+     *
+     * @param {string|number} key - Row id, from the `data-row-id` attribute or the `rowKey` option
+     * @param {HTMLTableRowElement|string|Array<string>|Object} data - New row content
+     * @throws {Error} If no row has this id, the data is invalid or its id is used by another row
+     */
+    updateRow(key, data) {
+        const index = this.findRowIndex(key);
+        const current = this.rowsCache[index];
 
-        while (this.tbody.firstChild) {
-            this.rowPool.push(this.tbody.firstChild);
-            this.tbody.removeChild(this.tbody.firstChild);
+        let row = data;
+        if (Array.isArray(data)) {
+            row = current.element.cloneNode(true);
+            data.forEach((html, colIndex) => {
+                if (html !== undefined && row.cells[colIndex]) row.cells[colIndex].innerHTML = html;
+            });
+        } else if (this.columns && data && typeof data === 'object' && !(data instanceof Node)) {
+            row = { ...current.record, ...data };
         }
 
-        for (let i = minIndex; i < maxIndex; i++) {
-            const rowData = this.filteredRows[i];
-            let tr;
-
-            if (this.rowPool.length > 0) {
-                tr = this.rowPool.pop();
-                for (let j = 0; j < rowData.cells.length; j++) {
-                    if (tr.cells[j]) {
-                        tr.cells[j].innerHTML = rowData.cells[j].innerHTML;
+        const { element, record } = this.prepareRow(row, Array.isArray(data));
+        this.assertUniqueRowKeys([{ element }], this.rowsCache.filter(rowData => rowData !== current));
+        element.setAttribute('data-original-index', current.originalIndex);
+        if (!element.hasAttribute('data-row-id')) {
+            element.setAttribute('data-row-id', current.key);
+        }
 
-                        if (rowData.cells[j].title) {
-                            tr.cells[j].setAttribute('title', rowData.cells[j].title);
-                        } else {
-                            tr.cells[j].removeAttribute('title');
-                        }
+        const rowIndex = this.allRows.findIndex(tr => parseInt(tr.getAttribute('data-original-index')) === current.originalIndex);
+        this.allRows[rowIndex] = element;
+        this.rowsCache[index] = this.createRowData(element, record);
+        this.invalidateRows();
+        if (this.virtualScroll) this.virtualScroll.heights.delete(current.originalIndex);
+        this.refreshFilterOptions();
+        this.updateTable();
+        this.emit('rowschange', { ...this.getEventDetail(), action: 'update', keys: [current.key] });
+    }
 
-                        for (const [attrName, attrValue] of Object.entries(rowData.cells[j].attributes)) {
-                            if (attrName !== 'innerHTML') {
-                                tr.cells[j].setAttribute(attrName, attrValue);
-                            }
-                        }
-                    }
-                }
-            } else {
-                tr = rowData.element.cloneNode(true);
-            }
+    /**
+     * Removes a row
+     * @param {string|number} key - Row id, from the `data-row-id` attribute or the `rowKey` option
+     * @throws {Error} If no row has this id
+     */
+    removeRow(key) {
+        const [removed] = this.rowsCache.splice(this.findRowIndex(key), 1);
+        this.invalidateRows();
+        this.allRows = this.allRows.filter(tr => parseInt(tr.getAttribute('data-original-index')) !== removed.originalIndex);
+        const deselected = this.selection.delete(removed.originalIndex);
+        this.refreshFilterOptions();
+        this.updateTable();
+        this.emit('rowschange', { ...this.getEventDetail(), action: 'remove', keys: [removed.key] });
+        if (deselected) this.emitSelectionChange();
+    }
 
-            tr.setAttribute('data-original-index', rowData.originalIndex);
-            this.tbody.appendChild(tr);
+    /**
+     * Replaces every row, keeping the current sort, filters and page
+     * @param {Array<HTMLTableRowElement|string|Object>} rows - `<tr>` elements, HTML strings, or records
+     *        when the table is built from column definitions
+     * @throws {Error} If a row is invalid or two rows have the same id, in which case no row changes
+     */
+    replaceAll(rows) {
+        if (!Array.isArray(rows)) {
+            throw new Error('Rows must be an array');
         }
 
-        const total = this.rowsCache.length;
-        const filteredTotal = this.filteredRows.length;
-        const showing = maxIndex - minIndex;
-        this.container.querySelector('.tableInfo').textContent = `Showing ${showing} items out of ${filteredTotal} (total: ${total})`;
+        this.replaceRows(rows);
+        this.emit('rowschange', { ...this.getEventDetail(), action: 'replace', keys: this.allRows.map(row => row.getAttribute('data-row-id')) });
+    }
 
+    /** @private */
+    replaceRows(rows) {
+        const prepared = rows.map(row => this.prepareRow(row));
+        this.assertUniqueRowKeys(prepared, []);
 
-        this.updatePagination();
+        // Original indexes start over, so they no longer identify the selected rows
+        const hadSelection = this.selection.size > 0;
+        this.selection.clear();
+        this.selectionAnchor = null;
+        if (this.virtualScroll) this.virtualScroll.heights.clear();
+        this.allRows = [];
+        this.nextIndex = 0;
+        this.rowsCache = prepared.map(row => this.cacheRow(row));
+        this.invalidateRows();
+        this.refreshFilterOptions();
+        this.updateTable();
+        if (hadSelection) this.emitSelectionChange();
     }
 
-    /** @private */
-    applyFilters() {
-        this.filteredRows = this.rowsCache.filter(rowData => {
-            for (const [colIndex, filterVal] of Object.entries(this.currentDateFilters)) {
-                if (!filterVal) continue;
-                const cellVal = rowData.cells[colIndex]?.textContent || '';
-                if (!isDateInRange(cellVal, filterVal)) return false;
-            }
-            for (const [colIndex, range] of Object.entries(this.currentDateRangeFilters)) {
-                if ((!range.from) && (!range.to)) continue;
-                const cellVal = rowData.cells[colIndex]?.textContent || '';
-                if (!/^\d{2}\/\d{2}\/\d{4}$/.test(cellVal)) return false;
-                const cellDate = parseDate(cellVal);
-                if (range.from) {
-                    const fromDate = new Date(range.from);
-                    fromDate.setHours(0, 0, 0, 0);
-                    if (cellDate < fromDate) return false;
-                }
-                if (range.to) {
-                    const toDate = new Date(range.to);
-                    toDate.setHours(0, 0, 0, 0);
-                    if (cellDate > toDate) return false;
-                }
-            }
-            for (const [colIndex, filterVal] of Object.entries(this.currentValueFilters)) {
-                if (!filterVal) continue;
-                const cellVal = rowData.cells[colIndex]?.textContent || '';
-                if (cellVal !== filterVal) return false;
+    /**
+     * Checks that the prepared rows have ids used neither by `rowsCache` entries nor by each other
+     * @private
+     * @param {Array<{element: HTMLTableRowElement}>} prepared - Rows returned by prepareRow()
+     * @param {Object[]} rowsData - Cached rows whose ids are taken
+     * @throws {Error} If an id is used twice
+     */
+    assertUniqueRowKeys(prepared, rowsData) {
+        const keys = new Set(rowsData.map(rowData => rowData.key).filter(key => key !== null));
+        prepared.forEach(({ element }) => {
+            const key = element.getAttribute('data-row-id');
+            if (key === null) return;
+            if (keys.has(key)) {
+                throw new Error(`Duplicate row id "${key}"`);
             }
-            return true;
+            keys.add(key);
         });
     }
 
     /** @private */
-    handleSort(columnIndex) {
-        const button = this.table.querySelectorAll('thead tr:last-child th button')[columnIndex - 1];
+    cacheRow({ element, record }) {
+        element.setAttribute('data-original-index', this.nextIndex++);
+        this.allRows.push(element);
+        return this.createRowData(element, record);
+    }
 
-        if (!button) {
-            let direction = 'asc';
-            if (this.currentSort.column === columnIndex) {
-                if (this.currentSort.direction === 'asc') {
-                    direction = 'desc';
-                } else if (this.currentSort.direction === 'desc') {
-                    direction = null;
-                }
-            }
+    /**
+     * Builds the row element of a record, or parses an HTML row and puts its cells, given in the
+     * markup order, in the current column order
+     * @private
+     * @param {HTMLTableRowElement|string|Object} row - Row to prepare
+     * @param {boolean} [arranged=false] - The cells are already in the current column order
+     */
+    prepareRow(row, arranged = false) {
+        if (this.columns && row && typeof row === 'object' && !(row instanceof Node)) {
+            return { element: this.createRowFromRecord(row), record: row };
+        }
 
-            this.currentSort = {
-                column: direction ? columnIndex : null,
-                direction: direction
-            };
+        let element = row;
+        if (typeof row === 'string') {
+            const tbody = document.createElement('tbody');
+            tbody.innerHTML = row.trim();
+            element = tbody.firstElementChild;
+        }
+        if (!(element instanceof HTMLTableRowElement)) {
+            throw new Error(this.columns
+                ? 'Invalid row: expected a record, a <tr> element or an HTML string'
+                : 'Invalid row: expected a <tr> element or an HTML string');
+        }
+        if (!arranged && this.columnOrder.some((source, colIndex) => source !== colIndex)) {
+            reorderCells(element, this.columnOrder);
+        }
+        return { element, record: undefined };
+    }
 
-            if (!direction) {
-                this.rowsCache.sort((a, b) => a.originalIndex - b.originalIndex);
-            }
+    /**
+     * Hides a column; its filters and sort keys still apply
+     * @param {number} columnIndex - Column index
+     * @throws {Error} If the column does not exist or is the last visible one
+     */
+    hideColumn(columnIndex) {
+        this.assertColumn(columnIndex);
+        if (this.hiddenColumns.has(columnIndex)) return;
+        if (this.hiddenColumns.size === this.columnCount - 1) {
+            throw new Error('Cannot hide the last visible column');
+        }
+        this.setHiddenColumns([...this.hiddenColumns, columnIndex]);
+    }
+
+    /**
+     * Shows a hidden column
+     * @param {number} columnIndex - Column index
+     * @throws {Error} If the column does not exist
+     */
+    showColumn(columnIndex) {
+        this.assertColumn(columnIndex);
+        if (!this.hiddenColumns.has(columnIndex)) return;
+        this.setHiddenColumns([...this.hiddenColumns].filter(colIndex => colIndex !== columnIndex));
+    }
+
+    /**
+     * Returns the indexes of the hidden columns
+     * @returns {number[]} Column indexes, in ascending order
+     */
+    getHiddenColumns() {
+        return [...this.hiddenColumns].sort((a, b) => a - b);
+    }
 
-            this.updateTable();
+    /**
+     * Replaces the hidden columns, then emits `columnvisibility` and saves the preferences
+     * when they changed
+     * @private
+     */
+    setHiddenColumns(columns) {
+        const hiddenColumns = new Set(columns);
+        if (hiddenColumns.size === this.hiddenColumns.size && columns.every(colIndex => this.hiddenColumns.has(colIndex))) {
             return;
         }
+        this.hiddenColumns = hiddenColumns;
+        this.syncColumnVisibility();
+        if (this.options.persist && this.initialized) this.savePersistedState();
+        this.emit('columnvisibility', { ...this.getEventDetail(), hiddenColumns: this.getHiddenColumns() });
+    }
 
-        this.table.querySelectorAll('.sort-button').forEach(btn => {
-            if (btn !== button) {
-                btn.classList.remove('asc', 'desc');
+    /**
+     * Moves a column to another position
+     *
+     * Filters, sort keys, hidden columns and the other column settings follow the column:
+     * once moved, every method takes column indexes in the new order.
+     *
+     * @param {number} from - Current index of the column
+     * @param {number} to - Index of the column once moved
+     * @throws {Error} If one of the columns does not exist
+     */
+    moveColumn(from, to) {
+        this.assertColumn(from);
+        this.assertColumn(to);
+        if (from === to) return;
+
+        const positions = this.columnOrder.map((source, colIndex) => colIndex);
+        positions.splice(to, 0, ...positions.splice(from, 1));
+        this.reorderColumns(positions);
+    }
+
+    /**
+     * Returns the column order
+     * @returns {number[]} Index of each column in the markup (or in the `columns` option), in display order
+     */
+    getColumnOrder() {
+        return [...this.columnOrder];
+    }
+
+    /**
+     * Puts the columns in an order returned by getColumnOrder()
+     * @param {number[]} order - Index of each column in the markup (or in the `columns` option), in display order
+     * @throws {Error} If the order does not list every column once
+     */
+    setColumnOrder(order) {
+        if (!this.isColumnOrder(order)) {
+            throw new Error('Invalid column order: expected every column index once');
+        }
+        const positions = order.map(source => this.columnOrder.indexOf(source));
+        if (positions.every((position, colIndex) => position === colIndex)) return;
+        this.reorderColumns(positions);
+    }
+
+    /**
+     * Returns the widths set by resizing the columns or by setColumnWidths()
+     * @returns {Object<number, number>} Widths in pixels keyed by column index; empty when the
+     *          columns have their automatic width
+     */
+    getColumnWidths() {
+        return { ...this.columnWidths };
+    }
+
+    /**
+     * Replaces the column widths, clamped to the `data-min-width` and `data-max-width` of each column
+     *
+     * Visible columns that are not listed keep the width of the automatic layout; an empty object
+     * goes back to automatic widths. Emits `columnresize` when a width changed.
+     *
+     * @param {Object<number, number>} widths - Widths in pixels keyed by column index
+     * @throws {Error} If a column does not exist or a width is not a positive number
+     */
+    setColumnWidths(widths) {
+        if (!widths || typeof widths !== 'object' || Array.isArray(widths)) {
+            throw new Error('Column widths must be an object keyed by column index');
+        }
+        const headerCells = this.getHeaderCells();
+        const columnWidths = {};
+        Object.entries(widths).forEach(([key, width]) => {
+            const colIndex = Number(key);
+            this.assertColumn(colIndex);
+            if (typeof width !== 'number' || !(width > 0) || width === Infinity) {
+                throw new Error(`Invalid width for column ${colIndex}: expected a positive number of pixels`);
             }
+            columnWidths[colIndex] = this.clampColumnWidth(headerCells[colIndex], width);
         });
 
-        let direction = 'asc';
-        if (this.currentSort.column === columnIndex) {
-            if (this.currentSort.direction === 'asc') {
-                direction = 'desc';
-            } else if (this.currentSort.direction === 'desc') {
-                direction = null;
-            }
+        const previous = JSON.stringify(this.columnWidths);
+        this.columnWidths = columnWidths;
+        this.applyColumnWidths();
+        if (JSON.stringify(this.columnWidths) !== previous) this.emitColumnResize();
+    }
+
+    /** @private */
+    isColumnOrder(order) {
+        return Array.isArray(order) && order.length === this.columnCount &&
+            order.every(colIndex => isValidColumnIndex(colIndex) && colIndex < this.columnCount) &&
+            new Set(order).size === order.length;
+    }
+
+    /**
+     * Moves the columns and renders the rows, then emits `columnorder`; the preferences are
+     * saved by the render
+     * @private
+     * @param {number[]} positions - Current index of the column to put at each position
+     */
+    reorderColumns(positions) {
+        this.arrangeColumns(positions);
+        this.syncControls();
+        this.syncColumnVisibility();
+        // Pooled rows keep the attributes of the cells they showed, which are now in other columns
+        this.tbody.innerHTML = '';
+        this.rowPool = [];
+        this.updateTable();
+        this.emit('columnorder', { ...this.getEventDetail(), columnOrder: this.getColumnOrder() });
+    }
+
+    /**
+     * Moves the header, filter row and row cells, and every setting keyed by column index
+     * @private
+     * @param {number[]} positions - Current index of the column to put at each position
+     */
+    arrangeColumns(positions) {
+        const newIndexes = [];
+        positions.forEach((position, colIndex) => { newIndexes[position] = colIndex; });
+        const moveKeys = byColumn => Object.fromEntries(
+            Object.entries(byColumn).map(([colIndex, value]) => [newIndexes[colIndex], value])
+        );
+
+        reorderCells(this.getHeaderRow(), positions, this.cellOffset);
+        const filterRow = this.table.querySelector('thead tr.lite-table-filter-row');
+        if (filterRow) reorderCells(filterRow, positions, this.cellOffset);
+        this.allRows.forEach(row => reorderCells(row, positions));
+        this.rowsCache.forEach(rowData => {
+            rowData.cells = positions.map(position => rowData.cells[position]);
+            reorderCells(rowData.element, positions);
+        });
+
+        if (this.columnChooser) {
+            const items = Array.from(this.columnChooser.list.children);
+            positions.forEach((position, colIndex) => {
+                items[position].querySelector('input').value = colIndex;
+                this.columnChooser.list.appendChild(items[position]);
+            });
         }
 
-        this.currentSort = {
-            column: direction ? columnIndex : null,
-            direction: direction
-        };
+        this.options.sortableColumns = positions
+            .map((position, colIndex) => (this.isSortable(position) ? colIndex : null))
+            .filter(colIndex => colIndex !== null);
+        this.columnOrder = positions.map(position => this.columnOrder[position]);
+        if (this.columns) this.columns = positions.map(position => this.columns[position]);
+        this.columnTypes = moveKeys(this.columnTypes);
+        this.detectedTypes = moveKeys(this.detectedTypes);
+        this.dateParsers = positions.map(position => this.dateParsers[position]);
+        this.searchableColumns = this.searchableColumns.map(colIndex => newIndexes[colIndex]).sort((a, b) => a - b);
+        this.hiddenColumns = new Set([...this.hiddenColumns].map(colIndex => newIndexes[colIndex]));
+        this.defaultHiddenColumns = this.defaultHiddenColumns.map(colIndex => newIndexes[colIndex]);
+        this.columnWidths = moveKeys(this.columnWidths);
 
-        button.classList.remove('asc', 'desc');
-        if (direction) {
-            button.classList.add(direction);
+        this.sortKeys = this.sortKeys.map(({ column, direction }) => ({ column: newIndexes[column], direction }));
+        // The rows keep their order, now sorted by the moved columns
+        if (this.sortedBy) {
+            this.sortedBy.sortKeys = this.sortedBy.sortKeys.map(({ column, direction }) => ({ column: newIndexes[column], direction }));
         }
-        if (!direction) {
-            this.rowsCache.sort((a, b) => a.originalIndex - b.originalIndex);
+        this.currentValueFilters = moveKeys(this.currentValueFilters);
+        this.currentDateFilters = moveKeys(this.currentDateFilters);
+        this.currentDateRangeFilters = moveKeys(this.currentDateRangeFilters);
+        this.currentNumberRangeFilters = moveKeys(this.currentNumberRangeFilters);
+        this.currentTextFilters = moveKeys(this.currentTextFilters);
+        this.filterControls = moveKeys(this.filterControls);
+        this.textFilterControls = moveKeys(this.textFilterControls);
+        if (this.facetCounts) this.facetCounts = moveKeys(this.facetCounts);
+
+        if (this.defaultState) {
+            const { sort, sorts, filters } = this.defaultState;
+            this.defaultState = {
+                ...this.defaultState,
+                sort: sort.column === null ? sort : { ...sort, column: newIndexes[sort.column] },
+                sorts: sorts.map(key => ({ ...key, column: newIndexes[key.column] })),
+                filters: Object.fromEntries(Object.entries(filters).map(([type, byColumn]) => [
+                    type,
+                    type === 'search' ? byColumn : moveKeys(byColumn)
+                ]))
+            };
         }
+    }
 
-        this.updateTable();
+    /**
+     * Returns the selected rows in the current sort order, including the rows hidden by the filters
+     * @returns {Object[]} Cached rows, like the `rows` of event details
+     */
+    getSelectedRows() {
+        return this.rowsCache.filter(rowData => this.selection.has(rowData.originalIndex));
+    }
+
+    /**
+     * Selects or deselects rows
+     * @param {Array<string|number>} keys - Row ids, from the `data-row-id` attribute or the `rowKey` option
+     * @param {boolean} [selected=true] - Select the rows, or deselect them
+     * @throws {Error} If the table is not selectable, or no row has one of the ids
+     */
+    selectRows(keys, selected = true) {
+        this.assertSelectable();
+        if (!Array.isArray(keys)) {
+            throw new Error('Keys must be an array');
+        }
+        this.setRowsSelected(keys.map(key => this.rowsCache[this.findRowIndex(key)]), selected);
+    }
+
+    /**
+     * Selects the rows of the current page, or every row matching the filters
+     * @param {'page'|'filtered'} [scope] - Rows to select (default: the `selectAll` of the `selectable` option)
+     * @throws {Error} If the table is not selectable or the scope is invalid
+     */
+    selectAll(scope = this.options.selectable?.selectAll) {
+        this.assertSelectable();
+        if (!SELECT_ALL_SCOPES.includes(scope)) {
+            throw new Error(`Invalid selection scope: ${scope}`);
+        }
+        this.setRowsSelected(scope === 'page' ? this.visibleRows : this.filteredRows, true);
+    }
+
+    /**
+     * Deselects every row
+     * @throws {Error} If the table is not selectable
+     */
+    clearSelection() {
+        this.assertSelectable();
+        this.setRowsSelected(this.getSelectedRows(), false);
     }
 
     /** @private */
-    sortRows(columnIndex, direction) {
-        const multiplier = direction === 'asc' ? 1 : -1;
+    assertSelectable() {
+        if (!this.options.selectable) {
+            throw new Error('Row selection requires the "selectable" option');
+        }
+    }
 
-        let columnType = 'text';
-        const sampleValue = this.rowsCache.find(r => r.cells[columnIndex])
-            ?.cells[columnIndex].textContent;
+    /**
+     * Selects or deselects rows, then updates the checkboxes and emits `selectionchange`
+     * when the selection changed
+     * @private
+     */
+    setRowsSelected(rows, selected) {
+        let changed = false;
+        rows.forEach(rowData => {
+            if (this.selection.has(rowData.originalIndex) === selected) return;
+            if (selected) this.selection.add(rowData.originalIndex);
+            else this.selection.delete(rowData.originalIndex);
+            changed = true;
+        });
+        if (!changed) {
+            this.syncSelectAll();
+            return;
+        }
 
-        if (sampleValue) {
-            if (/^\d{2}\/\d{2}\/\d{4}$/.test(sampleValue)) {
-                columnType = 'date';
-            } else if (!isNaN(sampleValue.replace(',', '.'))) {
-                columnType = 'number';
-            }
+        this.getRenderedRows().forEach((tr, index) => this.syncRowSelection(tr, this.renderedRows[index]));
+        this.syncSelectAll();
+        this.updateTableInfo();
+        this.emitSelectionChange();
+    }
+
+    /** @private */
+    emitSelectionChange() {
+        this.emit('selectionchange', { ...this.getEventDetail(), selectedRows: this.getSelectedRows() });
+    }
+
+    /** @private */
+    findRowIndex(key) {
+        const index = this.rowsCache.findIndex(rowData => rowData.key !== null && rowData.key === String(key));
+        if (index === -1) {
+            throw new Error(`No row found with id "${key}"`);
         }
+        return index;
+    }
 
-        this.rowsCache.sort((a, b) => {
-            const aValue = a.cells[columnIndex]?.textContent || '';
-            const bValue = b.cells[columnIndex]?.textContent || '';
+    /**
+     * Subscribes to a table event
+     *
+     * Events are dispatched on the container as `litetable:<name>` CustomEvents, so
+     * `container.addEventListener('litetable:sort', ...)` works as well. Calling
+     * `preventDefault()` on a `before*` event cancels the change.
+     *
+     * @param {string} name - Event name, such as 'sort', 'beforefilter' or 'render'
+     * @param {function(CustomEvent): void} handler - Listener receiving the event, with its data in `event.detail`
+     * @returns {LiteTableManager} The instance, for chaining
+     */
+    on(name, handler) {
+        this.container.addEventListener(EVENT_PREFIX + name, handler);
+        this.listeners.push({ name, handler });
+        return this;
+    }
 
-            if (!aValue && !bValue) return 0;
-            if (!aValue) return 1 * multiplier;
-            if (!bValue) return -1 * multiplier;
+    /**
+     * Removes a listener added with on()
+     * @param {string} name - Event name
+     * @param {function(CustomEvent): void} handler - Listener to remove
+     * @returns {LiteTableManager} The instance, for chaining
+     */
+    off(name, handler) {
+        this.container.removeEventListener(EVENT_PREFIX + name, handler);
+        this.listeners = this.listeners.filter(listener => listener.name !== name || listener.handler !== handler);
+        return this;
+    }
 
-            switch (columnType) {
-                case 'date':
-                    const aDate = parseDate(aValue);
-                    const bDate = parseDate(bValue);
-                    return (aDate - bDate) * multiplier;
-                case 'number':
-                    const aNum = parseFloat(aValue.replace(',', '.'));
-                    const bNum = parseFloat(bValue.replace(',', '.'));
-                    return (aNum - bNum) * multiplier;
-                default:
-                    return aValue.localeCompare(bValue, 'fr', { sensitivity: 'base', numeric: true }) * multiplier;
-            }
-        });
+    /** @private */
+    emit(name, detail = {}, cancelable = false) {
+        const event = new CustomEvent(EVENT_PREFIX + name, { detail, bubbles: true, cancelable });
+        this.container.dispatchEvent(event);
+        return !event.defaultPrevented;
     }
 
     /** @private */
-    getActualColumnCount() {
-        const lastHeaderRow = this.table.querySelector('thead tr:last-child');
-        return lastHeaderRow ? lastHeaderRow.cells.length : 0;
+    getEventDetail() {
+        return {
+            state: this.getState(),
+            rows: this.getRowsSnapshot('visibleRows'),
+            filteredRows: this.getRowsSnapshot('filteredRows')
+        };
+    }
+
+    /**
+     * Frozen copy of `visibleRows` or `filteredRows` for the events, made once per render or filter run
+     * @private
+     * @param {'visibleRows'|'filteredRows'} name - Rows to copy
+     */
+    getRowsSnapshot(name) {
+        const snapshot = this.rowsSnapshots[name];
+        if (snapshot && snapshot.source === this[name]) return snapshot.rows;
+        const rows = Object.freeze([...this[name]]);
+        this.rowsSnapshots[name] = { source: this[name], rows };
+        return rows;
     }
 
     /**
@@ -644,6 +5195,34 @@ class LiteTableManager {
             return;
         }
 
+        this.emit('destroy', { state: this.getState() });
+        clearTimeout(this.searchTimer);
+        Object.values(this.textFilterControls).forEach(control => clearTimeout(control.timer));
+        if (this.onDocumentClick) {
+            document.removeEventListener('click', this.onDocumentClick);
+        }
+        if (this.onPopState) {
+            window.removeEventListener('popstate', this.onPopState);
+        }
+        if (this.onSelectClick) {
+            this.tbody.removeEventListener('click', this.onSelectClick);
+        }
+        if (this.reorderListeners) {
+            const headerRow = this.getHeaderRow();
+            Object.entries(this.reorderListeners).forEach(([name, listener]) => headerRow.removeEventListener(name, listener));
+            this.getHeaderCells().forEach(th => {
+                th.removeAttribute('draggable');
+                th.classList.remove('lite-table-reorderable', 'lite-table-dragging', 'lite-table-drop-target');
+            });
+            this.focusableHeaders.forEach(th => th.removeAttribute('tabindex'));
+        }
+        if (this.columnOrder.some((source, colIndex) => source !== colIndex)) {
+            this.arrangeColumns(this.columnOrder.map((source, colIndex) => this.columnOrder.indexOf(colIndex)));
+        }
+        this.listeners.forEach(({ name, handler }) => {
+            this.container.removeEventListener(EVENT_PREFIX + name, handler);
+        });
+
         const paginationDiv = this.container.querySelector('.lite-table-pagination');
         if (paginationDiv) {
             paginationDiv.remove();
@@ -654,7 +5233,12 @@ class LiteTableManager {
             displayLimitWrapper.remove();
         }
 
-        const headerCells = this.table.querySelectorAll('thead tr:last-child th');
+        const exportButton = this.container.querySelector('.lite-table-export');
+        if (exportButton) {
+            exportButton.remove();
+        }
+
+        const headerCells = this.getHeaderCells();
         headerCells.forEach(th => {
             const button = th.querySelector('button.sort-button');
             if (button) {
@@ -665,6 +5249,42 @@ class LiteTableManager {
         const filters = this.container.querySelectorAll('.lite-table-filter');
         filters.forEach(filter => filter.remove());
 
+        const filterRow = this.table.querySelector('thead tr.lite-table-filter-row');
+        if (filterRow) {
+            filterRow.remove();
+        }
+
+        this.table.querySelectorAll('.lite-table-select').forEach(cell => cell.remove());
+        if (this.resizeListeners) {
+            const headerRow = this.getHeaderRow();
+            Object.entries(this.resizeListeners).forEach(([name, listener]) => headerRow.removeEventListener(name, listener));
+            this.table.querySelectorAll('.lite-table-resize-handle').forEach(handle => handle.remove());
+        }
+        if (this.onStickyResize) {
+            if (this.stickyObserver) this.stickyObserver.disconnect();
+            else window.removeEventListener('resize', this.onStickyResize);
+            this.table.classList.remove('lite-table-sticky-header', 'lite-table-frozen-columns');
+            this.table.querySelectorAll('thead th').forEach(cell => {
+                cell.classList.remove('lite-table-frozen', 'lite-table-frozen-last');
+                cell.style.top = '';
+                cell.style.left = '';
+            });
+        }
+        if (this.onVirtualScroll) {
+            const { scroller, top, bottom } = this.virtualScroll;
+            scroller.removeEventListener('scroll', this.onVirtualScroll);
+            window.removeEventListener('resize', this.onVirtualScroll);
+            scroller.classList.remove('lite-table-virtual');
+            top.remove();
+            bottom.remove();
+        }
+        if (this.table.classList.contains('lite-table-resized')) {
+            this.table.classList.remove('lite-table-resized');
+            this.table.style.width = '';
+            this.getHeaderCells().forEach(th => { th.style.width = ''; });
+        }
+        this.getHeaderCells().forEach(th => { th.hidden = false; });
+
         this.allRows.sort((a, b) => {
             return parseInt(a.dataset.originalIndex) - parseInt(b.dataset.originalIndex);
         });
@@ -686,11 +5306,25 @@ class LiteTableManager {
 
 /**
  * Initializes all Table instances on the page
+ * @param {Object} [options] - Default options, overridden by each container's data-* attributes
  */
-function initTables() {
+function initTables(options = {}) {
     document.querySelectorAll('.lite-table').forEach(container => {
-        new LiteTableManager(container);
+        new LiteTableManager(container, { ...options, ...getDataOptions(container) });
     });
 }
 
-export { LiteTableManager, initTables, isDateInRange, parseDate, getTextContent };
+export {
+    LiteTableManager,
+    initTables,
+    isDateInRange,
+    parseDate,
+    getTextContent,
+    getDataOptions,
+    normalizeSearchText,
+    highlightMatches,
+    createDateParser,
+    parseNumber,
+    createNumberParser,
+    registerType
+};
@@ -1,18 +1,559 @@
+export type PageSize = number | 'all';
+
+export type SortDirection = 'asc' | 'desc';
+
+/**
+ * A sort key; ties fall through to the next key, then to the original order
+ */
+export interface SortKey {
+    column: number;
+    direction: SortDirection;
+}
+
+/**
+ * Built-in controls that can be rendered around the table
+ */
+export interface LiteTableControls {
+    filters?: boolean;
+    sorting?: boolean;
+    displayLimit?: boolean;
+    pagination?: boolean;
+}
+
+export type DateFilterRange = 'today' | 'week' | 'month' | 'quarter' | 'year';
+
+/**
+ * Date range bounds in YYYY-MM-DD format
+ */
+export interface DateRangeFilter {
+    from?: string | null;
+    to?: string | null;
+}
+
+/**
+ * Inclusive numeric bounds of a number range filter
+ */
+export interface NumberRangeFilter {
+    min?: number | null;
+    max?: number | null;
+}
+
+/**
+ * Operator of the filter row; comparisons are offered on number and date columns
+ */
+export type TextFilterOperator =
+    | 'contains'
+    | 'notContains'
+    | 'equals'
+    | 'startsWith'
+    | 'endsWith'
+    | 'regex'
+    | '>'
+    | '>='
+    | '<'
+    | '<='
+    | 'between';
+
+/**
+ * Filter typed in the filter row
+ */
+export interface TextFilter {
+    /** Default: 'contains' */
+    operator?: TextFilterOperator;
+    value?: string | number;
+    /** Upper bound of the 'between' operator; an empty bound leaves the range open */
+    to?: string | number;
+}
+
+/**
+ * Filter of a single column, as accepted by setFilter()
+ */
+export type FilterSpec =
+    | string
+    | string[]
+    | null
+    | { value: string | string[] | null }
+    | { date: DateFilterRange | null }
+    | { dateRange: DateRangeFilter | null }
+    | { numberRange: NumberRangeFilter | null }
+    | { text: TextFilter | string | null };
+
+/**
+ * Active filters keyed by column index
+ */
+export interface LiteTableFilters {
+    /** Kept values; an array matches rows holding any of them, '' matches empty cells */
+    value?: Record<number, string | string[]>;
+    date?: Record<number, DateFilterRange>;
+    dateRange?: Record<number, DateRangeFilter>;
+    numberRange?: Record<number, NumberRangeFilter>;
+    /** Filter row filters, combined with the other filters of their column */
+    text?: Record<number, TextFilter | string>;
+    /** Full-text search query */
+    search?: string;
+}
+
+/**
+ * Settings of the full-text search input
+ */
+export interface LiteTableSearchOptions {
+    /** Delay before typing triggers a search, in milliseconds (default: 250) */
+    debounce?: number;
+    /** Wrap matches in <mark class="lite-table-highlight"> (default: true) */
+    highlight?: boolean;
+    /** Input placeholder (default: 'Search...') */
+    placeholder?: string;
+}
+
+/**
+ * Storage used by the persist option, compatible with localStorage
+ */
+export interface LiteTableStorage {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+}
+
+/**
+ * Settings of the persisted preferences
+ */
+export interface LiteTablePersistOptions {
+    /** Name of the saved preferences, stored as 'litetable:<key>' */
+    key: string;
+    /** Storage adapter (default: localStorage) */
+    storage?: LiteTableStorage | null;
+}
+
+/**
+ * Options of exportCSV(), downloadCSV() and copyTSV()
+ */
+export interface LiteTableExportOptions {
+    /** Rows to export (default: 'filtered') */
+    scope?: 'filtered' | 'page' | 'all' | 'selected';
+    /** Indexes of the exported columns, in order (default: every column) */
+    columns?: number[] | null;
+    /** Field delimiter (default: ',') */
+    delimiter?: string;
+    /** Starts with a row of column titles (default: true) */
+    header?: boolean;
+    /** Starts with a byte order mark, so that Excel reads UTF-8 (default: false) */
+    bom?: boolean;
+}
+
+/**
+ * Options of exportXLSX() and downloadXLSX()
+ */
+export interface LiteTableXLSXOptions extends Omit<LiteTableExportOptions, 'delimiter' | 'bom'> {
+    /** Name of the worksheet, up to 31 characters without []:*?/\ (default: 'Sheet1') */
+    sheetName?: string;
+}
+
+/**
+ * Settings of the export button
+ */
+export interface LiteTableExportButtonOptions extends Omit<LiteTableExportOptions, 'delimiter'> {
+    /** Button text (default: 'Export CSV') */
+    label?: string;
+    /** Name of the downloaded file (default: 'export.csv') */
+    filename?: string;
+}
+
+/**
+ * Settings of the row selection checkboxes
+ */
+export interface LiteTableSelectableOptions {
+    /** Rows selected by the header checkbox: the current page or every filtered row (default: 'page') */
+    selectAll?: 'page' | 'filtered';
+}
+
+/**
+ * Settings of the virtual scrolling mode
+ */
+export interface LiteTableVirtualScrollOptions {
+    /** Height in pixels assumed for the rows not rendered yet (default: 32) */
+    rowHeight?: number;
+    /** Rows rendered above and below the rows in view (default: 10) */
+    buffer?: number;
+}
+
+/**
+ * Settings of the URL state synchronization
+ */
+export interface LiteTableUrlStateOptions {
+    /** Prefix of the URL parameters (default: the id of the container or table) */
+    key?: string | null;
+    /** Store the state in the query string or the hash (default: 'query') */
+    mode?: 'query' | 'hash';
+    /** Replace the history entry, or push one per change so the back button undoes it (default: 'replace') */
+    history?: 'replace' | 'push';
+}
+
+/**
+ * Sort, filter and paging state, as returned by getState()
+ */
+export interface LiteTableState {
+    sort: { column: number | null; direction: SortDirection | null };
+    /** Every sort key, by priority; sort is the first one */
+    sorts: SortKey[];
+    filters: Required<LiteTableFilters>;
+    page: number;
+    pageSize: PageSize;
+}
+
+/**
+ * Cached data of a table row
+ */
+export interface LiteTableRow {
+    originalIndex: number;
+    /** Row id from the data-row-id attribute, or null */
+    key: string | null;
+    element: HTMLTableRowElement;
+    /** Source record, for tables built from data */
+    record?: unknown;
+    cells: Array<{
+        innerHTML: string;
+        textContent: string;
+        title: string;
+        attributes: Record<string, string>;
+    }>;
+}
+
+/**
+ * Detail of the events emitted after a change
+ */
+export interface LiteTableEventDetail {
+    state: LiteTableState;
+    /** Rows shown on the current page, frozen and shared by the events of the same render */
+    rows: readonly LiteTableRow[];
+    /** Rows matching the current filters, frozen and shared by the events until the rows are sorted or filtered again */
+    filteredRows: readonly LiteTableRow[];
+    /** Rendered <tr> elements, only set on 'render' */
+    elements?: HTMLTableRowElement[];
+}
+
+export interface LiteTableEventMap {
+    init: LiteTableEventDetail;
+    render: LiteTableEventDetail;
+    beforesort: { column: number | null; direction: SortDirection | null; sorts: SortKey[] };
+    sort: LiteTableEventDetail;
+    beforefilter: { column: number | null; spec: FilterSpec | { search: string } };
+    filter: LiteTableEventDetail;
+    beforepage: { page: number };
+    page: LiteTableEventDetail;
+    beforepagesize: { pageSize: PageSize };
+    pagesize: LiteTableEventDetail;
+    beforestatechange: { state: Partial<LiteTableState> };
+    statechange: LiteTableEventDetail;
+    data: LiteTableEventDetail;
+    rowschange: LiteTableEventDetail & { action: 'add' | 'update' | 'remove' | 'replace'; keys: Array<string | null> };
+    selectionchange: LiteTableEventDetail & { selectedRows: LiteTableRow[] };
+    columnvisibility: LiteTableEventDetail & { hiddenColumns: number[] };
+    columnorder: LiteTableEventDetail & { columnOrder: number[] };
+    columnresize: LiteTableEventDetail & { columnWidths: Record<number, number> };
+    destroy: { state: LiteTableState };
+}
+
+/**
+ * Date format: a format string such as 'DD/MM/YYYY' or 'YYYY-MM-DD HH:mm', a built-in name,
+ * a parser returning a Date, a timestamp or null, or a list of formats tried in order
+ */
+export type DateFormat =
+    | 'iso'
+    | 'timestamp'
+    | 'unix'
+    | (string & {})
+    | ((value: string) => Date | number | null)
+    | DateFormat[];
+
+/**
+ * Column definition of a table built from data
+ */
+export interface LiteTableColumn<T = Record<string, unknown>> {
+    /** Property of each record displayed in the column */
+    key: string;
+    /** Header text (default: the key) */
+    title?: string;
+    /** Column type; detected from the values when omitted */
+    type?: 'text' | 'number' | 'date' | 'boolean' | (string & {});
+    /** Returns the cell content as an HTML string or a DOM node */
+    render?: (value: unknown, record: T) => string | Node | null | undefined;
+    /**
+     * Filter control: true picks one from the column type, 'value'/'date' adds a dropdown,
+     * 'dateRange' adds from/to inputs and 'numberRange' adds min/max inputs
+     */
+    filter?: boolean | 'value' | 'date' | 'dateRange' | 'numberRange';
+    /** Adds a dual-handle slider to a number range filter (default: false) */
+    rangeSlider?: boolean;
+    /** Hides the column until it is shown from the column chooser or showColumn() (default: false) */
+    hidden?: boolean;
+    /** Smallest width of the column when resized, in pixels (default: 40) */
+    minWidth?: number;
+    /** Largest width of the column when resized, in pixels */
+    maxWidth?: number;
+    /** Set to false to exclude the column from the full-text search */
+    searchable?: boolean;
+    /** Date format of the column (default: the table's dateFormat) */
+    dateFormat?: DateFormat;
+}
+
+/**
+ * Options accepted by the LiteTableManager constructor
+ */
+export interface LiteTableOptions {
+    /** Choices offered by the display limit selector (default: [10, 25, 50, 100]) */
+    pageSizes?: PageSize[];
+    /** Initial number of rows per page (default: 25) */
+    pageSize?: PageSize;
+    /** Initial sort; 'auto' sorts the first date column descending, null keeps the markup order (default: 'auto') */
+    initialSort?: 'auto' | null | SortKey | SortKey[];
+    /** Initial filters keyed by column index */
+    initialFilters?: LiteTableFilters;
+    /** Columns that get a sort button; null means every column but the first (default: null) */
+    sortableColumns?: number[] | null;
+    /** Locale used to compare text values and read numbers (default: 'fr') */
+    locale?: string;
+    /** Built-in controls to render (default: all of them) */
+    controls?: LiteTableControls;
+    /** Records to display; requires columns */
+    data?: Record<string, unknown>[] | null;
+    /** Column definitions used to generate the header and rows */
+    columns?: LiteTableColumn[] | null;
+    /** Record property used as row id (data-row-id) in data-driven mode */
+    rowKey?: string | null;
+    /** Renders a full-text search input (default: false) */
+    search?: boolean | LiteTableSearchOptions;
+    /** Adds a second header row with a filter input per column (default: false) */
+    filterRow?: boolean;
+    /** Keeps the sort, filters, page and page size in the URL (default: false) */
+    urlState?: boolean | LiteTableUrlStateOptions;
+    /** Saves the sort, filters and page size under a key, and restores them on the next visit (default: null) */
+    persist?: string | LiteTablePersistOptions | null;
+    /** Adds a button downloading the rows as CSV to the footer (default: false) */
+    exportButton?: boolean | LiteTableExportButtonOptions;
+    /** Adds a checkbox column to select rows (default: false) */
+    selectable?: boolean | LiteTableSelectableOptions;
+    /** Adds a "Columns" menu to show and hide columns (default: false) */
+    columnChooser?: boolean;
+    /** Lets users drag header cells, or press Alt+ArrowLeft/ArrowRight on them, to move columns (default: false) */
+    reorderable?: boolean;
+    /** Adds handles to the header cells to resize columns, or fit them to their content on double-click (default: false) */
+    resizable?: boolean;
+    /** Pins each header row, optionally `offset` pixels below the top of the container (default: false) */
+    stickyHeader?: boolean | { offset?: number };
+    /** Number of leading columns kept in view when scrolling horizontally (default: 0) */
+    frozenColumns?: number;
+    /** Renders only the rows in view of `.lite-table-container`; the page size then defaults to 'all' (default: false) */
+    virtualScroll?: boolean | LiteTableVirtualScrollOptions;
+    /** Date format used to sort and filter dates (default: 'DD/MM/YYYY') */
+    dateFormat?: DateFormat;
+}
+
+/**
+ * Row accepted by the row mutation methods; records require the columns option
+ */
+export type LiteTableRowInput = HTMLTableRowElement | string | Record<string, unknown>;
+
 /**
  * Main class to manage table functionalities
  */
 export class LiteTableManager {
+    /**
+     * Registers a column type, see registerType()
+     */
+    static registerType<K>(name: string, definition: ColumnTypeDefinition<K>): void;
+
     /**
      * Creates an instance of LiteTableManager
      * @param tableContainer - Table container with the class 'lite-table'
+     * @param options - Table options
      */
-    constructor(tableContainer: HTMLElement);
+    constructor(tableContainer: HTMLElement, options?: LiteTableOptions);
 
     /**
      * Refreshes the table display based on current filters, sorting, and pagination
      */
     updateTable(): void;
 
+    /**
+     * Sorts the table by a column; a null direction restores the original order
+     */
+    sortBy(columnIndex: number, direction?: SortDirection | null): void;
+
+    /**
+     * Adds a sort key after the existing ones or changes its direction; null removes it
+     */
+    addSort(columnIndex: number, direction?: SortDirection | null): void;
+
+    /**
+     * Replaces every sort key; an empty array restores the original order
+     */
+    setSort(sortKeys: SortKey[]): void;
+
+    /**
+     * Sets the filter of a column, or clears it with null
+     */
+    setFilter(columnIndex: number, spec: FilterSpec): void;
+
+    /**
+     * Clears every active filter
+     */
+    clearFilters(): void;
+
+    /**
+     * Sets the full-text search query; an empty string clears it
+     */
+    setSearch(query: string): void;
+
+    /**
+     * Displays a page (1-based), clamped to the available pages
+     */
+    goToPage(pageIndex: number): void;
+
+    /**
+     * Changes the number of rows per page
+     */
+    setPageSize(pageSize: PageSize): void;
+
+    /**
+     * Returns a snapshot of the sort, filter and paging state
+     */
+    getState(): LiteTableState;
+
+    /**
+     * Restores a state previously returned by getState(); missing keys are left unchanged
+     */
+    setState(state: Partial<LiteTableState>): void;
+
+    /**
+     * Restores the initial sort, filters, page, page size, hidden columns, column order and column widths,
+     * and forgets the persisted preferences. Emits `beforestatechange` and `statechange` once; canceling
+     * `beforestatechange` keeps every setting.
+     */
+    resetState(): void;
+
+    /**
+     * Returns the rows as CSV text, in the current sort order
+     */
+    exportCSV(options?: LiteTableExportOptions): string;
+
+    /**
+     * Downloads the rows as a CSV file
+     */
+    downloadCSV(filename?: string, options?: LiteTableExportOptions): void;
+
+    /**
+     * Copies the rows to the clipboard as tab-separated values
+     */
+    copyTSV(options?: Omit<LiteTableExportOptions, 'delimiter' | 'bom'>): Promise<void>;
+
+    /**
+     * Hides a column; its filters and sort keys still apply
+     */
+    hideColumn(column: number): void;
+
+    /**
+     * Shows a hidden column
+     */
+    showColumn(column: number): void;
+
+    /**
+     * Returns the indexes of the hidden columns, in ascending order
+     */
+    getHiddenColumns(): number[];
+
+    /**
+     * Moves a column; filters, sort keys and hidden columns follow it, and column indexes
+     * then refer to the new order
+     */
+    moveColumn(from: number, to: number): void;
+
+    /**
+     * Returns the markup index of each column, in display order
+     */
+    getColumnOrder(): number[];
+
+    /**
+     * Puts the columns in an order returned by getColumnOrder()
+     */
+    setColumnOrder(order: number[]): void;
+
+    /**
+     * Returns the column widths in pixels keyed by column index; empty when the columns have
+     * their automatic width
+     */
+    getColumnWidths(): Record<number, number>;
+
+    /**
+     * Replaces the column widths; columns that are not listed keep the width of the automatic
+     * layout, and an empty object goes back to automatic widths
+     */
+    setColumnWidths(widths: Record<number, number>): void;
+
+    /**
+     * Returns the selected rows in the current sort order, including rows hidden by the filters
+     */
+    getSelectedRows(): LiteTableRow[];
+
+    /**
+     * Selects, or deselects when selected is false, the rows with these ids
+     */
+    selectRows(keys: Array<string | number>, selected?: boolean): void;
+
+    /**
+     * Selects the rows of the current page or every filtered row (default: the selectAll option)
+     */
+    selectAll(scope?: 'page' | 'filtered'): void;
+
+    /**
+     * Deselects every row
+     */
+    clearSelection(): void;
+
+    /**
+     * Returns the rows as an .xlsx workbook, with typed date and number cells
+     */
+    exportXLSX(options?: LiteTableXLSXOptions): Uint8Array;
+
+    /**
+     * Downloads the rows as an .xlsx workbook
+     */
+    downloadXLSX(filename?: string, options?: LiteTableXLSXOptions): void;
+
+    /**
+     * Replaces the records of a table built from the data and columns options
+     */
+    setData(data: Record<string, unknown>[]): void;
+
+    /**
+     * Appends rows, keeping the current sort, filters and page
+     */
+    addRows(rows: LiteTableRowInput[]): void;
+
+    /**
+     * Replaces the content of a row; an array updates cell HTML, an object is merged into the record
+     */
+    updateRow(key: string | number, data: LiteTableRowInput | Array<string | undefined>): void;
+
+    /**
+     * Removes a row
+     */
+    removeRow(key: string | number): void;
+
+    /**
+     * Replaces every row, keeping the current sort, filters and page
+     */
+    replaceAll(rows: LiteTableRowInput[]): void;
+
+    /**
+     * Subscribes to a table event; call preventDefault() on a before* event to cancel the change
+     */
+    on<K extends keyof LiteTableEventMap>(name: K, handler: (event: CustomEvent<LiteTableEventMap[K]>) => void): this;
+
+    /**
+     * Removes a listener added with on()
+     */
+    off<K extends keyof LiteTableEventMap>(name: K, handler: (event: CustomEvent<LiteTableEventMap[K]>) => void): this;
+
     /**
      * Cleans up the LiteTableManager instance and releases resources
      */
@@ -21,5 +562,84 @@ export class LiteTableManager {
 
 /**
  * Initializes all Table instances on the page
+ * @param options - Default options, overridden by each container's data-* attributes
+ */
+export function initTables(options?: LiteTableOptions): void;
+
+/**
+ * Reads table options from the container's data-* attributes
+ * @param container - Table container with the 'lite-table' class
+ */
+export function getDataOptions(container: HTMLElement): LiteTableOptions;
+
+/**
+ * Creates a parser returning the Date matching a string, or null
+ * @throws {Error} If the format is invalid
+ */
+export function createDateParser(format?: DateFormat): (value: string) => Date | null;
+
+/**
+ * Parses a date string, in DD/MM/YYYY format by default
+ */
+export function parseDate(dateStr: string, format?: DateFormat): Date | null;
+
+/**
+ * Checks if a date string falls within a relative period
+ * @throws {Error} If the string does not match the format
+ */
+export function isDateInRange(
+    dateStr: string,
+    range: 'today' | 'week' | 'month' | 'quarter' | 'year',
+    format?: DateFormat
+): boolean;
+
+/**
+ * Values passed to the hooks of a column type
+ */
+export interface ColumnTypeContext {
+    columnIndex: number;
+    locale: string;
+    collator: Intl.Collator;
+    /** Parses a date with the column's date format */
+    parseDate: (value: string) => Date | null;
+    /** Parses a number with the table's locale */
+    parseNumber: (value: string) => number | null;
+}
+
+/**
+ * Column type definition, see registerType()
+ */
+export interface ColumnTypeDefinition<K = unknown> {
+    /** Converts a value to a sort key; null or undefined for values that are not of this type */
+    parse?: (value: string, context: ColumnTypeContext) => K | null | undefined;
+    /** Compares two sort keys (default: < and >) */
+    compare?: (a: K, b: K, context: ColumnTypeContext) => number;
+    /** Recognizes values of this type, to detect the type of columns without data-type */
+    detect?: (value: string, context: ColumnTypeContext) => boolean;
+}
+
+/**
+ * Registers a column type, usable with data-type on <th> or the type of a column definition
+ * @throws {Error} If the name or definition is invalid
+ */
+export function registerType<K>(name: string, definition: ColumnTypeDefinition<K>): void;
+
+/**
+ * Creates a parser for numbers written in a locale, returning null for text and placeholders such as "-"
+ */
+export function createNumberParser(locale?: string): (value: string) => number | null;
+
+/**
+ * Parses a number written in a locale: "1 234,56 €", "$1,234.50", "12 %", "(45)"
+ */
+export function parseNumber(value: string, locale?: string): number | null;
+
+/**
+ * Removes accents and lowercases text, as done by the full-text search
+ */
+export function normalizeSearchText(text: string): string;
+
+/**
+ * Wraps the text matching normalized search terms in <mark> elements
  */
-export function initTables(): void;
\ No newline at end of file
+export function highlightMatches(element: HTMLElement, terms: string[]): void;
\ No newline at end of file
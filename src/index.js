@@ -1,2 +1,14 @@
 import './style.css';
-export { LiteTableManager, initTables } from './LiteTable.js';
+export {
+    LiteTableManager,
+    initTables,
+    getDataOptions,
+    createDateParser,
+    parseDate,
+    isDateInRange,
+    createNumberParser,
+    parseNumber,
+    normalizeSearchText,
+    highlightMatches,
+    registerType
+} from './LiteTable.js';
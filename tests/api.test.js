@@ -0,0 +1,222 @@
+const { LiteTableManager } = require('../src/LiteTable');
+
+describe('LiteTableManager programmatic API', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th class="filtered">Status</th>
+              <th class="filtered">Date</th>
+              <th class="date-range">Created At</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>Active</td><td>15/04/2025</td><td>01/01/2025</td></tr>
+            <tr><td>2</td><td>Inactive</td><td>20/03/2025</td><td>15/02/2025</td></tr>
+            <tr><td>3</td><td>Pending</td><td>05/05/2025</td><td>10/03/2025</td></tr>
+            <tr><td>4</td><td>Active</td><td>10/02/2025</td><td>20/04/2025</td></tr>
+            <tr><td>5</td><td>Inactive</td><td>30/04/2025</td><td>05/05/2025</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[0].textContent);
+
+    let container;
+    let tableManager;
+
+    beforeEach(() => {
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, {
+            initialSort: null,
+            controls: { filters: true, sorting: true, displayLimit: true, pagination: true }
+        });
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    describe('sortBy', () => {
+        test('should sort and update the header buttons', () => {
+            tableManager.sortBy(2, 'asc');
+
+            expect(renderedIds()).toEqual(['4', '2', '1', '5', '3']);
+            const buttons = container.querySelectorAll('.sort-button');
+            expect(buttons[1].classList.contains('asc')).toBe(true);
+
+            tableManager.sortBy(1, 'desc');
+            expect(buttons[1].classList.contains('asc')).toBe(false);
+            expect(buttons[0].classList.contains('desc')).toBe(true);
+        });
+
+        test('should restore the original order with a null direction', () => {
+            tableManager.sortBy(2, 'desc');
+            tableManager.sortBy(2, null);
+
+            expect(tableManager.currentSort).toEqual({ column: null, direction: null });
+            expect(renderedIds()).toEqual(['1', '2', '3', '4', '5']);
+            expect(container.querySelector('.sort-button.asc, .sort-button.desc')).toBeNull();
+        });
+
+        test('should reject invalid arguments', () => {
+            expect(() => tableManager.sortBy(9, 'asc')).toThrow('Invalid column index: 9');
+            expect(() => tableManager.sortBy(1, 'up')).toThrow('Invalid sort direction: up');
+        });
+    });
+
+    describe('setFilter and clearFilters', () => {
+        test('should apply each filter type and sync the controls', () => {
+            const statusToggle = container.querySelector('.lite-table-value-filter-toggle');
+            const dateSelect = container.querySelector('.lite-table-filter select');
+            const [fromInput, toInput] = container.querySelectorAll('.lite-table-filter input[type="date"]');
+
+            tableManager.setFilter(1, 'Active');
+            expect(renderedIds()).toEqual(['1', '4']);
+            expect(statusToggle.textContent).toBe('Active');
+
+            tableManager.setFilter(3, { dateRange: { from: '2025-01-01', to: '2025-02-28' } });
+            expect(renderedIds()).toEqual(['1']);
+            expect(fromInput.value).toBe('2025-01-01');
+            expect(toInput.value).toBe('2025-02-28');
+
+            tableManager.setFilter(2, { date: 'year' });
+            expect(dateSelect.value).toBe('year');
+
+            tableManager.clearFilters();
+            expect(renderedIds()).toHaveLength(5);
+            expect(statusToggle.textContent).toBe('All');
+            expect(dateSelect.value).toBe('');
+            expect(fromInput.value).toBe('');
+        });
+
+        test('should clear a column filter with null', () => {
+            tableManager.setFilter(1, { value: 'Pending' });
+            tableManager.setFilter(1, null);
+
+            expect(tableManager.getState().filters.value).toEqual({});
+            expect(renderedIds()).toHaveLength(5);
+        });
+
+        test('should reject invalid specs', () => {
+            expect(() => tableManager.setFilter(1, { contains: 'x' })).toThrow('Invalid filter spec');
+            expect(() => tableManager.setFilter(2, { date: 'decade' })).toThrow('Invalid date filter: decade');
+            expect(() => tableManager.setFilter(-1, 'x')).toThrow('Invalid column index: -1');
+        });
+    });
+
+    describe('paging', () => {
+        test('should change the page size and sync the selector', () => {
+            tableManager.setPageSize(2);
+
+            expect(renderedIds()).toEqual(['1', '2']);
+            expect(container.querySelector('.displayLimit').value).toBe('2');
+
+            tableManager.setPageSize('all');
+            expect(renderedIds()).toHaveLength(5);
+            expect(container.querySelector('.displayLimit').value).toBe('all');
+        });
+
+        test('should go to a page, clamped to the available pages', () => {
+            tableManager.setPageSize(2);
+
+            tableManager.goToPage(2);
+            expect(renderedIds()).toEqual(['3', '4']);
+            expect(container.querySelector('.lite-table-pagination .active').textContent).toBe('2');
+
+            tableManager.goToPage(10);
+            expect(renderedIds()).toEqual(['5']);
+
+            tableManager.goToPage(0);
+            expect(renderedIds()).toEqual(['1', '2']);
+        });
+
+        test('should reject invalid values', () => {
+            expect(() => tableManager.setPageSize(0)).toThrow('Invalid page size: 0');
+            expect(() => tableManager.goToPage('2')).toThrow('Invalid page number: 2');
+        });
+    });
+
+    describe('getState and setState', () => {
+        test('should return the current state', () => {
+            tableManager.sortBy(2, 'desc');
+            tableManager.setFilter(1, 'Inactive');
+            tableManager.setPageSize(10);
+
+            expect(tableManager.getState()).toEqual({
+                sort: { column: 2, direction: 'desc' },
+                sorts: [{ column: 2, direction: 'desc' }],
+                filters: { value: { 1: 'Inactive' }, date: {}, dateRange: {}, numberRange: {}, text: {}, search: '' },
+                page: 1,
+                pageSize: 10
+            });
+        });
+
+        test('should restore a saved state', () => {
+            tableManager.setPageSize(1);
+            tableManager.sortBy(0, 'desc');
+            tableManager.setFilter(1, 'Active');
+            tableManager.goToPage(2);
+            const state = tableManager.getState();
+
+            tableManager.clearFilters();
+            tableManager.sortBy(0, null);
+            tableManager.setPageSize(25);
+
+            tableManager.setState(state);
+            expect(tableManager.getState()).toEqual(state);
+            expect(renderedIds()).toEqual(['1']);
+            expect(container.querySelector('.lite-table-value-filter-toggle').textContent).toBe('Active');
+        });
+
+        test('should keep the parts that are not provided', () => {
+            tableManager.setFilter(1, 'Active');
+            tableManager.setState({ sort: { column: 0, direction: 'desc' } });
+
+            expect(renderedIds()).toEqual(['4', '1']);
+        });
+
+        test('should reject an invalid state', () => {
+            expect(() => tableManager.setState(null)).toThrow('State must be an object');
+            expect(() => tableManager.setState({ pageSize: -1 })).toThrow('Invalid page size: -1');
+        });
+
+        test('should leave the state unchanged when a part is invalid', () => {
+            tableManager.setFilter(1, 'Active');
+            tableManager.setPageSize(10);
+            const state = tableManager.getState();
+
+            expect(() => tableManager.setState({
+                pageSize: 1,
+                filters: { value: { 1: 'Inactive' } },
+                sorts: [{ column: 9, direction: 'asc' }]
+            })).toThrow('Invalid column index: 9');
+            expect(() => tableManager.setState({
+                pageSize: 1,
+                filters: { value: { 1: 'Inactive' }, date: { 2: 'decade' } }
+            })).toThrow('Invalid date filter: decade');
+            expect(() => tableManager.setState({ filters: { value: { 5: 'x' } } })).toThrow('Invalid column index: 5');
+
+            expect(tableManager.getState()).toEqual(state);
+        });
+    });
+});
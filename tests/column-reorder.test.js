@@ -0,0 +1,252 @@
+const { LiteTableManager, getDataOptions } = require('../src/LiteTable');
+
+describe('LiteTableManager column reordering', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th class="filtered">Status</th>
+              <th data-type="number">Amount</th>
+              <th>Owner</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr data-row-id="a"><td>1</td><td>Open</td><td>100</td><td>Ann</td></tr>
+            <tr data-row-id="b"><td>2</td><td>Closed</td><td>250</td><td>Bob</td></tr>
+            <tr data-row-id="c"><td>3</td><td>Open</td><td>75</td><td>Cid</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const headers = () => Array.from(container.querySelectorAll('thead tr:first-child th')).map(th => th.textContent);
+    const renderedRows = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => Array.from(row.cells).map(cell => cell.textContent).join(' '));
+    const headerCell = title => Array.from(container.querySelectorAll('thead th')).find(th => th.textContent === title);
+    const dragEvent = (name, target) => {
+        const event = new Event(name, { bubbles: true, cancelable: true });
+        target.dispatchEvent(event);
+        return event;
+    };
+    const keydown = (element, key, altKey = true) => element.dispatchEvent(new KeyboardEvent('keydown', { key, altKey, bubbles: true }));
+
+    let container;
+    let tableManager;
+
+    const createTable = options => {
+        if (tableManager) tableManager.destroy();
+        if (container) document.body.removeChild(container);
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, { initialSort: null, reorderable: true, ...options });
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        createTable();
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should move the header and the cells of a column', () => {
+        const handler = jest.fn();
+        tableManager.on('columnorder', handler);
+
+        tableManager.moveColumn(3, 1);
+
+        expect(headers()).toEqual(['ID', 'Owner', 'Status', 'Amount']);
+        expect(renderedRows()).toEqual(['1 Ann Open 100', '2 Bob Closed 250', '3 Cid Open 75']);
+        expect(tableManager.getColumnOrder()).toEqual([0, 3, 1, 2]);
+        expect(tableManager.rowsCache[0].cells.map(cell => cell.textContent)).toEqual(['1', 'Ann', 'Open', '100']);
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail.columnOrder).toEqual([0, 3, 1, 2]);
+
+        tableManager.moveColumn(1, 1);
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep filters, sort keys, types and hidden columns on their column', () => {
+        tableManager.setFilter(1, 'Open');
+        tableManager.sortBy(2, 'desc');
+        tableManager.hideColumn(3);
+
+        tableManager.moveColumn(0, 3);
+
+        expect(tableManager.getState().filters.value).toEqual({ 0: 'Open' });
+        expect(tableManager.getState().sorts).toEqual([{ column: 1, direction: 'desc' }]);
+        expect(tableManager.getHiddenColumns()).toEqual([2]);
+        expect(tableManager.getColumnType(1)).toBe('number');
+        expect(renderedRows()).toEqual(['Open 100 Ann 1', 'Open 75 Cid 3']);
+
+        tableManager.sortBy(1, 'asc');
+        expect(renderedRows()).toEqual(['Open 75 Cid 3', 'Open 100 Ann 1']);
+    });
+
+    test('should keep the controls bound to their column', () => {
+        createTable({ controls: { filters: true, sorting: true }, filterRow: true, columnChooser: true });
+
+        tableManager.moveColumn(1, 3);
+        container.querySelector('.lite-table-value-filter input[value="Closed"]').click();
+        expect(tableManager.getState().filters.value).toEqual({ 3: 'Open' });
+
+        headerCell('Amount').querySelector('.sort-button').click();
+        expect(tableManager.getState().sorts).toEqual([{ column: 1, direction: 'asc' }]);
+        expect(headerCell('Amount').querySelector('.sort-button').classList.contains('asc')).toBe(true);
+
+        const filterCells = container.querySelector('.lite-table-filter-row').cells;
+        const textInput = filterCells[3].querySelector('input');
+        expect(tableManager.textFilterControls[3].input).toBe(textInput);
+        textInput.value = 'clo';
+        filterCells[3].querySelector('select').dispatchEvent(new Event('change'));
+        expect(tableManager.getState().filters.text).toEqual({ 3: { operator: 'contains', value: 'clo', to: '' } });
+
+        const chooserBox = container.querySelector('.lite-table-column-chooser input[value="3"]');
+        expect(chooserBox.nextSibling.textContent).toBe('Status');
+        chooserBox.click();
+        expect(tableManager.getHiddenColumns()).toEqual([3]);
+    });
+
+    test('should move columns by dragging a header cell onto another', () => {
+        const dragStart = dragEvent('dragstart', headerCell('Amount'));
+        expect(dragStart.defaultPrevented).toBe(false);
+        expect(headerCell('Amount').classList.contains('lite-table-dragging')).toBe(true);
+
+        expect(dragEvent('dragover', headerCell('ID')).defaultPrevented).toBe(true);
+        expect(headerCell('ID').classList.contains('lite-table-drop-target')).toBe(true);
+
+        dragEvent('drop', headerCell('ID'));
+        dragEvent('dragend', headerCell('Amount'));
+
+        expect(headers()).toEqual(['Amount', 'ID', 'Status', 'Owner']);
+        expect(container.querySelector('.lite-table-drop-target, .lite-table-dragging')).toBeNull();
+        expect(dragEvent('dragover', headerCell('ID')).defaultPrevented).toBe(false);
+    });
+
+    test('should move columns with Alt+Arrow keys, skipping hidden columns', () => {
+        createTable({ controls: { sorting: true } });
+        tableManager.hideColumn(2);
+
+        const button = headerCell('Status').querySelector('.sort-button');
+        button.focus();
+        keydown(button, 'ArrowRight');
+        expect(headers()).toEqual(['ID', 'Amount', 'Owner', 'Status']);
+        expect(document.activeElement).toBe(button);
+
+        keydown(button, 'ArrowRight');
+        keydown(button, 'ArrowLeft', false);
+        expect(tableManager.getColumnOrder()).toEqual([0, 2, 3, 1]);
+
+        expect(headerCell('ID').tabIndex).toBe(0);
+        keydown(headerCell('ID'), 'ArrowLeft');
+        expect(tableManager.getColumnOrder()).toEqual([0, 2, 3, 1]);
+    });
+
+    test('should read added rows in the markup order', () => {
+        tableManager.moveColumn(0, 2);
+
+        tableManager.addRows(['<tr data-row-id="d"><td>4</td><td>Open</td><td>5</td><td>Dan</td></tr>']);
+        tableManager.updateRow('a', ['Archived']);
+        tableManager.updateRow('b', '<tr><td>2</td><td>Lost</td><td>0</td><td>Bob</td></tr>');
+
+        expect(renderedRows()).toEqual(['Archived 100 1 Ann', 'Lost 0 2 Bob', 'Open 75 3 Cid', 'Open 5 4 Dan']);
+    });
+
+    test('should set and validate a whole column order', () => {
+        tableManager.setColumnOrder([3, 2, 1, 0]);
+        expect(headers()).toEqual(['Owner', 'Amount', 'Status', 'ID']);
+
+        expect(() => tableManager.setColumnOrder([0, 1, 2])).toThrow('Invalid column order: expected every column index once');
+        expect(() => tableManager.setColumnOrder([0, 0, 1, 2])).toThrow('Invalid column order: expected every column index once');
+        expect(() => tableManager.moveColumn(0, 4)).toThrow('Invalid column index: 4');
+    });
+
+    test('should persist the column order and reset it', () => {
+        createTable({ persist: 'orders' });
+        tableManager.moveColumn(3, 0);
+        tableManager.setFilter(2, 'Closed');
+        expect(JSON.parse(localStorage.getItem('litetable:orders')).order).toEqual([3, 0, 1, 2]);
+
+        createTable({ persist: 'orders' });
+        expect(headers()).toEqual(['Owner', 'ID', 'Status', 'Amount']);
+        expect(renderedRows()).toEqual(['Bob 2 Closed 250']);
+
+        tableManager.resetState();
+        expect(headers()).toEqual(['ID', 'Status', 'Amount', 'Owner']);
+        expect(renderedRows()).toHaveLength(3);
+        expect(localStorage.getItem('litetable:orders')).toBeNull();
+    });
+
+    test('should reset the columns and the state at once', () => {
+        tableManager.moveColumn(3, 0);
+        tableManager.hideColumn(1);
+        tableManager.setColumnWidths({ 0: 120 });
+        tableManager.setFilter(2, 'Closed');
+        const handlers = ['statechange', 'columnorder', 'columnvisibility', 'columnresize'].map(name => {
+            const handler = jest.fn();
+            tableManager.on(name, handler);
+            return handler;
+        });
+        const cancel = event => event.preventDefault();
+        tableManager.on('beforestatechange', cancel);
+
+        tableManager.resetState();
+        expect(headers()).toEqual(['Owner', 'ID', 'Status', 'Amount']);
+        expect(tableManager.getHiddenColumns()).toEqual([1]);
+        expect(tableManager.getColumnWidths()).not.toEqual({});
+        expect(renderedRows()).toEqual(['Bob 2 Closed 250']);
+
+        tableManager.off('beforestatechange', cancel);
+        tableManager.resetState();
+        expect(headers()).toEqual(['ID', 'Status', 'Amount', 'Owner']);
+        expect(tableManager.getHiddenColumns()).toEqual([]);
+        expect(tableManager.getColumnWidths()).toEqual({});
+        expect(renderedRows()).toHaveLength(3);
+        expect(handlers.map(handler => handler.mock.calls.length)).toEqual([1, 0, 0, 0]);
+    });
+
+    test('should render records in the new order', () => {
+        createTable({
+            data: [{ id: 1, name: 'Ann' }],
+            columns: [{ key: 'id' }, { key: 'name' }]
+        });
+        tableManager.moveColumn(1, 0);
+        tableManager.setData([{ id: 2, name: 'Bob' }]);
+
+        expect(headers()).toEqual(['name', 'id']);
+        expect(renderedRows()).toEqual(['Bob 2']);
+    });
+
+    test('should restore the markup order on destroy', () => {
+        tableManager.moveColumn(0, 3);
+        tableManager.destroy();
+        tableManager = null;
+
+        expect(headers()).toEqual(['ID', 'Status', 'Amount', 'Owner']);
+        expect(container.querySelector('th[draggable]')).toBeNull();
+    });
+
+    test('should read data-reorderable and reject invalid options', () => {
+        container.dataset.reorderable = 'true';
+        expect(getDataOptions(container)).toEqual({ reorderable: true });
+
+        expect(() => createTable({ reorderable: 'yes' })).toThrow('Invalid option "reorderable": expected a boolean');
+    });
+});
@@ -0,0 +1,216 @@
+const { LiteTableManager, getDataOptions } = require('../src/LiteTable');
+
+describe('LiteTableManager column resizing', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th data-min-width="80" data-max-width="300">Name</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>Acme</td><td>100</td></tr>
+            <tr><td>2</td><td>Zeta Industries International</td><td>250</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const headerCell = colIndex => container.querySelectorAll('thead th')[colIndex];
+    const handle = colIndex => headerCell(colIndex).querySelector('.lite-table-resize-handle');
+    const pointer = (name, target, clientX) => target.dispatchEvent(new MouseEvent(name, { clientX, button: 0, bubbles: true, cancelable: true }));
+    const keydown = (element, key) => element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+    const table = () => container.querySelector('table');
+
+    let container;
+    let tableManager;
+    let rectSpy;
+
+    const createTable = options => {
+        if (tableManager) tableManager.destroy();
+        if (container) document.body.removeChild(container);
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, { initialSort: null, resizable: true, ...options });
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        // jsdom does not lay out: every cell of the automatic layout is 100px wide
+        rectSpy = jest.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(function () {
+            const width = this.classList.contains('lite-table-select') ? 40 : parseFloat(this.style.width) || 100;
+            return { width, height: 20, top: 0, left: 0, right: width, bottom: 20, x: 0, y: 0 };
+        });
+        createTable();
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+        rectSpy.mockRestore();
+    });
+
+    test('should add a resize handle to each header cell', () => {
+        expect(container.querySelectorAll('.lite-table-resize-handle')).toHaveLength(3);
+        expect(handle(1).getAttribute('role')).toBe('separator');
+        expect(handle(1).getAttribute('aria-label')).toBe('Resize Name');
+        expect(tableManager.getColumnTitles()).toEqual(['ID', 'Name', 'Amount']);
+        expect(tableManager.getColumnWidths()).toEqual({});
+        expect(table().classList.contains('lite-table-resized')).toBe(false);
+    });
+
+    test('should resize a column by dragging its handle', () => {
+        const handler = jest.fn();
+        tableManager.on('columnresize', handler);
+
+        pointer('pointerdown', handle(2), 500);
+        expect(headerCell(2).classList.contains('lite-table-resizing')).toBe(true);
+        pointer('pointermove', handle(2), 530);
+        pointer('pointermove', handle(2), 550);
+        expect(handler).not.toHaveBeenCalled();
+        pointer('pointerup', handle(2), 550);
+
+        expect(tableManager.getColumnWidths()).toEqual({ 0: 100, 1: 100, 2: 150 });
+        expect(headerCell(2).style.width).toBe('150px');
+        expect(table().classList.contains('lite-table-resized')).toBe(true);
+        expect(table().style.width).toBe('350px');
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail.columnWidths).toEqual({ 0: 100, 1: 100, 2: 150 });
+        expect(headerCell(2).classList.contains('lite-table-resizing')).toBe(false);
+    });
+
+    test('should clamp widths to data-min-width and data-max-width', () => {
+        pointer('pointerdown', handle(1), 500);
+        pointer('pointermove', handle(1), 400);
+        expect(tableManager.getColumnWidths()[1]).toBe(80);
+        pointer('pointermove', handle(1), 900);
+        pointer('pointerup', handle(1), 900);
+        expect(tableManager.getColumnWidths()[1]).toBe(300);
+
+        tableManager.setColumnWidths({ 0: 10 });
+        expect(tableManager.getColumnWidths()[0]).toBe(40);
+    });
+
+    test('should fit a column to its content on double-click', () => {
+        const cells = [headerCell(1), ...Array.from(container.querySelectorAll('tbody tr'), tr => tr.cells[1])];
+        [60, 90, 212].forEach((width, index) => Object.defineProperty(cells[index], 'scrollWidth', { value: width }));
+
+        handle(1).dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+
+        expect(tableManager.getColumnWidths()).toEqual({ 0: 100, 1: 212, 2: 100 });
+    });
+
+    test('should resize with the arrow keys on a focused handle', () => {
+        keydown(handle(0), 'ArrowRight');
+        keydown(handle(0), 'ArrowRight');
+        keydown(handle(2), 'ArrowLeft');
+
+        expect(tableManager.getColumnWidths()).toEqual({ 0: 120, 1: 100, 2: 90 });
+    });
+
+    test('should set, read and reset widths through the API', () => {
+        const handler = jest.fn();
+        tableManager.on('columnresize', handler);
+
+        tableManager.setColumnWidths({ 1: 250 });
+        expect(tableManager.getColumnWidths()).toEqual({ 0: 100, 1: 250, 2: 100 });
+        tableManager.setColumnWidths(tableManager.getColumnWidths());
+        expect(handler).toHaveBeenCalledTimes(1);
+
+        tableManager.setColumnWidths({});
+        expect(tableManager.getColumnWidths()).toEqual({});
+        expect(headerCell(1).style.width).toBe('');
+        expect(table().style.width).toBe('');
+        expect(handler).toHaveBeenCalledTimes(2);
+
+        expect(() => tableManager.setColumnWidths({ 5: 100 })).toThrow('Invalid column index: 5');
+        expect(() => tableManager.setColumnWidths({ 1: -5 })).toThrow('Invalid width for column 1: expected a positive number of pixels');
+        expect(() => tableManager.setColumnWidths([100])).toThrow('Column widths must be an object keyed by column index');
+    });
+
+    test('should leave hidden columns out of the table width and count the checkboxes', () => {
+        createTable({ selectable: true });
+        tableManager.setColumnWidths({ 0: 50, 1: 200, 2: 100 });
+        expect(table().style.width).toBe('390px');
+
+        tableManager.hideColumn(1);
+        expect(table().style.width).toBe('190px');
+        tableManager.showColumn(1);
+        expect(headerCell(2).style.width).toBe('200px');
+    });
+
+    test('should keep widths with their column when columns move', () => {
+        tableManager.setColumnWidths({ 0: 50, 1: 200, 2: 120 });
+        tableManager.moveColumn(1, 0);
+
+        expect(tableManager.getColumnWidths()).toEqual({ 0: 200, 1: 50, 2: 120 });
+        expect(headerCell(0).style.width).toBe('200px');
+    });
+
+    test('should not start a column drag while resizing', () => {
+        createTable({ reorderable: true });
+
+        pointer('pointerdown', handle(1), 500);
+        const dragStart = new Event('dragstart', { bubbles: true, cancelable: true });
+        headerCell(1).dispatchEvent(dragStart);
+        pointer('pointerup', handle(1), 500);
+
+        expect(dragStart.defaultPrevented).toBe(true);
+        expect(tableManager.getColumnWidths()).toEqual({});
+    });
+
+    test('should persist the widths and reset them', () => {
+        createTable({ persist: 'orders' });
+        tableManager.setColumnWidths({ 1: 180 });
+        expect(JSON.parse(localStorage.getItem('litetable:orders')).widths).toEqual({ 0: 100, 1: 180, 2: 100 });
+
+        createTable({ persist: 'orders' });
+        expect(tableManager.getColumnWidths()).toEqual({ 0: 100, 1: 180, 2: 100 });
+        expect(headerCell(1).style.width).toBe('180px');
+
+        tableManager.resetState();
+        expect(tableManager.getColumnWidths()).toEqual({});
+    });
+
+    test('should remove the handles and widths on destroy', () => {
+        tableManager.setColumnWidths({ 1: 180 });
+        tableManager.destroy();
+        tableManager = null;
+
+        expect(container.querySelector('.lite-table-resize-handle')).toBeNull();
+        expect(headerCell(1).style.width).toBe('');
+        expect(table().classList.contains('lite-table-resized')).toBe(false);
+    });
+
+    test('should read limits from column definitions and reject invalid ones', () => {
+        container.dataset.resizable = 'true';
+        expect(getDataOptions(container)).toEqual({ resizable: true });
+
+        createTable({ data: [{ id: 1 }], columns: [{ key: 'id', minWidth: 60, maxWidth: 90 }] });
+        expect(headerCell(0).dataset.minWidth).toBe('60');
+        tableManager.setColumnWidths({ 0: 200 });
+        expect(tableManager.getColumnWidths()).toEqual({ 0: 90 });
+
+        expect(() => createTable({ data: [], columns: [{ key: 'id', minWidth: '60px' }] }))
+            .toThrow('Invalid option "columns[0].minWidth": expected a number of pixels');
+        expect(() => createTable({ data: [], columns: [{ key: 'id', minWidth: 100, maxWidth: 50 }] }))
+            .toThrow('Invalid data-min-width or data-max-width on column 0: expected pixels, the minimum first');
+        expect(() => createTable({ resizable: 'yes' })).toThrow('Invalid option "resizable": expected a boolean');
+    });
+});
@@ -0,0 +1,185 @@
+const { LiteTableManager, registerType } = require('../src/LiteTable');
+
+describe('Column types', () => {
+    const PRIORITIES = ['Low', 'High', 'Critical'];
+
+    registerType('priority', {
+        parse: value => {
+            const index = PRIORITIES.indexOf(value);
+            return index === -1 ? null : index;
+        },
+        compare: (a, b) => a - b
+    });
+
+    const createTableContainer = (headers, rows) => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead><tr>${headers}</tr></thead>
+          <tbody>${rows.join('')}</tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[0].textContent);
+
+    let container;
+    let tableManager;
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should sort with a registered type set by data-type', () => {
+        container = createTableContainer('<th>ID</th><th data-type="priority" class="filtered">Priority</th>', [
+            '<tr><td>1</td><td>High</td></tr>',
+            '<tr><td>2</td><td>Low</td></tr>',
+            '<tr><td>3</td><td>Critical</td></tr>',
+            '<tr><td>4</td><td>Unknown</td></tr>'
+        ]);
+        tableManager = new LiteTableManager(container, {
+            initialSort: { column: 1, direction: 'desc' },
+            controls: { filters: true }
+        });
+
+        expect(renderedIds()).toEqual(['4', '3', '1', '2']);
+
+        tableManager.sortBy(1, 'asc');
+        expect(renderedIds()).toEqual(['2', '1', '3', '4']);
+
+        const options = Array.from(container.querySelectorAll('.lite-table-value-filter input[type="checkbox"]'))
+            .map(checkbox => checkbox.value);
+        expect(options).toEqual(['Low', 'High', 'Critical', 'Unknown']);
+    });
+
+    test('should force a built-in type over detection', () => {
+        container = createTableContainer('<th>ID</th><th data-type="text">Code</th>', [
+            '<tr><td>1</td><td>250</td></tr>',
+            '<tr><td>2</td><td>1 000</td></tr>',
+            '<tr><td>3</td><td>75</td></tr>'
+        ]);
+        tableManager = new LiteTableManager(container, { initialSort: { column: 1, direction: 'asc' } });
+
+        expect(tableManager.getColumnType(1)).toBe('text');
+        expect(renderedIds()).toEqual(['2', '3', '1']);
+
+        tableManager.getHeaderCells()[1].removeAttribute('data-type');
+        delete tableManager.columnTypes[1];
+        tableManager.sortBy(1, 'asc');
+        expect(renderedIds()).toEqual(['3', '1', '2']);
+    });
+
+    test('should sort and filter with data-sort-value and data-filter-value', () => {
+        container = createTableContainer('<th>ID</th><th class="filtered" data-filter="value">Size</th>', [
+            '<tr><td>1</td><td data-sort-value="2048" data-filter-value="large">2 GB</td></tr>',
+            '<tr><td>2</td><td data-sort-value="512" data-filter-value="small">512 MB</td></tr>',
+            '<tr><td>3</td><td data-sort-value="10240" data-filter-value="large">10 GB</td></tr>'
+        ]);
+        tableManager = new LiteTableManager(container, {
+            initialSort: { column: 1, direction: 'asc' },
+            controls: { filters: true }
+        });
+
+        expect(tableManager.getColumnType(1)).toBe('number');
+        expect(renderedIds()).toEqual(['2', '1', '3']);
+
+        const options = Array.from(container.querySelectorAll('.lite-table-value-filter input[type="checkbox"]'))
+            .map(checkbox => checkbox.value);
+        expect(options).toEqual(['large', 'small']);
+
+        tableManager.setFilter(1, 'large');
+        expect(renderedIds()).toEqual(['1', '3']);
+    });
+
+    test('should sort booleans', () => {
+        container = createTableContainer('<th>ID</th><th>Paid</th>', [
+            '<tr><td>1</td><td>Yes</td></tr>',
+            '<tr><td>2</td><td>No</td></tr>',
+            '<tr><td>3</td><td>✔</td></tr>'
+        ]);
+        tableManager = new LiteTableManager(container, { initialSort: { column: 1, direction: 'desc' } });
+
+        expect(tableManager.getColumnType(1)).toBe('boolean');
+        expect(renderedIds()).toEqual(['1', '3', '2']);
+    });
+
+    test('should not let a few odd values turn a column into text', () => {
+        container = createTableContainer('<th>ID</th><th>Amount</th>', [
+            '<tr><td>1</td><td>see note</td></tr>',
+            '<tr><td>2</td><td>250</td></tr>',
+            '<tr><td>3</td><td>75</td></tr>',
+            '<tr><td>4</td><td>1 000</td></tr>'
+        ]);
+        tableManager = new LiteTableManager(container, { initialSort: { column: 1, direction: 'asc' } });
+
+        expect(tableManager.getColumnType(1)).toBe('number');
+        expect(renderedIds()).toEqual(['3', '2', '4', '1']);
+    });
+
+    test('should detect registered types with a detect hook', () => {
+        registerType('size', {
+            parse: value => {
+                const match = /^(\d+(?:\.\d+)?) (KB|MB|GB)$/.exec(value);
+                return match ? Number(match[1]) * 1024 ** ['KB', 'MB', 'GB'].indexOf(match[2]) : null;
+            },
+            compare: (a, b) => a - b,
+            detect: value => /^\d+(\.\d+)? (KB|MB|GB)$/.test(value)
+        });
+        container = createTableContainer('<th>ID</th><th>Size</th>', [
+            '<tr><td>1</td><td>2 GB</td></tr>',
+            '<tr><td>2</td><td>512 MB</td></tr>',
+            '<tr><td>3</td><td>900 KB</td></tr>'
+        ]);
+        tableManager = new LiteTableManager(container, { initialSort: { column: 1, direction: 'asc' } });
+
+        expect(tableManager.getColumnType(1)).toBe('size');
+        expect(renderedIds()).toEqual(['3', '2', '1']);
+    });
+
+    test('should accept registered types in column definitions', () => {
+        container = createTableContainer('', []);
+        container.querySelector('.lite-table-container').innerHTML = '';
+        tableManager = new LiteTableManager(container, {
+            data: [{ id: 1, priority: 'Low' }, { id: 2, priority: 'Critical' }],
+            columns: [{ key: 'id' }, { key: 'priority', type: 'priority' }],
+            initialSort: { column: 1, direction: 'desc' }
+        });
+
+        expect(renderedIds()).toEqual(['2', '1']);
+        expect(container.querySelectorAll('th')[1].getAttribute('data-type')).toBe('priority');
+    });
+
+    test('should be available as a static method', () => {
+        LiteTableManager.registerType('reversed', { compare: (a, b) => b.localeCompare(a) });
+        container = createTableContainer('<th>ID</th><th data-type="reversed">Name</th>', [
+            '<tr><td>1</td><td>a</td></tr>',
+            '<tr><td>2</td><td>b</td></tr>'
+        ]);
+        tableManager = new LiteTableManager(container, { initialSort: { column: 1, direction: 'asc' } });
+
+        expect(renderedIds()).toEqual(['2', '1']);
+    });
+
+    test('should reject unknown and invalid types', () => {
+        container = createTableContainer('<th>ID</th><th data-type="money">Amount</th>', []);
+
+        expect(() => new LiteTableManager(container)).toThrow('Unknown column type "money" on column 1');
+        expect(() => registerType('', {})).toThrow('Invalid type name');
+        expect(() => registerType('money', { parse: 'x' })).toThrow('Invalid type "money": "parse" must be a function');
+    });
+});
@@ -0,0 +1,167 @@
+const { LiteTableManager, getDataOptions } = require('../src/LiteTable');
+
+describe('LiteTableManager column visibility', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th class="filtered">Status</th>
+              <th data-hidden>Amount</th>
+              <th>Owner</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>Open</td><td>100</td><td>Ann</td></tr>
+            <tr><td>2</td><td>Closed</td><td>250</td><td>Bob</td></tr>
+            <tr><td>3</td><td>Open</td><td>75</td><td>Cid</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[0].textContent);
+    const hiddenCells = () => Array.from(container.querySelectorAll('tbody tr')).map(row => Array.from(row.cells)
+        .map((cell, index) => (cell.hidden ? index : null))
+        .filter(index => index !== null));
+    const chooserBox = colIndex => container.querySelector(`.lite-table-column-chooser input[value="${colIndex}"]`);
+    const toggle = () => container.querySelector('.lite-table-column-chooser-toggle');
+    const popup = () => container.querySelector('.lite-table-column-chooser-popup');
+
+    let container;
+    let tableManager;
+
+    const createTable = options => {
+        if (tableManager) tableManager.destroy();
+        if (container) document.body.removeChild(container);
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, { initialSort: null, columnChooser: true, ...options });
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        createTable();
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should hide columns marked with data-hidden', () => {
+        expect(tableManager.getHiddenColumns()).toEqual([2]);
+        expect(container.querySelectorAll('thead th')[2].hidden).toBe(true);
+        expect(hiddenCells()).toEqual([[2], [2], [2]]);
+        expect(chooserBox(2).checked).toBe(false);
+        expect(chooserBox(1).checked).toBe(true);
+    });
+
+    test('should hide and show columns in pooled and cloned rows', () => {
+        tableManager.hideColumn(3);
+        expect(hiddenCells()).toEqual([[2, 3], [2, 3], [2, 3]]);
+
+        tableManager.showColumn(2);
+        tableManager.sortBy(0, 'desc');
+        expect(hiddenCells()).toEqual([[3], [3], [3]]);
+
+        tableManager.addRows(['<tr><td>4</td><td>Open</td><td>5</td><td>Dan</td></tr>']);
+        expect(hiddenCells()).toEqual([[3], [3], [3], [3]]);
+        expect(container.querySelectorAll('thead th')[3].hidden).toBe(true);
+    });
+
+    test('should keep filtering and sorting hidden columns by index', () => {
+        tableManager.hideColumn(1);
+        tableManager.setFilter(1, 'Open');
+        tableManager.sortBy(2, 'asc');
+
+        expect(renderedIds()).toEqual(['3', '1']);
+        expect(tableManager.exportCSV({ columns: [0, 2] })).toBe('ID,Amount\r\n3,75\r\n1,100');
+    });
+
+    test('should toggle columns from the Columns menu', () => {
+        const handler = jest.fn();
+        tableManager.on('columnvisibility', handler);
+
+        toggle().click();
+        expect(popup().hidden).toBe(false);
+        expect(toggle().getAttribute('aria-expanded')).toBe('true');
+
+        chooserBox(2).click();
+        chooserBox(0).click();
+        expect(tableManager.getHiddenColumns()).toEqual([0]);
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(handler.mock.calls[1][0].detail.hiddenColumns).toEqual([0]);
+
+        document.body.click();
+        expect(popup().hidden).toBe(true);
+    });
+
+    test('should keep at least one column visible', () => {
+        tableManager.hideColumn(0);
+        tableManager.hideColumn(1);
+
+        expect(chooserBox(3).disabled).toBe(true);
+        expect(() => tableManager.hideColumn(3)).toThrow('Cannot hide the last visible column');
+        expect(() => tableManager.showColumn(9)).toThrow('Invalid column index: 9');
+
+        tableManager.showColumn(0);
+        expect(chooserBox(3).disabled).toBe(false);
+    });
+
+    test('should line up with the selection checkboxes and the filter row', () => {
+        createTable({ selectable: true, filterRow: true });
+
+        const filterCells = container.querySelector('.lite-table-filter-row').cells;
+        expect(filterCells[0].className).toBe('lite-table-select');
+        expect(filterCells[3].hidden).toBe(true);
+        expect(hiddenCells()).toEqual([[3], [3], [3]]);
+
+        tableManager.hideColumn(0);
+        expect(filterCells[1].hidden).toBe(true);
+        expect(hiddenCells()).toEqual([[1, 3], [1, 3], [1, 3]]);
+    });
+
+    test('should persist the hidden columns and reset them', () => {
+        createTable({ persist: 'orders' });
+        tableManager.showColumn(2);
+        tableManager.hideColumn(3);
+        expect(JSON.parse(localStorage.getItem('litetable:orders')).hidden).toEqual([3]);
+
+        createTable({ persist: 'orders' });
+        expect(tableManager.getHiddenColumns()).toEqual([3]);
+        expect(chooserBox(3).checked).toBe(false);
+
+        tableManager.resetState();
+        expect(tableManager.getHiddenColumns()).toEqual([2]);
+        expect(localStorage.getItem('litetable:orders')).toBeNull();
+    });
+
+    test('should accept hidden columns in definitions and data-column-chooser', () => {
+        container.dataset.columnChooser = 'true';
+        expect(getDataOptions(container)).toEqual({ columnChooser: true });
+
+        createTable({
+            data: [{ id: 1, secret: 'x' }],
+            columns: [{ key: 'id' }, { key: 'secret', hidden: true }]
+        });
+        expect(tableManager.getHiddenColumns()).toEqual([1]);
+        expect(() => createTable({ columns: [{ key: 'id', hidden: 'yes' }], data: [] }))
+            .toThrow('Invalid option "columns[0].hidden": expected a boolean');
+    });
+});
@@ -0,0 +1,171 @@
+const { LiteTableManager } = require('../src/LiteTable');
+
+describe('LiteTableManager data-driven mode', () => {
+    const createContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container"></div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const columns = [
+        { key: 'id', title: 'ID' },
+        { key: 'customer', title: 'Customer', filter: true },
+        { key: 'date', title: 'Date', type: 'date', filter: 'dateRange' },
+        { key: 'amount', title: 'Amount', type: 'number', render: value => `<strong>${value} €</strong>` }
+    ];
+
+    const data = [
+        { id: 1, customer: 'Acme', date: '15/04/2025', amount: 100 },
+        { id: 2, customer: 'Globex', date: '20/03/2025', amount: 1250 },
+        { id: 3, customer: 'Acme', date: '05/05/2025', amount: 75 }
+    ];
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[0].textContent);
+
+    let container;
+    let tableManager;
+
+    beforeEach(() => {
+        container = createContainer();
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should build the table, header and rows from the data', () => {
+        tableManager = new LiteTableManager(container, { data, columns, initialSort: null });
+
+        const headers = Array.from(container.querySelectorAll('.lite-table-container table thead th'));
+        expect(headers.map(th => th.textContent)).toEqual(['ID', 'Customer', 'Date', 'Amount']);
+        expect(headers[1].classList.contains('filtered')).toBe(true);
+        expect(headers[2].classList.contains('date-range')).toBe(true);
+
+        expect(renderedIds()).toEqual(['1', '2', '3']);
+        expect(container.querySelector('tbody tr td:last-child').innerHTML).toBe('<strong>100 €</strong>');
+        expect(tableManager.rowsCache[0].record).toBe(data[0]);
+    });
+
+    test('should escape values without a render function', () => {
+        tableManager = new LiteTableManager(container, {
+            data: [{ id: 1, customer: '<b>Acme</b>' }],
+            columns: columns.slice(0, 2)
+        });
+
+        expect(container.querySelector('tbody tr td:nth-child(2)').textContent).toBe('<b>Acme</b>');
+    });
+
+    test('should accept DOM nodes from render functions', () => {
+        tableManager = new LiteTableManager(container, {
+            data: [{ id: 1, customer: 'Acme' }],
+            columns: [
+                { key: 'id' },
+                { key: 'customer', render: value => Object.assign(document.createElement('em'), { textContent: value }) }
+            ]
+        });
+
+        expect(container.querySelector('tbody em').textContent).toBe('Acme');
+    });
+
+    test('should sort and filter like markup tables', () => {
+        tableManager = new LiteTableManager(container, {
+            data,
+            columns,
+            initialSort: { column: 3, direction: 'desc' },
+            controls: { filters: true }
+        });
+
+        expect(renderedIds()).toEqual(['2', '1', '3']);
+
+        tableManager.setFilter(1, 'Acme');
+        expect(renderedIds()).toEqual(['1', '3']);
+
+        tableManager.setFilter(2, { dateRange: { from: '2025-05-01', to: null } });
+        expect(renderedIds()).toEqual(['3']);
+    });
+
+    test('should use the declared column type instead of detecting it', () => {
+        tableManager = new LiteTableManager(container, {
+            data: [{ date: '' }, { date: '05/01/2025' }, { date: '20/12/2024' }],
+            columns: [{ key: 'date', type: 'date' }],
+            initialSort: { column: 0, direction: 'asc' }
+        });
+
+        expect(renderedIds()).toEqual(['20/12/2024', '05/01/2025', '']);
+    });
+
+    test('should replace the data and keep the sort, filters and options', () => {
+        tableManager = new LiteTableManager(container, {
+            data,
+            columns,
+            initialSort: { column: 3, direction: 'asc' },
+            controls: { filters: true }
+        });
+        tableManager.setFilter(1, 'Acme');
+
+        tableManager.setData([
+            ...data,
+            { id: 4, customer: 'Acme', date: '01/01/2025', amount: 10 },
+            { id: 5, customer: 'Initech', date: '02/01/2025', amount: 5 }
+        ]);
+
+        expect(renderedIds()).toEqual(['4', '3', '1']);
+        const options = Array.from(container.querySelectorAll('.lite-table-value-filter input[type="checkbox"]'))
+            .map(checkbox => checkbox.value);
+        expect(options).toEqual(['Acme', 'Globex', 'Initech']);
+        expect(container.querySelector('.lite-table-value-filter-toggle').textContent).toBe('Acme');
+    });
+
+    test('should emit a data event', () => {
+        tableManager = new LiteTableManager(container, { data, columns });
+        const handler = jest.fn();
+        tableManager.on('data', handler);
+
+        tableManager.setData([]);
+
+        expect(handler.mock.calls[0][0].detail.filteredRows).toEqual([]);
+        expect(container.querySelectorAll('tbody tr')).toHaveLength(0);
+    });
+
+    test('should build the table in a bare container', () => {
+        const bare = document.createElement('div');
+        const manager = new LiteTableManager(bare, { columns: [{ key: 'a', title: 'A' }], data: [{ a: 1 }] });
+
+        expect(bare.querySelectorAll('tbody tr')).toHaveLength(1);
+        expect(bare.querySelector('tbody td').textContent).toBe('1');
+        manager.destroy();
+    });
+
+    test('should reject setData on markup tables', () => {
+        container.querySelector('.lite-table-container').innerHTML = '<table><tbody></tbody></table>';
+        tableManager = new LiteTableManager(container);
+
+        expect(() => tableManager.setData([])).toThrow('setData() requires the "columns" option');
+    });
+
+    test.each([
+        [{ data: [] }, 'Option "data" requires the "columns" option'],
+        [{ data: {}, columns }, 'Invalid option "data"'],
+        [{ columns: [] }, 'Invalid option "columns"'],
+        [{ columns: [{ title: 'ID' }] }, 'Invalid option "columns[0]"'],
+        [{ columns: [{ key: 'id', type: 'money' }] }, 'Invalid option "columns[0].type"'],
+        [{ columns: [{ key: 'id', render: '<b>' }] }, 'Invalid option "columns[0].render"'],
+        [{ columns: [{ key: 'id', filter: 'range' }] }, 'Invalid option "columns[0].filter"']
+    ])('should reject invalid column options %#', (options, message) => {
+        expect(() => new LiteTableManager(container, options)).toThrow(message);
+    });
+});
@@ -0,0 +1,171 @@
+const { LiteTableManager, parseDate, isDateInRange, createDateParser, getDataOptions } = require('../src/LiteTable');
+
+describe('Date formats', () => {
+    describe('createDateParser', () => {
+        const expectDate = (date, [year, month, day, hours = 0, minutes = 0]) => {
+            expect(date).toBeInstanceOf(Date);
+            expect([date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes()])
+                .toEqual([year, month, day, hours, minutes]);
+        };
+
+        test('should parse the default DD/MM/YYYY format, with an optional time', () => {
+            expectDate(parseDate('31/12/2023'), [2023, 12, 31]);
+            expectDate(parseDate('31/12/2023 14:05'), [2023, 12, 31, 14, 5]);
+            expect(parseDate('2023-12-31')).toBeNull();
+        });
+
+        test('should reject impossible dates', () => {
+            expect(parseDate('31/02/2023')).toBeNull();
+            expect(parseDate('13/25/2023', 'MM/DD/YYYY')).toBeNull();
+            expect(parseDate('01/01/2023 25:00')).toBeNull();
+        });
+
+        test('should compile format strings', () => {
+            expectDate(parseDate('04/15/2025', 'MM/DD/YYYY'), [2025, 4, 15]);
+            expectDate(parseDate('2025.4.5', 'YYYY.M.D'), [2025, 4, 5]);
+            expectDate(parseDate('15-04-25 09:30', 'DD-MM-YY HH:mm'), [2025, 4, 15, 9, 30]);
+            expect(() => createDateParser('HH:mm')).toThrow('Invalid date format: HH:mm');
+        });
+
+        test('should parse the built-in iso, timestamp and unix formats', () => {
+            expectDate(parseDate('2025-04-15', 'iso'), [2025, 4, 15]);
+            expectDate(parseDate('2025-04-15T08:30:00', 'iso'), [2025, 4, 15, 8, 30]);
+            expect(parseDate('2025-04-15T08:30:00Z', 'iso').getTime()).toBe(Date.UTC(2025, 3, 15, 8, 30));
+            expect(parseDate('1744705800000', 'timestamp').getTime()).toBe(1744705800000);
+            expect(parseDate('1744705800', 'unix').getTime()).toBe(1744705800000);
+            expect(parseDate('15/04/2025', 'iso')).toBeNull();
+        });
+
+        test('should accept parser functions and lists of formats', () => {
+            const parse = createDateParser([
+                'iso',
+                value => (value === 'now' ? 0 : null)
+            ]);
+
+            expectDate(parse('2025-04-15'), [2025, 4, 15]);
+            expect(parse('now').getTime()).toBe(0);
+            expect(parse('15/04/2025')).toBeNull();
+        });
+
+        test('should check relative ranges with a format', () => {
+            const today = new Date();
+            const iso = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+            expect(isDateInRange(`${iso} 23:59`, 'today', 'iso')).toBe(true);
+            expect(() => isDateInRange(iso, 'today', 'MM/DD/YYYY')).toThrow('Invalid date format. Use MM/DD/YYYY');
+        });
+    });
+
+    describe('in tables', () => {
+        const createTableContainer = (headers, rows) => {
+            const container = document.createElement('div');
+            container.className = 'lite-table';
+            container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead><tr>${headers}</tr></thead>
+          <tbody>${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+            document.body.appendChild(container);
+            return container;
+        };
+
+        const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+            .map(row => row.cells[0].textContent);
+
+        let container;
+        let tableManager;
+
+        afterEach(() => {
+            if (tableManager) {
+                tableManager.destroy();
+            }
+            document.body.removeChild(container);
+            container = null;
+            tableManager = null;
+        });
+
+        test('should sort and filter ISO dates with a table format', () => {
+            container = createTableContainer('<th>ID</th><th>Name</th><th class="date-range">Created</th>', [
+                ['1', 'a', '2025-04-15T10:00'],
+                ['2', 'b', '2025-03-20'],
+                ['3', 'c', '2025-05-05T08:00']
+            ]);
+            tableManager = new LiteTableManager(container, { dateFormat: 'iso', controls: { filters: true } });
+
+            expect(tableManager.currentSort).toEqual({ column: 2, direction: 'desc' });
+            expect(renderedIds()).toEqual(['3', '1', '2']);
+
+            tableManager.setFilter(2, { dateRange: { from: '2025-04-01', to: '2025-04-15' } });
+            expect(renderedIds()).toEqual(['1']);
+        });
+
+        test('should use a column format from data-date-format', () => {
+            container = createTableContainer(
+                '<th>ID</th><th>Name</th><th data-date-format="MM/DD/YYYY">Due</th><th>Created</th>', [
+                    ['1', 'a', '04/15/2025', '15/04/2025'],
+                    ['2', 'b', '12/01/2024', '01/12/2024'],
+                    ['3', 'c', '01/02/2025', '02/01/2025']
+                ]);
+            tableManager = new LiteTableManager(container, { initialSort: { column: 2, direction: 'asc' } });
+            expect(renderedIds()).toEqual(['2', '3', '1']);
+
+            tableManager.sortBy(3, 'asc');
+            expect(renderedIds()).toEqual(['2', '3', '1']);
+        });
+
+        test('should offer the relative date filter for datetime columns', () => {
+            const today = new Date();
+            const day = `${String(today.getDate()).padStart(2, '0')}/${String(today.getMonth() + 1).padStart(2, '0')}/${today.getFullYear()}`;
+            container = createTableContainer('<th>ID</th><th class="filtered">Updated</th>', [
+                ['1', `${day} 14:05`],
+                ['2', '31/12/2000 09:00'],
+                ['3', '']
+            ]);
+            tableManager = new LiteTableManager(container, { initialSort: null, controls: { filters: true } });
+
+            const options = Array.from(container.querySelectorAll('.lite-table-filter select option'))
+                .map(option => option.value);
+            expect(options).toContain('today');
+
+            tableManager.setFilter(1, { date: 'today' });
+            expect(renderedIds()).toEqual(['1']);
+        });
+
+        test('should use a column parser in data-driven mode', () => {
+            container = createTableContainer('', []);
+            container.querySelector('.lite-table-container').innerHTML = '';
+            tableManager = new LiteTableManager(container, {
+                data: [{ id: 1, at: 1744705800 }, { id: 2, at: 1700000000 }],
+                columns: [{ key: 'id' }, { key: 'at', dateFormat: 'unix' }],
+                initialSort: { column: 1, direction: 'asc' }
+            });
+
+            expect(renderedIds()).toEqual(['2', '1']);
+        });
+
+        test('should read the table format from data-date-format', () => {
+            container = createTableContainer('<th>ID</th>', []);
+            container.dataset.dateFormat = 'iso | MM/DD/YYYY';
+
+            expect(getDataOptions(container)).toEqual({ dateFormat: ['iso', 'MM/DD/YYYY'] });
+        });
+
+        test('should reject invalid formats and range bounds', () => {
+            container = createTableContainer('<th>ID</th><th class="date-range">Date</th>', [['1', '15/04/2025']]);
+
+            expect(() => new LiteTableManager(container, { dateFormat: 'nope' }))
+                .toThrow('Invalid option "dateFormat": Invalid date format: nope');
+
+            tableManager = new LiteTableManager(container);
+            expect(() => tableManager.setFilter(1, { dateRange: { from: '15/04/2025' } }))
+                .toThrow('Invalid date range bound: 15/04/2025');
+        });
+    });
+});
@@ -0,0 +1,161 @@
+const { LiteTableManager } = require('../src/LiteTable');
+
+describe('LiteTableManager events', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th class="filtered">Status</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>Active</td><td>100</td></tr>
+            <tr><td>2</td><td>Inactive</td><td>250</td></tr>
+            <tr><td>3</td><td>Pending</td><td>75</td></tr>
+            <tr><td>4</td><td>Active</td><td>300</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const rowIds = rows => rows.map(row => row.cells[0].textContent);
+
+    let container;
+    let tableManager;
+
+    beforeEach(() => {
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, {
+            controls: { filters: true, sorting: true, displayLimit: true, pagination: true }
+        });
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should emit sort with the new state and the rows shown', () => {
+        const handler = jest.fn();
+        tableManager.on('sort', handler);
+
+        container.querySelectorAll('.sort-button')[1].click();
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        const { detail } = handler.mock.calls[0][0];
+        expect(detail.state.sort).toEqual({ column: 2, direction: 'asc' });
+        expect(rowIds(detail.rows)).toEqual(['3', '1', '2', '4']);
+    });
+
+    test('should emit filter when a filter control changes', () => {
+        const handler = jest.fn();
+        tableManager.on('filter', handler);
+
+        const checkbox = container.querySelector('.lite-table-value-filter input[value="Inactive"]');
+        checkbox.click();
+
+        const { detail } = handler.mock.calls[0][0];
+        expect(detail.state.filters.value).toEqual({ 1: ['Active', 'Pending'] });
+        expect(rowIds(detail.filteredRows)).toEqual(['1', '3', '4']);
+    });
+
+    test('should emit page and pagesize events', () => {
+        const onPage = jest.fn();
+        const onPageSize = jest.fn();
+        tableManager.on('page', onPage).on('pagesize', onPageSize);
+
+        tableManager.setPageSize(2);
+        tableManager.goToPage(2);
+
+        expect(onPageSize.mock.calls[0][0].detail.state.pageSize).toBe(2);
+        expect(onPage.mock.calls[0][0].detail.state.page).toBe(2);
+        expect(rowIds(onPage.mock.calls[0][0].detail.rows)).toEqual(['3', '4']);
+    });
+
+    test('should emit render with the rendered elements', () => {
+        const handler = jest.fn();
+        tableManager.on('render', handler);
+
+        tableManager.updateTable();
+
+        const { detail } = handler.mock.calls[0][0];
+        expect(detail.elements).toEqual(Array.from(container.querySelectorAll('tbody tr')));
+        expect(detail.rows).toHaveLength(4);
+    });
+
+    test('should dispatch CustomEvents on the container', () => {
+        const handler = jest.fn();
+        document.body.addEventListener('litetable:filter', handler);
+
+        tableManager.setFilter(1, 'Pending');
+
+        document.body.removeEventListener('litetable:filter', handler);
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].target).toBe(container);
+    });
+
+    test('should cancel a change when a before event is prevented', () => {
+        const onSort = jest.fn();
+        tableManager.on('beforesort', event => event.preventDefault());
+        tableManager.on('sort', onSort);
+        tableManager.on('beforefilter', event => {
+            if (event.detail.spec?.value?.length === 0) event.preventDefault();
+        });
+
+        const button = container.querySelectorAll('.sort-button')[0];
+        button.click();
+        expect(onSort).not.toHaveBeenCalled();
+        expect(button.classList.contains('asc')).toBe(false);
+
+        container.querySelector('.lite-table-value-filter-actions button:last-child').click();
+        expect(container.querySelector('.lite-table-value-filter input[type="checkbox"]').checked).toBe(true);
+        expect(tableManager.filteredRows).toHaveLength(4);
+    });
+
+    test('should stop calling a handler removed with off', () => {
+        const handler = jest.fn();
+        tableManager.on('page', handler);
+        tableManager.off('page', handler);
+
+        tableManager.goToPage(1);
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('should emit destroy and remove listeners', () => {
+        const onDestroy = jest.fn();
+        const onFilter = jest.fn();
+        tableManager.on('destroy', onDestroy).on('filter', onFilter);
+
+        tableManager.destroy();
+        tableManager = null;
+
+        expect(onDestroy).toHaveBeenCalledTimes(1);
+        container.dispatchEvent(new CustomEvent('litetable:filter'));
+        expect(onFilter).not.toHaveBeenCalled();
+    });
+
+    test('should emit init on the container', () => {
+        const handler = jest.fn();
+        container.addEventListener('litetable:init', handler);
+
+        tableManager = new LiteTableManager(container);
+        expect(handler.mock.calls[0][0].detail.state.page).toBe(1);
+    });
+});
@@ -0,0 +1,153 @@
+const { LiteTableManager, getDataOptions } = require('../src/LiteTable');
+
+describe('LiteTableManager CSV export', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Name</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td><strong>Acme</strong>, Inc.</td><td>100</td></tr>
+            <tr><td>2</td><td>The "Best" Shop</td><td>250</td></tr>
+            <tr><td>3</td><td>Line
+break</td><td>75</td></tr>
+            <tr><td>4</td><td>Zeta</td><td>300</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    let container;
+    let tableManager;
+
+    beforeEach(() => {
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, { initialSort: null, pageSize: 2 });
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should escape delimiters, quotes and line breaks', () => {
+        expect(tableManager.exportCSV()).toBe([
+            'ID,Name,Amount',
+            '1,"Acme, Inc.",100',
+            '2,"The ""Best"" Shop",250',
+            '3,"Line\nbreak",75',
+            '4,Zeta,300'
+        ].join('\r\n'));
+    });
+
+    test('should export the filtered rows in the current sort order by default', () => {
+        tableManager.sortBy(2, 'desc');
+        tableManager.setSearch('a');
+
+        expect(tableManager.exportCSV({ columns: [0] })).toBe('ID\r\n4\r\n1\r\n3');
+    });
+
+    test('should export the page or every row', () => {
+        tableManager.setSearch('zeta');
+        expect(tableManager.exportCSV({ scope: 'all', columns: [0], header: false })).toBe('1\r\n2\r\n3\r\n4');
+
+        tableManager.setSearch('');
+        tableManager.goToPage(2);
+        expect(tableManager.exportCSV({ scope: 'page', columns: [2, 0], header: false })).toBe('75,3\r\n300,4');
+    });
+
+    test('should use another delimiter and add a BOM', () => {
+        const csv = tableManager.exportCSV({ columns: [1], delimiter: ';', bom: true });
+
+        expect(csv.startsWith('﻿Name\r\nAcme, Inc.\r\n')).toBe(true);
+    });
+
+    test('should reject invalid options', () => {
+        expect(() => tableManager.exportCSV({ scope: 'visible' })).toThrow('Invalid export scope: visible');
+        expect(() => tableManager.exportCSV({ columns: [5] })).toThrow('Invalid column index: 5');
+        expect(() => tableManager.exportCSV({ columns: 1 })).toThrow('Invalid export columns');
+        expect(() => tableManager.exportCSV({ delimiter: '' })).toThrow('Invalid export delimiter');
+    });
+
+    test('should download the CSV', async () => {
+        URL.createObjectURL = jest.fn(() => 'blob:export');
+        URL.revokeObjectURL = jest.fn();
+        const clicks = [];
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click')
+            .mockImplementation(function () { clicks.push({ href: this.href, download: this.download }); });
+
+        tableManager.downloadCSV('orders.csv', { columns: [0] });
+        expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+        expect(clicks).toEqual([{ href: 'blob:export', download: 'orders.csv' }]);
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        expect(blob.type).toBe('text/csv;charset=utf-8');
+        const text = await new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.readAsText(blob);
+        });
+        expect(text).toBe('ID\r\n1\r\n2\r\n3\r\n4');
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+        expect(document.querySelector('a[download]')).toBeNull();
+
+        clickSpy.mockRestore();
+        delete URL.createObjectURL;
+        delete URL.revokeObjectURL;
+    });
+
+    test('should copy TSV to the clipboard', async () => {
+        const writeText = jest.fn(() => Promise.resolve());
+        Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+
+        await tableManager.copyTSV({ columns: [1, 2], scope: 'page' });
+
+        expect(writeText).toHaveBeenCalledWith('Name\tAmount\r\nAcme, Inc.\t100\r\n"The ""Best"" Shop"\t250');
+        delete navigator.clipboard;
+    });
+
+    test('should reject when the clipboard is not available', async () => {
+        await expect(tableManager.copyTSV()).rejects.toThrow('Clipboard is not available');
+    });
+
+    test('should add an export button to the footer', () => {
+        tableManager.destroy();
+        tableManager = new LiteTableManager(container, {
+            initialSort: null,
+            exportButton: { label: 'Download', filename: 'orders.csv', columns: [0] }
+        });
+        const download = jest.spyOn(tableManager, 'downloadCSV').mockImplementation(() => {});
+
+        const button = container.querySelector('.lite-table-footer .lite-table-export');
+        expect(button.textContent).toBe('Download');
+        button.click();
+        expect(download).toHaveBeenCalledWith('orders.csv', { scope: 'filtered', columns: [0] });
+
+        tableManager.destroy();
+        tableManager = null;
+        expect(container.querySelector('.lite-table-export')).toBeNull();
+
+        container.dataset.exportButton = 'true';
+        expect(getDataOptions(container)).toEqual({ exportButton: true });
+    });
+});
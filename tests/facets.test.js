@@ -0,0 +1,130 @@
+const { LiteTableManager } = require('../src/LiteTable');
+
+describe('LiteTableManager faceted value filters', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th class="filtered">Country</th>
+              <th class="filtered">City</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>France</td><td>Paris</td><td>100</td></tr>
+            <tr><td>2</td><td>France</td><td>Lyon</td><td>250</td></tr>
+            <tr><td>3</td><td>Germany</td><td>Berlin</td><td>75</td></tr>
+            <tr><td>4</td><td>France</td><td>Paris</td><td>500</td></tr>
+            <tr><td>5</td><td>Germany</td><td>Munich</td><td>20</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const options = colIndex => {
+        const wrapper = container.querySelectorAll('.lite-table-value-filter')[colIndex - 1];
+        return Object.fromEntries(Array.from(wrapper.querySelectorAll('li')).map(item => [
+            item.querySelector('input').value,
+            {
+                count: item.querySelector('.lite-table-value-filter-count').textContent,
+                disabled: item.querySelector('input').disabled
+            }
+        ]));
+    };
+
+    let container;
+    let tableManager;
+
+    beforeEach(() => {
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, { initialSort: null, controls: { filters: true } });
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should count the rows of each option', () => {
+        expect(options(1)).toEqual({
+            France: { count: '(3)', disabled: false },
+            Germany: { count: '(2)', disabled: false }
+        });
+        expect(options(2).Paris).toEqual({ count: '(2)', disabled: false });
+    });
+
+    test('should count options from the rows matched by the other filters', () => {
+        tableManager.setFilter(1, 'France');
+
+        expect(options(2)).toEqual({
+            Berlin: { count: '(0)', disabled: true },
+            Lyon: { count: '(1)', disabled: false },
+            Munich: { count: '(0)', disabled: true },
+            Paris: { count: '(2)', disabled: false }
+        });
+        expect(container.querySelectorAll('.lite-table-value-filter-unavailable')).toHaveLength(2);
+        expect(options(1)).toEqual({
+            France: { count: '(3)', disabled: false },
+            Germany: { count: '(2)', disabled: false }
+        });
+    });
+
+    test('should follow the search and the other filter types', () => {
+        tableManager.setFilter(3, { numberRange: { min: 100, max: null } });
+
+        expect(options(1).Germany).toEqual({ count: '(0)', disabled: true });
+        expect(options(2).Paris.count).toBe('(2)');
+
+        tableManager.setFilter(3, null);
+        tableManager.setSearch('lyon');
+        expect(options(1).France.count).toBe('(1)');
+    });
+
+    test('should keep the selection and leave selected options enabled', () => {
+        tableManager.setFilter(2, ['Berlin', 'Paris']);
+        tableManager.setFilter(1, 'France');
+
+        const berlin = container.querySelector('.lite-table-value-filter input[value="Berlin"]');
+        expect(berlin.checked).toBe(true);
+        expect(berlin.disabled).toBe(false);
+        expect(options(2).Berlin.count).toBe('(0)');
+        expect(options(2).Munich.disabled).toBe(true);
+        expect(options(1)).toEqual({
+            France: { count: '(2)', disabled: false },
+            Germany: { count: '(1)', disabled: false }
+        });
+    });
+
+    test('should update the counts when rows change', () => {
+        tableManager.setFilter(1, 'Germany');
+        tableManager.addRows(['<tr><td>6</td><td>Germany</td><td>Berlin</td><td>1</td></tr>']);
+
+        expect(options(2).Berlin).toEqual({ count: '(2)', disabled: false });
+        expect(options(2).Paris.disabled).toBe(true);
+    });
+
+    test('should skip unavailable options when moving with the keyboard', () => {
+        tableManager.setFilter(1, 'France');
+        container.querySelectorAll('.lite-table-value-filter-toggle')[1].click();
+        const search = container.querySelectorAll('.lite-table-value-filter-popup')[1].querySelector('input[type="search"]');
+
+        search.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+        expect(document.activeElement.value).toBe('Lyon');
+    });
+});
@@ -0,0 +1,211 @@
+const { LiteTableManager, getDataOptions } = require('../src/LiteTable');
+
+describe('LiteTableManager filter row', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th class="filtered">Name</th>
+              <th>Amount</th>
+              <th>Date</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>Éloïse Martin</td><td>100</td><td>15/04/2025</td></tr>
+            <tr><td>2</td><td>Bob Marley</td><td>250</td><td>20/03/2025</td></tr>
+            <tr><td>3</td><td>Alice Durand</td><td>75</td><td>05/05/2025</td></tr>
+            <tr><td>4</td><td>Martine Bob</td><td>500</td><td>15/04/2025 18:30</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[0].textContent);
+    const filterCell = colIndex => container.querySelectorAll('.lite-table-filter-row th')[colIndex];
+    const type = (colIndex, value, operator) => {
+        const cell = filterCell(colIndex);
+        if (operator) {
+            const select = cell.querySelector('select');
+            select.value = operator;
+            select.dispatchEvent(new Event('change'));
+        }
+        const input = cell.querySelector('input');
+        input.value = value;
+        input.dispatchEvent(new Event('input'));
+        jest.runOnlyPendingTimers();
+    };
+
+    let container;
+    let tableManager;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, {
+            initialSort: null,
+            filterRow: true,
+            controls: { filters: true, sorting: true }
+        });
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+        jest.useRealTimers();
+    });
+
+    test('should add a second header row with one filter per column', () => {
+        const rows = container.querySelectorAll('thead tr');
+        expect(rows).toHaveLength(2);
+        expect(rows[1].classList.contains('lite-table-filter-row')).toBe(true);
+        expect(rows[1].cells).toHaveLength(4);
+        expect(container.querySelectorAll('thead tr:first-child .sort-button')).toHaveLength(3);
+        expect(tableManager.columnCount).toBe(4);
+    });
+
+    test('should only offer comparisons on number and date columns', () => {
+        const operators = colIndex => Array.from(filterCell(colIndex).querySelectorAll('option')).map(option => option.value);
+
+        expect(operators(1)).toEqual(['contains', 'notContains', 'equals', 'startsWith', 'endsWith', 'regex']);
+        expect(operators(2)).toEqual(expect.arrayContaining(['>', '>=', '<', '<=', 'between']));
+        expect(operators(3)).toContain('between');
+    });
+
+    test('should filter text with each operator, ignoring case and accents', () => {
+        type(1, 'eloise');
+        expect(renderedIds()).toEqual(['1']);
+
+        type(1, 'bob', 'notContains');
+        expect(renderedIds()).toEqual(['1', '3']);
+
+        type(1, 'bob marley', 'equals');
+        expect(renderedIds()).toEqual(['2']);
+
+        type(1, 'mar', 'startsWith');
+        expect(renderedIds()).toEqual(['4']);
+
+        type(1, 'bob', 'endsWith');
+        expect(renderedIds()).toEqual(['4']);
+
+        type(1, '^(alice|bob)', 'regex');
+        expect(renderedIds()).toEqual(['2', '3']);
+
+        type(1, '');
+        expect(renderedIds()).toHaveLength(4);
+        expect(tableManager.getState().filters.text).toEqual({});
+    });
+
+    test('should debounce typing', () => {
+        const input = filterCell(1).querySelector('input');
+        input.value = 'alice';
+        input.dispatchEvent(new Event('input'));
+        expect(renderedIds()).toHaveLength(4);
+
+        jest.advanceTimersByTime(250);
+        expect(renderedIds()).toEqual(['3']);
+    });
+
+    test('should compare numbers and dates', () => {
+        type(2, '100', '>');
+        expect(renderedIds()).toEqual(['2', '4']);
+
+        type(2, '250', '<=');
+        expect(renderedIds()).toEqual(['1', '2', '3']);
+
+        type(2, '', 'contains');
+        type(3, '15/04/2025', '<=');
+        expect(renderedIds()).toEqual(['1', '2', '4']);
+    });
+
+    test('should filter between two bounds, open when one is empty', () => {
+        type(2, '80', 'between');
+        const toInput = filterCell(2).querySelectorAll('input')[1];
+        expect(toInput.hidden).toBe(false);
+        expect(renderedIds()).toEqual(['1', '2', '4']);
+
+        toInput.value = '300';
+        toInput.dispatchEvent(new Event('input'));
+        jest.runOnlyPendingTimers();
+        expect(renderedIds()).toEqual(['1', '2']);
+        expect(tableManager.getState().filters.text).toEqual({ 2: { operator: 'between', value: '80', to: '300' } });
+    });
+
+    test('should flag invalid input without filtering', () => {
+        type(1, '(', 'regex');
+
+        const input = filterCell(1).querySelector('input');
+        expect(input.getAttribute('aria-invalid')).toBe('true');
+        expect(input.title).toBe('Invalid regular expression: (');
+        expect(renderedIds()).toHaveLength(4);
+
+        type(1, 'a');
+        expect(input.hasAttribute('aria-invalid')).toBe(false);
+    });
+
+    test('should combine with the other filters of the column', () => {
+        tableManager.setFilter(1, ['Bob Marley', 'Martine Bob', 'Alice Durand']);
+        type(1, 'bob');
+        expect(renderedIds()).toEqual(['2', '4']);
+
+        tableManager.setFilter(1, ['Martine Bob']);
+        expect(renderedIds()).toEqual(['4']);
+
+        tableManager.setFilter(1, null);
+        expect(renderedIds()).toHaveLength(4);
+        expect(filterCell(1).querySelector('input').value).toBe('');
+    });
+
+    test('should set text filters from code and the state', () => {
+        tableManager.setFilter(2, { text: { operator: '>=', value: 250 } });
+        expect(renderedIds()).toEqual(['2', '4']);
+        expect(filterCell(2).querySelector('select').value).toBe('>=');
+        expect(filterCell(2).querySelector('input').value).toBe('250');
+
+        const state = tableManager.getState();
+        tableManager.clearFilters();
+        expect(renderedIds()).toHaveLength(4);
+
+        tableManager.setState(state);
+        expect(renderedIds()).toEqual(['2', '4']);
+
+        tableManager.setFilter(1, { text: 'alice' });
+        expect(renderedIds()).toEqual([]);
+    });
+
+    test('should reject invalid text filters', () => {
+        expect(() => tableManager.setFilter(1, { text: { operator: 'like', value: 'a' } }))
+            .toThrow('Invalid text filter operator: like');
+        expect(() => tableManager.setFilter(2, { text: { operator: '>', value: 'abc' } }))
+            .toThrow('Invalid number for column 2: abc');
+    });
+
+    test('should be removed by destroy', () => {
+        tableManager.destroy();
+        tableManager = null;
+
+        expect(container.querySelector('.lite-table-filter-row')).toBeNull();
+        expect(container.querySelectorAll('thead tr')).toHaveLength(1);
+    });
+
+    test('should be enabled by data-filter-row', () => {
+        container.dataset.filterRow = 'true';
+        expect(getDataOptions(container)).toEqual({ filterRow: true });
+    });
+});
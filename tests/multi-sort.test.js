@@ -0,0 +1,210 @@
+const { LiteTableManager, getDataOptions } = require('../src/LiteTable');
+
+describe('LiteTableManager multi-column sorting', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Status</th>
+              <th>Date</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>Active</td><td>15/04/2025</td><td>100</td></tr>
+            <tr><td>2</td><td>Inactive</td><td>20/03/2025</td><td>250</td></tr>
+            <tr><td>3</td><td>Active</td><td>05/05/2025</td><td>100</td></tr>
+            <tr><td>4</td><td>Inactive</td><td>20/03/2025</td><td>75</td></tr>
+            <tr><td>5</td><td>Active</td><td>15/04/2025</td><td>300</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[0].textContent);
+
+    const shiftClick = button => button.dispatchEvent(new MouseEvent('click', { shiftKey: true, bubbles: true }));
+
+    let container;
+    let tableManager;
+
+    beforeEach(() => {
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, {
+            initialSort: null,
+            controls: { sorting: true }
+        });
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should fall through to the next key on ties', () => {
+        tableManager.setSort([
+            { column: 1, direction: 'asc' },
+            { column: 2, direction: 'desc' }
+        ]);
+
+        expect(renderedIds()).toEqual(['3', '1', '5', '2', '4']);
+        expect(tableManager.getState().sorts).toEqual([
+            { column: 1, direction: 'asc' },
+            { column: 2, direction: 'desc' }
+        ]);
+    });
+
+    test('should keep the original order when every key is equal', () => {
+        tableManager.setSort([
+            { column: 2, direction: 'desc' },
+            { column: 1, direction: 'desc' }
+        ]);
+
+        expect(renderedIds()).toEqual(['3', '1', '5', '2', '4']);
+    });
+
+    test('should add, change and remove keys with addSort', () => {
+        tableManager.sortBy(1, 'asc');
+        tableManager.addSort(3, 'desc');
+        expect(renderedIds()).toEqual(['5', '1', '3', '2', '4']);
+
+        tableManager.addSort(1, 'desc');
+        expect(tableManager.getState().sorts).toEqual([
+            { column: 1, direction: 'desc' },
+            { column: 3, direction: 'desc' }
+        ]);
+        expect(renderedIds()).toEqual(['2', '4', '5', '1', '3']);
+
+        tableManager.addSort(1, null);
+        expect(tableManager.currentSort).toEqual({ column: 3, direction: 'desc' });
+        expect(renderedIds()).toEqual(['5', '2', '1', '3', '4']);
+    });
+
+    test('should add keys with shift-click and cycle them', () => {
+        const buttons = container.querySelectorAll('.sort-button');
+
+        buttons[0].click();
+        shiftClick(buttons[1]);
+        expect(tableManager.getState().sorts).toEqual([
+            { column: 1, direction: 'asc' },
+            { column: 2, direction: 'asc' }
+        ]);
+
+        shiftClick(buttons[1]);
+        expect(tableManager.getState().sorts[1]).toEqual({ column: 2, direction: 'desc' });
+
+        shiftClick(buttons[1]);
+        expect(tableManager.getState().sorts).toEqual([{ column: 1, direction: 'asc' }]);
+    });
+
+    test('should replace every key on a plain click', () => {
+        const buttons = container.querySelectorAll('.sort-button');
+        tableManager.setSort([
+            { column: 1, direction: 'asc' },
+            { column: 2, direction: 'desc' }
+        ]);
+
+        buttons[1].click();
+
+        expect(tableManager.getState().sorts).toEqual([{ column: 2, direction: 'asc' }]);
+    });
+
+    test('should show the sort priority in the headers', () => {
+        const buttons = container.querySelectorAll('.sort-button');
+        tableManager.setSort([
+            { column: 3, direction: 'desc' },
+            { column: 1, direction: 'asc' }
+        ]);
+
+        expect(buttons[2].getAttribute('data-sort-order')).toBe('1');
+        expect(buttons[2].classList.contains('desc')).toBe(true);
+        expect(buttons[0].getAttribute('data-sort-order')).toBe('2');
+        expect(buttons[0].classList.contains('asc')).toBe(true);
+
+        tableManager.sortBy(3, 'asc');
+        expect(container.querySelector('[data-sort-order]')).toBeNull();
+    });
+
+    test('should pass the sort keys to beforesort', () => {
+        const handler = jest.fn();
+        tableManager.on('beforesort', handler);
+
+        tableManager.sortBy(1, 'asc');
+        tableManager.addSort(2);
+
+        expect(handler.mock.calls[1][0].detail).toEqual({
+            column: 2,
+            direction: 'asc',
+            sorts: [{ column: 1, direction: 'asc' }, { column: 2, direction: 'asc' }]
+        });
+    });
+
+    test('should restore the sort keys with setState', () => {
+        tableManager.setState({
+            sorts: [{ column: 1, direction: 'desc' }, { column: 0, direction: 'desc' }]
+        });
+
+        expect(renderedIds()).toEqual(['4', '2', '5', '3', '1']);
+
+        tableManager.setState({ sorts: [] });
+        expect(renderedIds()).toEqual(['1', '2', '3', '4', '5']);
+    });
+
+    test('should accept several initial sort keys', () => {
+        container.dataset.initialSort = '1:asc, 3:desc';
+        const options = getDataOptions(container);
+        expect(options.initialSort).toEqual([
+            { column: 1, direction: 'asc' },
+            { column: 3, direction: 'desc' }
+        ]);
+
+        tableManager.destroy();
+        tableManager = null;
+        const freshContainer = createTableContainer();
+        const freshManager = new LiteTableManager(freshContainer, options);
+
+        const ids = Array.from(freshContainer.querySelectorAll('tbody tr')).map(row => row.cells[0].textContent);
+        expect(ids).toEqual(['5', '1', '3', '2', '4']);
+
+        freshManager.destroy();
+        document.body.removeChild(freshContainer);
+    });
+
+    test('should reject invalid sort keys', () => {
+        expect(() => tableManager.setSort({ column: 1, direction: 'asc' })).toThrow('Sort keys must be an array');
+        expect(() => tableManager.setSort([{ column: 1, direction: 'up' }])).toThrow('Invalid sort direction: up');
+        expect(() => tableManager.setSort([{ column: 9, direction: 'asc' }])).toThrow('Invalid column index: 9');
+        expect(() => tableManager.setSort([
+            { column: 1, direction: 'asc' },
+            { column: 1, direction: 'desc' }
+        ])).toThrow('Column 1 is sorted more than once');
+        expect(() => new LiteTableManager(container, { initialSort: [{ column: 1 }] }))
+            .toThrow('Invalid option "initialSort"');
+    });
+
+    test('should reject an initial sort on a missing column before changing the table', () => {
+        const freshContainer = createTableContainer();
+        expect(() => new LiteTableManager(freshContainer, { initialSort: { column: 9, direction: 'asc' } }))
+            .toThrow('Invalid option "initialSort": column 9 does not exist');
+        expect(freshContainer.querySelectorAll('tbody tr')).toHaveLength(5);
+        expect(freshContainer.querySelector('.sort-button')).toBeNull();
+        document.body.removeChild(freshContainer);
+    });
+});
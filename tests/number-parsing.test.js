@@ -0,0 +1,100 @@
+const { LiteTableManager, parseNumber, createNumberParser } = require('../src/LiteTable');
+
+describe('Number parsing', () => {
+    describe('parseNumber', () => {
+        test.each([
+            ['1 234,56 €', 'fr', 1234.56],
+            ['1 234,56 €', 'fr', 1234.56],
+            ['$1,234.50', 'en', 1234.5],
+            ['EUR 1 000', 'fr', 1000],
+            ['12 %', 'fr', 12],
+            ['(45)', 'en', -45],
+            ['(1 234,50 €)', 'fr', -1234.5],
+            ['-$5', 'en', -5],
+            ['−3', 'fr', -3],
+            ['12-', 'fr', -12],
+            ['1.234,5', 'en', 1234.5],
+            ['1.234.567', 'fr', 1234567],
+            ['1,234', 'en', 1234],
+            ['1,234', 'fr', 1.234],
+            ['1,5', 'en', 1.5],
+            ['1.5', 'fr', 1.5],
+            ["1'234.5", 'de-CH', 1234.5]
+        ])('should parse %s with the %s locale', (value, locale, expected) => {
+            expect(parseNumber(value, locale)).toBe(expected);
+        });
+
+        test.each(['-', '—', 'N/A', '', 'abc', '12a', '1.2.3', '1,23,4'])('should not parse %p', value => {
+            expect(parseNumber(value, 'en')).toBeNull();
+        });
+
+        test('should default to the fr locale', () => {
+            const parse = createNumberParser();
+            expect(parse('1 234,5')).toBe(1234.5);
+        });
+    });
+
+    describe('in tables', () => {
+        const createTableContainer = rows => {
+            const container = document.createElement('div');
+            container.className = 'lite-table';
+            container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead><tr><th>ID</th><th>Amount</th></tr></thead>
+          <tbody>${rows.map(([id, amount]) => `<tr><td>${id}</td><td>${amount}</td></tr>`).join('')}</tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+            document.body.appendChild(container);
+            return container;
+        };
+
+        const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+            .map(row => row.cells[0].textContent);
+
+        let container;
+        let tableManager;
+
+        afterEach(() => {
+            if (tableManager) {
+                tableManager.destroy();
+            }
+            document.body.removeChild(container);
+            container = null;
+            tableManager = null;
+        });
+
+        test('should sort currency amounts numerically with the table locale', () => {
+            container = createTableContainer([
+                ['1', '$1,234.50'],
+                ['2', '$99.00'],
+                ['3', '($45.00)'],
+                ['4', '$12,000.00']
+            ]);
+            tableManager = new LiteTableManager(container, { locale: 'en', initialSort: { column: 1, direction: 'asc' } });
+
+            expect(renderedIds()).toEqual(['3', '2', '1', '4']);
+        });
+
+        test('should skip placeholders when detecting the type and sort them with empty cells', () => {
+            container = createTableContainer([
+                ['1', '-'],
+                ['2', '12 %'],
+                ['3', ''],
+                ['4', '8,5 %'],
+                ['5', '100 %']
+            ]);
+            tableManager = new LiteTableManager(container, { initialSort: { column: 1, direction: 'asc' } });
+
+            expect(renderedIds()).toEqual(['4', '2', '5', '1', '3']);
+
+            tableManager.sortBy(1, 'desc');
+            expect(renderedIds().slice(2)).toEqual(['5', '2', '4']);
+        });
+    });
+});
@@ -0,0 +1,175 @@
+const { LiteTableManager } = require('../src/LiteTable');
+
+describe('LiteTableManager number range filters', () => {
+    const createTableContainer = (amountHeader = '<th class="filtered">Amount</th>') => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th class="filtered">Status</th>
+              ${amountHeader}
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>Open</td><td>1 250,50 €</td></tr>
+            <tr><td>2</td><td>Closed</td><td>99 €</td></tr>
+            <tr><td>3</td><td>Open</td><td>500 €</td></tr>
+            <tr><td>4</td><td>Pending</td><td>-</td></tr>
+            <tr><td>5</td><td>Open</td><td>100 €</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[0].textContent);
+    const rangeInputs = () => container.querySelectorAll('.lite-table-number-range input[type="number"]');
+    const change = (input, value) => {
+        input.value = value;
+        input.dispatchEvent(new Event('change'));
+    };
+
+    let container;
+    let tableManager;
+
+    const createTable = (amountHeader, options = {}) => {
+        container = createTableContainer(amountHeader);
+        tableManager = new LiteTableManager(container, { initialSort: null, controls: { filters: true }, ...options });
+    };
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should give number columns min and max inputs instead of a value list', () => {
+        createTable();
+
+        expect(rangeInputs()).toHaveLength(2);
+        expect(container.querySelectorAll('.lite-table-value-filter')).toHaveLength(1);
+    });
+
+    test('should set the column title of the label as text', () => {
+        createTable('<th class="filtered">&lt;img src=x onerror=alert(1)&gt;</th>');
+
+        const label = container.querySelector('.lite-table-number-range label');
+        expect(label.querySelector('img')).toBeNull();
+        expect(label.textContent).toBe('<img src=x onerror=alert(1)> (min / max)');
+        expect(label.querySelector('span').style.fontWeight).toBe('lighter');
+    });
+
+    test('should filter with inclusive bounds parsed like the sort', () => {
+        createTable();
+
+        tableManager.setFilter(2, { numberRange: { min: 100, max: 500 } });
+        expect(renderedIds()).toEqual(['3', '5']);
+
+        tableManager.setFilter(2, { numberRange: { min: 500, max: null } });
+        expect(renderedIds()).toEqual(['1', '3']);
+
+        tableManager.setFilter(2, { numberRange: { min: null, max: 99 } });
+        expect(renderedIds()).toEqual(['2']);
+
+        tableManager.setFilter(2, null);
+        expect(renderedIds()).toHaveLength(5);
+    });
+
+    test('should filter from the inputs and swap inverted bounds', () => {
+        createTable();
+        const [minInput, maxInput] = rangeInputs();
+
+        change(minInput, '100');
+        expect(renderedIds()).toEqual(['1', '3', '5']);
+
+        change(maxInput, '50');
+        expect(tableManager.getState().filters.numberRange).toEqual({ 2: { min: 50, max: 100 } });
+        expect(renderedIds()).toEqual(['2', '5']);
+        expect(minInput.value).toBe('50');
+        expect(maxInput.value).toBe('100');
+    });
+
+    test('should bound the slider by the column values', () => {
+        createTable('<th class="filtered" data-range-slider>Amount</th>');
+        const [minHandle, maxHandle] = container.querySelectorAll('.lite-table-range-slider input[type="range"]');
+
+        expect(minHandle.min).toBe('99');
+        expect(minHandle.max).toBe('1250.5');
+        expect(minHandle.value).toBe('99');
+        expect(maxHandle.value).toBe('1250.5');
+
+        maxHandle.value = '500';
+        maxHandle.dispatchEvent(new Event('input'));
+        expect(rangeInputs()[1].value).toBe('500');
+        maxHandle.dispatchEvent(new Event('change'));
+        expect(renderedIds()).toEqual(['2', '3', '5']);
+
+        tableManager.addRows(['<tr><td>6</td><td>Open</td><td>2 000 €</td></tr>']);
+        expect(maxHandle.max).toBe('2000');
+        expect(maxHandle.value).toBe('500');
+    });
+
+    test('should keep handles from crossing', () => {
+        createTable('<th class="filtered" data-range-slider>Amount</th>');
+        const [minHandle, maxHandle] = container.querySelectorAll('.lite-table-range-slider input[type="range"]');
+        maxHandle.value = '200';
+        maxHandle.dispatchEvent(new Event('input'));
+
+        minHandle.value = '300';
+        minHandle.dispatchEvent(new Event('input'));
+
+        expect(minHandle.value).toBe('200');
+        expect(rangeInputs()[0].value).toBe('200');
+    });
+
+    test('should use the data-sort-value of cells', () => {
+        createTable();
+        tableManager.addRows(['<tr><td>6</td><td>Closed</td><td data-sort-value="700">seven hundred</td></tr>']);
+
+        tableManager.setFilter(2, { numberRange: { min: 600, max: 800 } });
+        expect(renderedIds()).toEqual(['6']);
+    });
+
+    test('should round-trip through the state and initial filters', () => {
+        createTable(undefined, { initialFilters: { numberRange: { 2: { min: 100, max: 500 } } } });
+
+        expect(renderedIds()).toEqual(['3', '5']);
+        expect(rangeInputs()[0].value).toBe('100');
+
+        const state = tableManager.getState();
+        tableManager.clearFilters();
+        expect(rangeInputs()[0].value).toBe('');
+        tableManager.setState(state);
+        expect(renderedIds()).toEqual(['3', '5']);
+    });
+
+    test('should keep a value list when asked with data-filter', () => {
+        createTable('<th class="filtered" data-filter="value">Amount</th>');
+
+        expect(rangeInputs()).toHaveLength(0);
+        expect(container.querySelectorAll('.lite-table-value-filter')).toHaveLength(2);
+    });
+
+    test('should reject invalid ranges', () => {
+        createTable();
+
+        expect(() => tableManager.setFilter(2, { numberRange: { min: '100' } }))
+            .toThrow('Invalid number range bound: 100');
+        expect(() => tableManager.setFilter(2, { numberRange: { min: 5, max: 1 } }))
+            .toThrow('Invalid number range: 5 is greater than 1');
+    });
+});
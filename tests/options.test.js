@@ -0,0 +1,206 @@
+const { LiteTableManager, initTables, getDataOptions } = require('../src/LiteTable');
+
+describe('LiteTableManager options', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th class="filtered">Status</th>
+              <th class="filtered">Date</th>
+              <th>Name</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>Active</td><td>15/04/2025</td><td>émile</td></tr>
+            <tr><td>2</td><td>Inactive</td><td>20/03/2025</td><td>Zoé</td></tr>
+            <tr><td>3</td><td>Pending</td><td>05/05/2025</td><td>adam</td></tr>
+            <tr><td>4</td><td>Active</td><td>10/02/2025</td><td>Bruno</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[0].textContent);
+
+    let container;
+    let tableManager;
+
+    beforeEach(() => {
+        container = createTableContainer();
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should keep the previous defaults without options', () => {
+        tableManager = new LiteTableManager(container);
+
+        expect(tableManager.displayLimit).toBe(25);
+        expect(tableManager.currentSort).toEqual({ column: 2, direction: 'desc' });
+        expect(container.querySelector('.sort-button')).toBeNull();
+    });
+
+    test('should use the page size and page size choices', () => {
+        tableManager = new LiteTableManager(container, {
+            pageSizes: [2, 5, 'all'],
+            pageSize: 2,
+            controls: { displayLimit: true }
+        });
+
+        const options = Array.from(container.querySelectorAll('.displayLimit option'));
+        expect(options.map(opt => opt.textContent)).toEqual(['2', '5', 'All']);
+        expect(container.querySelector('.displayLimit').value).toBe('2');
+        expect(container.querySelectorAll('tbody tr')).toHaveLength(2);
+    });
+
+    test('should add the page size to the choices when missing', () => {
+        tableManager = new LiteTableManager(container, { pageSize: 20 });
+        expect(tableManager.options.pageSizes).toEqual([10, 20, 25, 50, 100]);
+    });
+
+    test('should apply an explicit initial sort', () => {
+        tableManager = new LiteTableManager(container, {
+            initialSort: { column: 0, direction: 'desc' },
+            sortableColumns: [0, 1],
+            controls: { sorting: true }
+        });
+        expect(renderedIds()).toEqual(['4', '3', '2', '1']);
+        expect(container.querySelectorAll('.sort-button')[0].classList.contains('desc')).toBe(true);
+    });
+
+    test('should keep the markup order without initial sort', () => {
+        tableManager = new LiteTableManager(container, { initialSort: null });
+        expect(tableManager.currentSort.column).toBeNull();
+        expect(renderedIds()).toEqual(['1', '2', '3', '4']);
+    });
+
+    test('should apply initial filters and reflect them in the controls', () => {
+        tableManager = new LiteTableManager(container, {
+            initialFilters: { value: { 1: 'Active' } },
+            controls: { filters: true }
+        });
+
+        expect(renderedIds()).toEqual(['1', '4']);
+        expect(container.querySelector('.lite-table-value-filter-toggle').textContent).toBe('Active');
+    });
+
+    test('should only add sort buttons to sortable columns', () => {
+        tableManager = new LiteTableManager(container, {
+            sortableColumns: [0, 3],
+            initialSort: null,
+            controls: { sorting: true }
+        });
+
+        const headers = container.querySelectorAll('thead th');
+        expect(headers[0].querySelector('.sort-button')).not.toBeNull();
+        expect(headers[1].querySelector('.sort-button')).toBeNull();
+        expect(headers[3].querySelector('.sort-button')).not.toBeNull();
+    });
+
+    test('should compare text with the configured locale', () => {
+        tableManager = new LiteTableManager(container, { locale: 'en', initialSort: { column: 3, direction: 'asc' } });
+        expect(renderedIds()).toEqual(['3', '4', '1', '2']);
+    });
+
+    test('should only render the requested controls', () => {
+        tableManager = new LiteTableManager(container, {
+            controls: { pagination: true, displayLimit: false }
+        });
+
+        expect(container.querySelector('.lite-table-pagination')).not.toBeNull();
+        expect(container.querySelector('.lite-table-display-limit')).toBeNull();
+        expect(container.querySelector('.lite-table-filter')).toBeNull();
+    });
+
+    test.each([
+        ['not an object', 'Options must be an object'],
+        [{ pageSize: 0 }, 'Invalid option "pageSize"'],
+        [{ pageSizes: [] }, 'Invalid option "pageSizes"'],
+        [{ initialSort: { column: 1, direction: 'up' } }, 'Invalid option "initialSort"'],
+        [{ initialSort: { column: 9, direction: 'asc' } }, 'column 9 does not exist'],
+        [{ initialFilters: { range: {} } }, 'unknown filter type(s) range'],
+        [{ initialFilters: { value: { 9: 'x' } } }, 'Invalid option "initialFilters.value": column 9 does not exist'],
+        [{ initialFilters: { date: { 2: 'bogus' } } }, 'Invalid option "initialFilters.date[2]": Invalid date filter: bogus'],
+        [{ initialFilters: { dateRange: { 2: { from: 'nope' } } } }, 'Invalid option "initialFilters.dateRange[2]": Invalid date range bound: nope'],
+        [{ initialFilters: { numberRange: { 2: { min: '10' } } } }, 'Invalid option "initialFilters.numberRange[2]": Invalid number range bound: 10'],
+        [{ initialFilters: { numberRange: { 2: { min: 5, max: 1 } } } }, 'Invalid option "initialFilters.numberRange[2]": Invalid number range: 5 is greater than 1'],
+        [{ initialFilters: { text: { 1: true } } }, 'Invalid option "initialFilters.text[1]": expected a string or { operator, value, to }'],
+        [{ initialFilters: { text: { 1: { operator: 'like', value: 'a' } } } }, 'Invalid option "initialFilters.text[1]": Invalid text filter operator: like'],
+        [{ initialFilters: { text: { 1: { operator: 'regex', value: '(' } } } }, 'Invalid option "initialFilters.text[1]": Invalid regular expression: ('],
+        [{ initialFilters: { text: { 0: { operator: '>', value: 'abc' } } } }, 'Invalid option "initialFilters.text[0]": Invalid number for column 0: abc'],
+        [{ sortableColumns: 'all' }, 'Invalid option "sortableColumns"'],
+        [{ sortableColumns: [1, 42] }, 'Invalid option "sortableColumns": column 42 does not exist'],
+        [{ locale: '' }, 'Invalid option "locale"'],
+        [{ controls: { search: true } }, 'unknown control(s) search'],
+        [{ pagesize: 10 }, 'Unknown option(s): pagesize']
+    ])('should reject invalid options %#', (options, message) => {
+        expect(() => new LiteTableManager(container, options)).toThrow(message);
+    });
+
+    describe('data attributes', () => {
+        test('should read options from data-* attributes', () => {
+            container.dataset.pageSizes = '2, 5, all';
+            container.dataset.pageSize = '5';
+            container.dataset.initialSort = '0:desc';
+            container.dataset.initialFilters = '{"value": {"1": "Active"}}';
+            container.dataset.sortableColumns = '1,2';
+            container.dataset.locale = 'en';
+            container.dataset.controls = 'filters,pagination';
+
+            expect(getDataOptions(container)).toEqual({
+                pageSizes: [2, 5, 'all'],
+                pageSize: 5,
+                initialSort: { column: 0, direction: 'desc' },
+                initialFilters: { value: { 1: 'Active' } },
+                sortableColumns: [1, 2],
+                locale: 'en',
+                controls: { filters: true, sorting: false, displayLimit: false, pagination: true }
+            });
+        });
+
+        test('should map "none" to no initial sort and no controls', () => {
+            container.dataset.initialSort = 'none';
+            container.dataset.controls = 'none';
+
+            expect(getDataOptions(container)).toEqual({
+                initialSort: null,
+                controls: { filters: false, sorting: false, displayLimit: false, pagination: false }
+            });
+        });
+
+        test('should reject malformed JSON filters', () => {
+            container.dataset.initialFilters = '{value:';
+            expect(() => getDataOptions(container)).toThrow('Invalid data-initial-filters attribute');
+        });
+
+        test('should be picked up by initTables', () => {
+            container.dataset.pageSize = '2';
+            container.dataset.initialSort = 'none';
+            initTables({ pageSizes: [2, 4] });
+
+            tableManager = container._tableManager;
+            expect(tableManager.displayLimit).toBe(2);
+            expect(tableManager.options.pageSizes).toEqual([2, 4]);
+            expect(renderedIds()).toEqual(['1', '2']);
+        });
+    });
+});
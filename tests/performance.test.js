@@ -0,0 +1,168 @@
+const { LiteTableManager } = require('../src/LiteTable');
+
+describe('LiteTableManager performance with 100k rows', () => {
+    const ROW_COUNT = 100000;
+
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Customer</th>
+              <th data-type="date">Date</th>
+              <th data-type="number">Amount</th>
+            </tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    // jsdom cannot hold 100k <tr> elements, so the rows are built in the `rowsCache` shape described
+    // in TECHNICAL_DOCS.md, and only create their <tr> when a page renders them. The test counts the
+    // work done rather than timing it
+    const createCachedRows = () => Array.from({ length: ROW_COUNT }, (_, index) => {
+        const texts = [
+            String(index + 1),
+            `Customer ${index % 997}`,
+            `${String(index % 28 + 1).padStart(2, '0')}/${String(index % 12 + 1).padStart(2, '0')}/2024`,
+            ((index * 7919) % ROW_COUNT / 100).toFixed(2).replace('.', ',')
+        ];
+        const cells = texts.map(text => ({
+            innerHTML: text,
+            textContent: text,
+            title: '',
+            attributes: {},
+            sortValue: null,
+            filterValue: null
+        }));
+        return {
+            originalIndex: index,
+            key: null,
+            cells,
+            get element() {
+                const tr = document.createElement('tr');
+                texts.forEach(text => tr.insertCell().append(text));
+                return tr;
+            }
+        };
+    });
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[0].textContent);
+    const column = colIndex => tableManager.filteredRows.map(rowData => rowData.cells[colIndex].textContent);
+
+    let container;
+    let tableManager;
+
+    beforeAll(() => {
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, { initialSort: null });
+        tableManager.rowsCache = createCachedRows();
+        tableManager.invalidateRows();
+        tableManager.updateTable();
+    });
+
+    afterAll(() => {
+        tableManager.destroy();
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should parse the sort keys of a column once', () => {
+        const parseNumber = jest.spyOn(tableManager, 'numberParser');
+
+        tableManager.sortBy(3, 'asc');
+        expect(parseNumber).toHaveBeenCalledTimes(ROW_COUNT);
+        expect(column(3).slice(0, 3)).toEqual(['0,00', '0,01', '0,02']);
+
+        // Detecting the type of the customer column tries to read numbers too
+        tableManager.sortBy(1, 'asc');
+        const calls = parseNumber.mock.calls.length;
+        tableManager.sortBy(3, 'desc');
+        expect(parseNumber).toHaveBeenCalledTimes(calls);
+        expect(column(3).slice(0, 2)).toEqual(['999,99', '999,98']);
+    });
+
+    test('should change pages without sorting, filtering or copying the rows again', () => {
+        tableManager.sortBy(2, 'desc');
+        const sortRows = jest.spyOn(tableManager, 'sortRows');
+        const applyFilters = jest.spyOn(tableManager, 'applyFilters');
+        const getFilterSignature = jest.spyOn(tableManager, 'getFilterSignature');
+        const handler = jest.fn();
+        tableManager.on('page', handler);
+
+        tableManager.goToPage(2);
+        tableManager.goToPage(4000);
+
+        expect(sortRows).not.toHaveBeenCalled();
+        expect(applyFilters).not.toHaveBeenCalled();
+        expect(getFilterSignature).not.toHaveBeenCalled();
+        const [first, second] = handler.mock.calls.map(([event]) => event.detail.filteredRows);
+        expect(second).toBe(first);
+        expect(Object.isFrozen(first)).toBe(true);
+        tableManager.off('page', handler);
+        expect(renderedIds()).toHaveLength(25);
+        expect(container.querySelector('.tableInfo').textContent).toBe(`Showing 25 items out of ${ROW_COUNT} (total: ${ROW_COUNT})`);
+    });
+
+    test('should reverse the rows when only the direction changes, keeping ties in the original order', () => {
+        tableManager.sortBy(1, 'asc');
+        const sort = jest.spyOn(Array.prototype, 'sort');
+
+        tableManager.sortBy(1, 'desc');
+        expect(sort).not.toHaveBeenCalled();
+        sort.mockRestore();
+
+        const rows = tableManager.filteredRows;
+        const misplaced = rows.slice(1).filter((rowData, index) => {
+            const order = tableManager.collator.compare(rows[index].cells[1].textContent, rowData.cells[1].textContent);
+            return order < 0 || (order === 0 && rows[index].originalIndex > rowData.originalIndex);
+        });
+        expect(rows[0].cells[1].textContent).toBe('Customer 996');
+        expect(misplaced).toHaveLength(0);
+    });
+
+    test('should keep the filter results until the filters or rows change', () => {
+        const applyFilters = jest.spyOn(tableManager, 'applyFilters');
+        const parseDate = jest.spyOn(tableManager.dateParsers, 2);
+
+        tableManager.setFilter(2, { dateRange: { from: '2024-01-01', to: '2024-12-31' } });
+        expect(parseDate).toHaveBeenCalledTimes(ROW_COUNT);
+        tableManager.setFilter(2, { dateRange: { from: '2024-03-01', to: '2024-05-31' } });
+        expect(parseDate).toHaveBeenCalledTimes(ROW_COUNT);
+        expect(applyFilters).toHaveBeenCalledTimes(2);
+        const matching = tableManager.rowsCache.filter(rowData => /\/0[345]\//.test(rowData.cells[2].textContent)).length;
+        expect(tableManager.filteredRows).toHaveLength(matching);
+
+        tableManager.sortBy(0, 'desc');
+        tableManager.goToPage(2);
+        expect(applyFilters).toHaveBeenCalledTimes(2);
+        expect(tableManager.filteredRows).toHaveLength(matching);
+        expect(column(0).slice(0, 2)).toEqual(['100000', '99999']);
+
+        tableManager.addRows(['<tr><td>100001</td><td>Customer 1</td><td>01/04/2024</td><td>5</td></tr>']);
+        expect(applyFilters).toHaveBeenCalledTimes(3);
+        expect(tableManager.filteredRows).toHaveLength(matching + 1);
+        expect(column(0)[0]).toBe('100001');
+
+        tableManager.clearFilters();
+        expect(tableManager.filteredRows).toHaveLength(ROW_COUNT + 1);
+    });
+});
@@ -0,0 +1,215 @@
+const { LiteTableManager, getDataOptions } = require('../src/LiteTable');
+
+describe('LiteTableManager persisted preferences', () => {
+    const createTableContainer = (headers = ['ID', 'Status', 'Amount']) => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>${headers.map(header => `<th class="filtered">${header}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>Active</td><td>100</td></tr>
+            <tr><td>2</td><td>Inactive</td><td>250</td></tr>
+            <tr><td>3</td><td>Active</td><td>75</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[0].textContent);
+    const saved = () => JSON.parse(localStorage.getItem('litetable:orders'));
+
+    let container;
+    let tableManager;
+
+    const createTable = (options = {}, headers) => {
+        if (tableManager) tableManager.destroy();
+        if (container) document.body.removeChild(container);
+        container = createTableContainer(headers);
+        tableManager = new LiteTableManager(container, { initialSort: null, persist: 'orders', ...options });
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should save the sort, filters and page size with a version', () => {
+        createTable();
+        tableManager.sortBy(2, 'desc');
+        tableManager.setFilter(1, 'Active');
+        tableManager.setSearch('1');
+        tableManager.setPageSize(10);
+
+        expect(saved()).toEqual({
+            version: 1,
+            columns: ['ID', 'Status', 'Amount'],
+            state: {
+                sorts: [{ column: 2, direction: 'desc' }],
+                filters: { value: { 1: 'Active' }, date: {}, dateRange: {}, numberRange: {}, text: {} },
+                pageSize: 10
+            },
+            hidden: [],
+            order: [0, 1, 2],
+            widths: {}
+        });
+    });
+
+    test('should restore the saved preferences but the search', () => {
+        createTable();
+        tableManager.sortBy(2, 'desc');
+        tableManager.setFilter(1, 'Active');
+        tableManager.setSearch('3');
+        tableManager.setPageSize(10);
+
+        createTable({ controls: { filters: true } });
+
+        expect(renderedIds()).toEqual(['1', '3']);
+        expect(tableManager.getState()).toMatchObject({
+            sorts: [{ column: 2, direction: 'desc' }],
+            filters: { value: { 1: 'Active' }, search: '' },
+            pageSize: 10
+        });
+        expect(container.querySelector('.lite-table-value-filter-toggle').textContent).toBe('Active');
+    });
+
+    test('should drop the columns whose title changed', () => {
+        createTable();
+        tableManager.setSort([{ column: 1, direction: 'asc' }, { column: 2, direction: 'desc' }]);
+        tableManager.setFilter(1, 'Active');
+        tableManager.setFilter(2, { numberRange: { min: 80, max: null } });
+
+        createTable({}, ['ID', 'State', 'Amount']);
+
+        expect(tableManager.getState().sorts).toEqual([{ column: 2, direction: 'desc' }]);
+        expect(tableManager.getState().filters.value).toEqual({});
+        expect(tableManager.getState().filters.numberRange).toEqual({ 2: { min: 80, max: null } });
+
+        createTable({}, ['ID']);
+        expect(tableManager.getState().sorts).toEqual([]);
+    });
+
+    test('should drop data saved with another version or that cannot be read', () => {
+        localStorage.setItem('litetable:orders', JSON.stringify({ version: 0, columns: [], state: { pageSize: 10 } }));
+        createTable();
+        expect(tableManager.getState().pageSize).toBe(25);
+        expect(localStorage.getItem('litetable:orders')).toBeNull();
+
+        localStorage.setItem('litetable:orders', '{');
+        createTable();
+        expect(tableManager.getState().pageSize).toBe(25);
+
+        localStorage.setItem('litetable:orders', JSON.stringify({
+            version: 1, columns: ['ID', 'Status', 'Amount'], state: { pageSize: -1 }
+        }));
+        createTable();
+        expect(tableManager.getState().pageSize).toBe(25);
+        expect(localStorage.getItem('litetable:orders')).toBeNull();
+    });
+
+    test('should reset to the initial state and forget the preferences', () => {
+        createTable({ initialSort: { column: 2, direction: 'asc' } });
+        tableManager.sortBy(0, 'desc');
+        tableManager.setFilter(1, 'Active');
+        const handler = jest.fn();
+        tableManager.on('statechange', handler);
+
+        tableManager.resetState();
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(tableManager.getState().sorts).toEqual([{ column: 2, direction: 'asc' }]);
+        expect(renderedIds()).toEqual(['3', '1', '2']);
+        expect(localStorage.getItem('litetable:orders')).toBeNull();
+    });
+
+    test('should use a custom storage adapter', () => {
+        const items = new Map();
+        const storage = {
+            getItem: jest.fn(key => items.get(key) ?? null),
+            setItem: jest.fn((key, value) => items.set(key, value)),
+            removeItem: jest.fn(key => items.delete(key))
+        };
+        createTable({ persist: { key: 'orders', storage } });
+        tableManager.setPageSize(50);
+
+        expect(storage.setItem).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(items.get('litetable:orders')).state.pageSize).toBe(50);
+        expect(localStorage.getItem('litetable:orders')).toBeNull();
+
+        tableManager.addRows(['<tr><td>4</td><td>Active</td><td>1</td></tr>']);
+        expect(storage.setItem).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep working when the storage fails', () => {
+        const storage = {
+            getItem: () => { throw new Error('denied'); },
+            setItem: () => { throw new Error('quota'); },
+            removeItem: () => {}
+        };
+        createTable({ persist: { key: 'orders', storage } });
+
+        expect(() => tableManager.setPageSize(10)).not.toThrow();
+    });
+
+    test('should keep working when removing the preferences fails', () => {
+        const storage = {
+            getItem: () => JSON.stringify({ version: -1 }),
+            setItem: () => {},
+            removeItem: () => { throw new Error('denied'); }
+        };
+        expect(() => createTable({ persist: { key: 'orders', storage } })).not.toThrow();
+
+        tableManager.setPageSize(10);
+        expect(() => tableManager.resetState()).not.toThrow();
+        expect(tableManager.getState().pageSize).toBe(25);
+    });
+
+    test('should let the URL state override the saved preferences', () => {
+        createTable();
+        tableManager.setPageSize(10);
+        tableManager.sortBy(2, 'asc');
+        window.history.replaceState(null, '', '/?orders.sort=0:desc');
+
+        const urlContainer = createTableContainer();
+        urlContainer.id = 'orders';
+        const urlManager = new LiteTableManager(urlContainer, { initialSort: null, persist: 'orders', urlState: true });
+
+        expect(urlManager.getState().sorts).toEqual([{ column: 0, direction: 'desc' }]);
+        expect(urlManager.getState().pageSize).toBe(10);
+
+        urlManager.destroy();
+        document.body.removeChild(urlContainer);
+        window.history.replaceState(null, '', '/');
+    });
+
+    test('should validate the option and read data-persist', () => {
+        container = createTableContainer();
+
+        expect(() => new LiteTableManager(container, { persist: '' }))
+            .toThrow('Invalid option "persist": expected a key or { key, storage }');
+        expect(() => new LiteTableManager(container, { persist: { key: 'a', storage: {} } }))
+            .toThrow('Invalid option "persist.storage"');
+
+        container.dataset.persist = 'orders';
+        expect(getDataOptions(container)).toEqual({ persist: 'orders' });
+    });
+});
@@ -0,0 +1,227 @@
+const { LiteTableManager } = require('../src/LiteTable');
+
+describe('LiteTableManager row mutations', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th class="filtered">Status</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr data-row-id="a"><td>1</td><td>Open</td><td>100</td></tr>
+            <tr data-row-id="b"><td>2</td><td>Closed</td><td>250</td></tr>
+            <tr data-row-id="c"><td>3</td><td>Open</td><td>75</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.getAttribute('data-row-id'));
+    const statusOptions = () => Array.from(container.querySelectorAll('.lite-table-value-filter input[type="checkbox"]'))
+        .map(checkbox => checkbox.value);
+
+    let container;
+    let tableManager;
+
+    beforeEach(() => {
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, { initialSort: null, controls: { filters: true } });
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    describe('addRows', () => {
+        test('should append rows and update the options and counts', () => {
+            tableManager.addRows([
+                '<tr data-row-id="d"><td>4</td><td>Pending</td><td>10</td></tr>',
+                createHTMLElement('<table><tr data-row-id="e"><td>5</td><td>Open</td><td>20</td></tr></table>').rows[0]
+            ]);
+
+            expect(renderedIds()).toEqual(['a', 'b', 'c', 'd', 'e']);
+            expect(tableManager.rowsCache.map(row => row.originalIndex)).toEqual([0, 1, 2, 3, 4]);
+            expect(statusOptions()).toEqual(['Closed', 'Open', 'Pending']);
+            expect(container.querySelector('.tableInfo').textContent).toBe('Showing 5 items out of 5 (total: 5)');
+        });
+
+        test('should keep the current sort, filter and page', () => {
+            tableManager.setPageSize(1);
+            tableManager.sortBy(2, 'desc');
+            tableManager.setFilter(1, 'Open');
+            tableManager.goToPage(2);
+
+            tableManager.addRows(['<tr data-row-id="d"><td>4</td><td>Open</td><td>500</td></tr>']);
+
+            expect(tableManager.getState()).toMatchObject({
+                sort: { column: 2, direction: 'desc' },
+                filters: { value: { 1: 'Open' } },
+                page: 2
+            });
+            expect(renderedIds()).toEqual(['a']);
+        });
+
+        test('should reject invalid rows', () => {
+            expect(() => tableManager.addRows(['<div></div>'])).toThrow('Invalid row');
+            expect(() => tableManager.addRows('<tr></tr>')).toThrow('Rows must be an array');
+        });
+
+        test('should reject ids already used without adding any row', () => {
+            expect(() => tableManager.addRows([
+                '<tr data-row-id="d"><td>4</td><td>Open</td><td>10</td></tr>',
+                '<tr data-row-id="a"><td>5</td><td>Open</td><td>20</td></tr>'
+            ])).toThrow('Duplicate row id "a"');
+            expect(() => tableManager.addRows([
+                '<tr data-row-id="d"><td>4</td><td>Open</td><td>10</td></tr>',
+                '<tr data-row-id="d"><td>5</td><td>Open</td><td>20</td></tr>'
+            ])).toThrow('Duplicate row id "d"');
+
+            expect(renderedIds()).toEqual(['a', 'b', 'c']);
+            expect(tableManager.allRows).toHaveLength(3);
+        });
+    });
+
+    describe('updateRow', () => {
+        test('should replace cell contents and keep the original position', () => {
+            tableManager.updateRow('b', [undefined, 'Archived']);
+
+            const row = container.querySelector('tbody tr[data-row-id="b"]');
+            expect(row.cells[1].textContent).toBe('Archived');
+            expect(row.cells[2].textContent).toBe('250');
+            expect(renderedIds()).toEqual(['a', 'b', 'c']);
+            expect(statusOptions()).toEqual(['Archived', 'Open']);
+        });
+
+        test('should accept a new row element and keep its id', () => {
+            tableManager.updateRow('a', '<tr><td>1</td><td>Closed</td><td>1</td></tr>');
+
+            expect(container.querySelector('tbody tr').getAttribute('data-row-id')).toBe('a');
+            expect(container.querySelector('tbody tr').cells[2].textContent).toBe('1');
+        });
+
+        test('should throw for an unknown id', () => {
+            expect(() => tableManager.updateRow('z', [])).toThrow('No row found with id "z"');
+        });
+
+        test('should reject an id used by another row', () => {
+            expect(() => tableManager.updateRow('a', '<tr data-row-id="b"><td>1</td><td>Open</td><td>1</td></tr>'))
+                .toThrow('Duplicate row id "b"');
+            tableManager.updateRow('a', '<tr data-row-id="a"><td>1</td><td>Open</td><td>1</td></tr>');
+            expect(renderedIds()).toEqual(['a', 'b', 'c']);
+        });
+    });
+
+    describe('removeRow', () => {
+        test('should remove the row and update the counts', () => {
+            tableManager.removeRow('b');
+
+            expect(renderedIds()).toEqual(['a', 'c']);
+            expect(statusOptions()).toEqual(['Open']);
+            expect(container.querySelector('.tableInfo').textContent).toBe('Showing 2 items out of 2 (total: 2)');
+        });
+
+        test('should stay on the last page when it is emptied', () => {
+            tableManager.setPageSize(1);
+            tableManager.goToPage(3);
+
+            tableManager.removeRow('c');
+
+            expect(tableManager.getState().page).toBe(2);
+            expect(renderedIds()).toEqual(['b']);
+        });
+    });
+
+    describe('replaceAll', () => {
+        test('should replace every row and keep the view', () => {
+            tableManager.sortBy(2, 'asc');
+            const handler = jest.fn();
+            tableManager.on('rowschange', handler);
+
+            tableManager.replaceAll([
+                '<tr data-row-id="x"><td>9</td><td>Open</td><td>30</td></tr>',
+                '<tr data-row-id="y"><td>8</td><td>Open</td><td>3</td></tr>'
+            ]);
+
+            expect(renderedIds()).toEqual(['y', 'x']);
+            expect(tableManager.allRows).toHaveLength(2);
+            expect(handler.mock.calls[0][0].detail).toMatchObject({ action: 'replace', keys: ['x', 'y'] });
+        });
+
+        test('should reject duplicate ids without changing the rows', () => {
+            expect(() => tableManager.replaceAll([
+                '<tr data-row-id="x"><td>9</td><td>Open</td><td>30</td></tr>',
+                '<tr data-row-id="x"><td>8</td><td>Open</td><td>3</td></tr>'
+            ])).toThrow('Duplicate row id "x"');
+            expect(renderedIds()).toEqual(['a', 'b', 'c']);
+        });
+    });
+
+    test('should emit rowschange for each mutation', () => {
+        const handler = jest.fn();
+        tableManager.on('rowschange', handler);
+
+        tableManager.addRows(['<tr data-row-id="d"><td>4</td><td>Open</td><td>1</td></tr>']);
+        tableManager.updateRow('d', [undefined, 'Closed']);
+        tableManager.removeRow('d');
+
+        expect(handler.mock.calls.map(([event]) => [event.detail.action, event.detail.keys]))
+            .toEqual([['add', ['d']], ['update', ['d']], ['remove', ['d']]]);
+    });
+
+    describe('with column definitions', () => {
+        let dataContainer;
+        let dataManager;
+
+        beforeEach(() => {
+            dataContainer = document.createElement('div');
+            dataContainer.innerHTML = '<div class="lite-table-container"></div><div class="tableInfo"></div>';
+            document.body.appendChild(dataContainer);
+            dataManager = new LiteTableManager(dataContainer, {
+                columns: [{ key: 'id' }, { key: 'status' }],
+                data: [{ id: 10, status: 'Open' }, { id: 11, status: 'Closed' }],
+                rowKey: 'id'
+            });
+        });
+
+        afterEach(() => {
+            dataManager.destroy();
+            document.body.removeChild(dataContainer);
+        });
+
+        test('should key rows with the rowKey option and merge updates into records', () => {
+            dataManager.addRows([{ id: 12, status: 'Pending' }]);
+            dataManager.updateRow(11, { status: 'Archived' });
+            dataManager.removeRow('10');
+
+            const rows = Array.from(dataContainer.querySelectorAll('tbody tr'));
+            expect(rows.map(row => row.getAttribute('data-row-id'))).toEqual(['11', '12']);
+            expect(rows[0].cells[1].textContent).toBe('Archived');
+            expect(dataManager.rowsCache[0].record).toEqual({ id: 11, status: 'Archived' });
+        });
+
+        test('should reject an invalid rowKey', () => {
+            expect(() => new LiteTableManager(dataContainer, { columns: [{ key: 'id' }], rowKey: 1 }))
+                .toThrow('Invalid option "rowKey"');
+        });
+    });
+});
@@ -0,0 +1,160 @@
+const { LiteTableManager, normalizeSearchText, highlightMatches } = require('../src/LiteTable');
+
+describe('Global search', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th class="filtered">Company</th>
+              <th>City</th>
+              <th data-searchable="false">Notes</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>ACME Corp</td><td>Paris</td><td>acme partner</td></tr>
+            <tr><td>2</td><td>Globex</td><td>Besançon</td><td>-</td></tr>
+            <tr><td>3</td><td><a href="#">Acmé Labs</a></td><td>Lyon</td><td>-</td></tr>
+            <tr><td>4</td><td>Initech</td><td>Paris</td><td>acme</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[0].textContent);
+
+    let container;
+    let tableManager;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, {
+            search: true,
+            initialSort: null,
+            controls: { filters: true }
+        });
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+        jest.useRealTimers();
+    });
+
+    describe('normalizeSearchText', () => {
+        test('should remove accents and lowercase', () => {
+            expect(normalizeSearchText('Besançon ÉTÉ')).toBe('besancon ete');
+        });
+    });
+
+    describe('highlightMatches', () => {
+        test('should wrap matches without breaking the markup', () => {
+            const cell = document.createElement('td');
+            cell.innerHTML = '<a href="#">Acmé Labs</a> acme';
+
+            highlightMatches(cell, ['acme']);
+
+            expect(cell.innerHTML).toBe(
+                '<a href="#"><mark class="lite-table-highlight">Acmé</mark> Labs</a> <mark class="lite-table-highlight">acme</mark>'
+            );
+        });
+    });
+
+    test('should render the search input first in the filters', () => {
+        const firstFilter = container.querySelector('.lite-table-filters').firstElementChild;
+        expect(firstFilter.classList.contains('lite-table-search')).toBe(true);
+        expect(firstFilter.querySelector('input').placeholder).toBe('Search...');
+    });
+
+    test('should match case and accent insensitively across columns', () => {
+        tableManager.setSearch('acme');
+        expect(renderedIds()).toEqual(['1', '3']);
+
+        tableManager.setSearch('BESANCON');
+        expect(renderedIds()).toEqual(['2']);
+    });
+
+    test('should require every word to match', () => {
+        tableManager.setSearch('acme paris');
+        expect(renderedIds()).toEqual(['1']);
+    });
+
+    test('should skip columns with data-searchable="false"', () => {
+        tableManager.setSearch('partner');
+        expect(renderedIds()).toEqual([]);
+    });
+
+    test('should combine with the other filters', () => {
+        tableManager.setFilter(1, 'ACME Corp');
+        tableManager.setSearch('paris');
+        expect(renderedIds()).toEqual(['1']);
+    });
+
+    test('should debounce typing in the input', () => {
+        const input = container.querySelector('.lite-table-search input');
+        input.value = 'lyon';
+        input.dispatchEvent(new Event('input'));
+
+        expect(renderedIds()).toHaveLength(4);
+        jest.advanceTimersByTime(250);
+        expect(renderedIds()).toEqual(['3']);
+        expect(tableManager.getState().filters.search).toBe('lyon');
+    });
+
+    test('should highlight matches in the rendered cells', () => {
+        tableManager.setSearch('paris');
+
+        const marks = Array.from(container.querySelectorAll('tbody mark.lite-table-highlight'));
+        expect(marks.map(mark => mark.textContent)).toEqual(['Paris', 'Paris']);
+
+        tableManager.setSearch('');
+        expect(container.querySelector('tbody mark')).toBeNull();
+    });
+
+    test('should not highlight when disabled', () => {
+        tableManager = new LiteTableManager(container, {
+            search: { highlight: false, debounce: 0 },
+            initialFilters: { search: 'lyon' }
+        });
+
+        expect(renderedIds()).toEqual(['3']);
+        expect(container.querySelector('tbody mark')).toBeNull();
+        expect(container.querySelector('.lite-table-search input').value).toBe('lyon');
+    });
+
+    test('should be cleared by clearFilters and restored by setState', () => {
+        tableManager.setSearch('globex');
+        const state = tableManager.getState();
+
+        tableManager.clearFilters();
+        expect(renderedIds()).toHaveLength(4);
+        expect(container.querySelector('.lite-table-search input').value).toBe('');
+
+        tableManager.setState(state);
+        expect(renderedIds()).toEqual(['2']);
+        expect(container.querySelector('.lite-table-search input').value).toBe('globex');
+    });
+
+    test('should reject invalid search options', () => {
+        expect(() => new LiteTableManager(container, { search: 'yes' })).toThrow('Invalid option "search"');
+        expect(() => new LiteTableManager(container, { search: { debounce: -1 } })).toThrow('Invalid option "search.debounce"');
+        expect(() => tableManager.setSearch(42)).toThrow('Search query must be a string');
+    });
+});
@@ -0,0 +1,232 @@
+const { LiteTableManager, getDataOptions } = require('../src/LiteTable');
+
+describe('LiteTableManager row selection', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Status</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr data-row-id="a"><td>1</td><td>Open</td><td>100</td></tr>
+            <tr data-row-id="b"><td>2</td><td>Closed</td><td>250</td></tr>
+            <tr data-row-id="c"><td>3</td><td>Open</td><td>75</td></tr>
+            <tr data-row-id="d"><td>4</td><td>Closed</td><td>300</td></tr>
+            <tr data-row-id="e"><td>5</td><td>Open</td><td>20</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[1].textContent);
+    const selectedKeys = () => tableManager.getSelectedRows().map(rowData => rowData.key);
+    const rowCheckbox = id => Array.from(container.querySelectorAll('tbody tr'))
+        .find(row => row.cells[1].textContent === id)
+        .querySelector('.lite-table-select input');
+    const selectAll = () => container.querySelector('th.lite-table-select input');
+    const shiftClick = element => element.dispatchEvent(new MouseEvent('click', { shiftKey: true, bubbles: true }));
+
+    let container;
+    let tableManager;
+
+    beforeEach(() => {
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, { initialSort: null, pageSize: 2, selectable: true });
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should add a checkbox column without shifting the column indexes', () => {
+        expect(container.querySelectorAll('thead th.lite-table-select')).toHaveLength(1);
+        expect(container.querySelector('tbody tr').cells[0].className).toBe('lite-table-select');
+        expect(tableManager.getColumnTitles()).toEqual(['ID', 'Status', 'Amount']);
+
+        tableManager.setFilter(1, 'Closed');
+        tableManager.sortBy(2, 'desc');
+        expect(renderedIds()).toEqual(['4', '2']);
+    });
+
+    test('should select rows with their checkboxes and show the count', () => {
+        const handler = jest.fn();
+        tableManager.on('selectionchange', handler);
+
+        rowCheckbox('2').click();
+
+        expect(selectedKeys()).toEqual(['b']);
+        expect(rowCheckbox('2').closest('tr').classList.contains('lite-table-selected')).toBe(true);
+        expect(rowCheckbox('2').closest('tr').getAttribute('aria-selected')).toBe('true');
+        expect(container.querySelector('.tableInfo').textContent).toBe('Showing 2 items out of 5 (total: 5), 1 selected');
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail.selectedRows.map(rowData => rowData.key)).toEqual(['b']);
+
+        rowCheckbox('2').click();
+        expect(selectedKeys()).toEqual([]);
+        expect(container.querySelector('.tableInfo').textContent).toBe('Showing 2 items out of 5 (total: 5)');
+    });
+
+    test('should keep the selection across pages, sorting and filtering', () => {
+        tableManager.selectRows(['a', 'd']);
+
+        tableManager.goToPage(2);
+        expect(rowCheckbox('3').checked).toBe(false);
+        expect(rowCheckbox('4').checked).toBe(true);
+
+        tableManager.sortBy(2, 'desc');
+        tableManager.setFilter(1, 'Closed');
+        expect(renderedIds()).toEqual(['4', '2']);
+        expect(rowCheckbox('4').checked).toBe(true);
+        expect(rowCheckbox('2').checked).toBe(false);
+
+        tableManager.clearFilters();
+        expect(selectedKeys()).toEqual(['d', 'a']);
+    });
+
+    test('should select a range with shift-click, across pages', () => {
+        tableManager.setPageSize('all');
+        rowCheckbox('2').click();
+        rowCheckbox('4').click();
+        expect(selectedKeys()).toEqual(['b', 'd']);
+
+        rowCheckbox('4').click();
+        rowCheckbox('1').click();
+        tableManager.setPageSize(2);
+        tableManager.goToPage(3);
+        shiftClick(rowCheckbox('5'));
+        expect(selectedKeys()).toEqual(['a', 'b', 'c', 'd', 'e']);
+
+        tableManager.goToPage(2);
+        rowCheckbox('3').click();
+        tableManager.goToPage(1);
+        shiftClick(rowCheckbox('1'));
+        expect(selectedKeys()).toEqual(['d', 'e']);
+    });
+
+    test('should select the page with the header checkbox', () => {
+        selectAll().click();
+        expect(selectedKeys()).toEqual(['a', 'b']);
+        expect(selectAll().checked).toBe(true);
+
+        tableManager.goToPage(2);
+        expect(selectAll().checked).toBe(false);
+        expect(selectAll().indeterminate).toBe(false);
+
+        rowCheckbox('3').click();
+        expect(selectAll().indeterminate).toBe(true);
+
+        tableManager.goToPage(1);
+        selectAll().click();
+        expect(selectedKeys()).toEqual(['c']);
+    });
+
+    test('should select every filtered row with selectAll: filtered', () => {
+        tableManager.destroy();
+        document.body.removeChild(container);
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, {
+            initialSort: null,
+            pageSize: 2,
+            selectable: { selectAll: 'filtered' }
+        });
+
+        tableManager.setFilter(1, 'Open');
+        selectAll().click();
+        expect(selectedKeys()).toEqual(['a', 'c', 'e']);
+
+        tableManager.clearFilters();
+        expect(selectAll().indeterminate).toBe(true);
+        tableManager.selectAll('page');
+        expect(selectedKeys()).toEqual(['a', 'b', 'c', 'e']);
+    });
+
+    test('should select and clear rows through the API', () => {
+        const handler = jest.fn();
+        tableManager.on('selectionchange', handler);
+
+        tableManager.selectRows(['c', 'a']);
+        tableManager.selectRows(['a']);
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(rowCheckbox('1').checked).toBe(true);
+
+        tableManager.selectRows(['a'], false);
+        expect(selectedKeys()).toEqual(['c']);
+
+        tableManager.clearSelection();
+        expect(selectedKeys()).toEqual([]);
+        expect(handler).toHaveBeenCalledTimes(3);
+    });
+
+    test('should keep updated rows selected and drop removed ones', () => {
+        tableManager.selectRows(['a', 'b']);
+        const handler = jest.fn();
+        tableManager.on('selectionchange', handler);
+
+        tableManager.updateRow('a', ['1', 'Archived', '100']);
+        expect(selectedKeys()).toEqual(['a', 'b']);
+        expect(rowCheckbox('1').checked).toBe(true);
+
+        tableManager.removeRow('b');
+        expect(selectedKeys()).toEqual(['a']);
+        expect(handler).toHaveBeenCalledTimes(1);
+
+        tableManager.replaceAll(['<tr data-row-id="z"><td>9</td><td>New</td><td>1</td></tr>']);
+        expect(selectedKeys()).toEqual([]);
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    test('should export the selected rows', () => {
+        tableManager.selectRows(['e', 'b']);
+
+        expect(tableManager.exportCSV({ scope: 'selected', columns: [0, 1] })).toBe('ID,Status\r\n2,Closed\r\n5,Open');
+    });
+
+    test('should remove the checkboxes on destroy', () => {
+        tableManager.destroy();
+        tableManager = null;
+
+        expect(container.querySelector('.lite-table-select')).toBeNull();
+    });
+
+    test('should read data-selectable and reject invalid options', () => {
+        container.dataset.selectable = 'filtered';
+        expect(getDataOptions(container)).toEqual({ selectable: { selectAll: 'filtered' } });
+
+        expect(() => tableManager.selectRows(['x'])).toThrow('No row found with id "x"');
+        expect(() => tableManager.selectAll('everything')).toThrow('Invalid selection scope: everything');
+        expect(() => new LiteTableManager(container, { selectable: { selectAll: 'all' } }))
+            .toThrow('Invalid option "selectable.selectAll": expected one of page, filtered');
+    });
+
+    test('should require the selectable option', () => {
+        tableManager.destroy();
+        document.body.removeChild(container);
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, { initialSort: null });
+
+        expect(container.querySelector('.lite-table-select')).toBeNull();
+        expect(tableManager.getSelectedRows()).toEqual([]);
+        expect(() => tableManager.selectRows(['a'])).toThrow('Row selection requires the "selectable" option');
+        expect(() => tableManager.exportCSV({ scope: 'selected' })).toThrow('Row selection requires the "selectable" option');
+    });
+});
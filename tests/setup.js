@@ -6,4 +6,10 @@ global.createHTMLElement = (html) => {
     const div = document.createElement('div');
     div.innerHTML = html.trim();
     return div.firstChild;
-};
\ No newline at end of file
+};
+// jsdom does not provide TextEncoder, used to build XLSX files
+if (typeof global.TextEncoder === 'undefined') {
+    const { TextEncoder, TextDecoder } = require('util');
+    global.TextEncoder = TextEncoder;
+    global.TextDecoder = TextDecoder;
+}
@@ -0,0 +1,242 @@
+const { LiteTableManager, getDataOptions } = require('../src/LiteTable');
+
+describe('LiteTableManager sticky header and frozen columns', () => {
+    const groupedHeader = `
+            <tr><th colspan="2">Order</th><th colspan="2">Details</th></tr>
+            <tr><th>ID</th><th>Name</th><th>Status</th><th>Amount</th></tr>`;
+
+    const createTableContainer = (header = groupedHeader) => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            ${header}
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>Acme</td><td>Open</td><td>100</td></tr>
+            <tr><td>2</td><td>Zeta</td><td>Closed</td><td>250</td></tr>
+            <tr><td>3</td><td>Beta</td><td>Open</td><td>75</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const headerRows = () => container.querySelectorAll('thead tr');
+    const lefts = row => Array.from(row.cells).map(cell => (cell.classList.contains('lite-table-frozen') ? cell.style.left : null));
+    const lastFrozen = row => Array.from(row.cells).findIndex(cell => cell.classList.contains('lite-table-frozen-last'));
+
+    let container;
+    let tableManager;
+    let rectSpy;
+    let widths;
+
+    const createTable = (options, header) => {
+        if (tableManager) tableManager.destroy();
+        if (container) document.body.removeChild(container);
+        container = createTableContainer(header);
+        tableManager = new LiteTableManager(container, { initialSort: null, ...options });
+    };
+
+    beforeEach(() => {
+        // jsdom does not lay out: rows are 30px high, cells take their width from `widths`
+        widths = { ID: 50, Name: 120 };
+        rectSpy = jest.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(function () {
+            let width = widths[this.textContent] ?? 100;
+            if (this.classList.contains('lite-table-select')) width = 40;
+            const height = this.tagName === 'TR' ? 30 : 20;
+            return { width, height, top: 0, left: 0, right: width, bottom: height, x: 0, y: 0 };
+        });
+        createTable({ stickyHeader: true, frozenColumns: 2 });
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+        rectSpy.mockRestore();
+    });
+
+    test('should pin each header row below the previous ones', () => {
+        expect(container.querySelector('table').classList.contains('lite-table-sticky-header')).toBe(true);
+        expect(Array.from(headerRows()[0].cells).map(cell => cell.style.top)).toEqual(['0px', '0px']);
+        expect(Array.from(headerRows()[1].cells).map(cell => cell.style.top)).toEqual(['30px', '30px', '30px', '30px']);
+
+        createTable({ stickyHeader: { offset: 56 }, filterRow: true });
+        expect(headerRows()[1].cells[0].style.top).toBe('86px');
+        expect(headerRows()[2].cells[0].style.top).toBe('116px');
+        expect(headerRows()[2].className).toBe('lite-table-filter-row');
+    });
+
+    test('should freeze the first columns of the header and of the rows', () => {
+        expect(lefts(headerRows()[1])).toEqual(['0px', '50px', null, null]);
+        expect(lastFrozen(headerRows()[1])).toBe(1);
+        container.querySelectorAll('tbody tr').forEach(row => {
+            expect(lefts(row)).toEqual(['0px', '50px', null, null]);
+            expect(lastFrozen(row)).toBe(1);
+        });
+    });
+
+    test('should freeze the header cells spanning frozen columns only', () => {
+        expect(lefts(headerRows()[0])).toEqual(['0px', null]);
+        expect(lastFrozen(headerRows()[0])).toBe(0);
+
+        createTable({ frozenColumns: 1 });
+        expect(lefts(headerRows()[0])).toEqual([null, null]);
+        expect(headerRows()[0].cells[0].style.top).toBe('');
+    });
+
+    test('should place the header cells spanning rows by their column', () => {
+        createTable({ frozenColumns: 1 }, `
+            <tr><th rowspan="2">ID</th><th colspan="3">Details</th></tr>
+            <tr><th>Name</th><th>Status</th><th>Amount</th></tr>`);
+
+        expect(lefts(headerRows()[0])).toEqual(['0px', null]);
+        expect(lastFrozen(headerRows()[0])).toBe(0);
+        expect(lefts(headerRows()[1])).toEqual([null, null, null]);
+        expect(lefts(container.querySelector('tbody tr'))).toEqual(['0px', null, null, null]);
+
+        createTable({ frozenColumns: 2, selectable: true }, `
+            <tr><th rowspan="2">ID</th><th colspan="3">Details</th></tr>
+            <tr><th>Name</th><th>Status</th><th>Amount</th></tr>`);
+        expect(lefts(headerRows()[0])).toEqual(['0px', '40px', null]);
+        expect(lefts(headerRows()[1])).toEqual(['0px', '90px', null, null]);
+        expect(lastFrozen(headerRows()[1])).toBe(1);
+        expect(lefts(container.querySelector('tbody tr'))).toEqual(['0px', '40px', '90px', null, null]);
+
+        tableManager.hideColumn(0);
+        expect(headerRows()[0].cells[1].hidden).toBe(true);
+        expect(lefts(headerRows()[1])).toEqual(['0px', '40px', null, null]);
+    });
+
+    test('should freeze the selection checkboxes with the columns', () => {
+        createTable({ frozenColumns: 1, selectable: true });
+
+        expect(lefts(headerRows()[1])).toEqual(['0px', '40px', null, null, null]);
+        expect(lefts(container.querySelector('tbody tr'))).toEqual(['0px', '40px', null, null, null]);
+    });
+
+    test('should skip hidden columns in the offsets', () => {
+        tableManager.hideColumn(0);
+
+        expect(lefts(headerRows()[1])).toEqual(['0px', '0px', null, null]);
+        expect(lastFrozen(headerRows()[1])).toBe(1);
+
+        tableManager.hideColumn(1);
+        tableManager.showColumn(0);
+        expect(lastFrozen(headerRows()[1])).toBe(0);
+    });
+
+    test('should update the offsets once per visibility change, reading every size first', () => {
+        tableManager.setColumnWidths({ 0: 80 });
+        const calls = [];
+        rectSpy.mockImplementation(function () {
+            calls.push('read');
+            const height = this.tagName === 'TR' ? 30 : 20;
+            return { width: 100, height, top: 0, left: 0, right: 100, bottom: height, x: 0, y: 0 };
+        });
+        const updateStickyLayout = jest.spyOn(tableManager, 'updateStickyLayout');
+        const setterSpies = ['top', 'left'].map(name => {
+            const { set } = Object.getOwnPropertyDescriptor(CSSStyleDeclaration.prototype, name);
+            return jest.spyOn(CSSStyleDeclaration.prototype, name, 'set').mockImplementation(function (value) {
+                calls.push('write');
+                set.call(this, value);
+            });
+        });
+
+        tableManager.syncColumnVisibility();
+        setterSpies.forEach(spy => spy.mockRestore());
+
+        expect(updateStickyLayout).toHaveBeenCalledTimes(1);
+        expect(calls.lastIndexOf('read')).toBeLessThan(calls.indexOf('write'));
+    });
+
+    test('should freeze the columns moved to the start', () => {
+        tableManager.moveColumn(3, 0);
+
+        expect(Array.from(headerRows()[1].cells).map(cell => cell.textContent)).toEqual(['Amount', 'ID', 'Name', 'Status']);
+        expect(lefts(headerRows()[1])).toEqual(['0px', '100px', null, null]);
+        expect(lefts(container.querySelector('tbody tr'))).toEqual(['0px', '100px', null, null]);
+    });
+
+    test('should keep frozen cells in pooled rows', () => {
+        createTable({ frozenColumns: 1, pageSize: 2 });
+        tableManager.goToPage(2);
+        tableManager.goToPage(1);
+
+        container.querySelectorAll('tbody tr').forEach(row => expect(lefts(row)).toEqual(['0px', null, null, null]));
+    });
+
+    test('should update the offsets when the table is resized', () => {
+        widths.ID = 70;
+        window.dispatchEvent(new Event('resize'));
+        expect(lefts(headerRows()[1])).toEqual(['0px', '70px', null, null]);
+
+        tableManager.destroy();
+        tableManager = null;
+        widths.ID = 90;
+        window.dispatchEvent(new Event('resize'));
+        expect(headerRows()[1].cells[1].style.left).toBe('');
+    });
+
+    test('should observe the header cells when ResizeObserver is available', () => {
+        const observed = [];
+        let callback;
+        global.ResizeObserver = class {
+            constructor(fn) { callback = fn; }
+            observe(element) { observed.push(element); }
+            disconnect() { observed.length = 0; }
+        };
+        try {
+            createTable({ frozenColumns: 1 });
+            expect(observed).toContain(headerRows()[1].cells[0]);
+
+            widths.ID = 65;
+            callback([]);
+            expect(lefts(headerRows()[1])).toEqual(['0px', null, null, null]);
+            expect(lefts(container.querySelector('tbody tr'))[0]).toBe('0px');
+
+            tableManager.destroy();
+            tableManager = null;
+            expect(observed).toHaveLength(0);
+        } finally {
+            delete global.ResizeObserver;
+        }
+    });
+
+    test('should remove the offsets on destroy', () => {
+        tableManager.destroy();
+        tableManager = null;
+
+        expect(container.querySelector('table').className).toBe('');
+        expect(container.querySelector('thead .lite-table-frozen')).toBeNull();
+        expect(headerRows()[1].cells[0].style.top).toBe('');
+    });
+
+    test('should read the data attributes and reject invalid options', () => {
+        container.dataset.stickyHeader = '64';
+        container.dataset.frozenColumns = '2';
+        expect(getDataOptions(container)).toEqual({ stickyHeader: { offset: 64 }, frozenColumns: 2 });
+        container.dataset.stickyHeader = 'true';
+        expect(getDataOptions(container).stickyHeader).toBe(true);
+
+        expect(() => createTable({ stickyHeader: { offset: 'top' } }))
+            .toThrow('Invalid option "stickyHeader.offset": expected a number of pixels');
+        expect(() => createTable({ frozenColumns: -1 })).toThrow('Invalid option "frozenColumns": expected a number of columns');
+        expect(() => createTable({ frozenColumns: 5, search: true, filterRow: true })).toThrow('Invalid option "frozenColumns": the table has 4 columns');
+        expect(container.querySelector('.lite-table-filter-row')).toBeNull();
+        expect(container.querySelector('.lite-table-search')).toBeNull();
+        expect(container.querySelectorAll('tbody tr')).toHaveLength(3);
+    });
+});
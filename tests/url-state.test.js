@@ -0,0 +1,195 @@
+const { LiteTableManager, getDataOptions } = require('../src/LiteTable');
+
+describe('LiteTableManager URL state', () => {
+    const createTableContainer = (id = 'orders') => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.id = id;
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th class="filtered">Status</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>Active</td><td>100</td></tr>
+            <tr><td>2</td><td>Inactive</td><td>250</td></tr>
+            <tr><td>3</td><td>Active</td><td>75</td></tr>
+            <tr><td>4</td><td>Pending</td><td>300</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[0].textContent);
+    const params = () => new URLSearchParams(window.location.search);
+    const popState = () => window.dispatchEvent(new PopStateEvent('popstate'));
+
+    let container;
+    let tableManager;
+
+    const createTable = (urlState = true, options = {}) => {
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, { initialSort: null, pageSize: 2, urlState, ...options });
+    };
+
+    beforeEach(() => {
+        window.history.replaceState(null, '', '/orders?tab=all');
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+        window.history.replaceState(null, '', '/');
+    });
+
+    test('should leave the URL alone while the state is the initial one', () => {
+        createTable();
+
+        expect(window.location.search).toBe('?tab=all');
+    });
+
+    test('should write the changed parts, prefixed with the table id', () => {
+        createTable();
+
+        tableManager.setSort([{ column: 2, direction: 'desc' }, { column: 0, direction: 'asc' }]);
+        tableManager.setFilter(1, ['Active', 'Pending']);
+        tableManager.setSearch('a');
+        tableManager.setPageSize(10);
+
+        expect(params().get('tab')).toBe('all');
+        expect(params().get('orders.sort')).toBe('2:desc,0:asc');
+        expect(JSON.parse(params().get('orders.filter')).value).toEqual({ 1: ['Active', 'Pending'] });
+        expect(params().get('orders.q')).toBe('a');
+        expect(params().get('orders.size')).toBe('10');
+        expect(params().has('orders.page')).toBe(false);
+
+        tableManager.clearFilters();
+        expect(params().has('orders.filter')).toBe(false);
+        expect(params().has('orders.q')).toBe(false);
+    });
+
+    test('should restore the state before the first render', () => {
+        window.history.replaceState(null, '', '/orders?orders.sort=2:desc&orders.page=2&orders.filter=' +
+            encodeURIComponent(JSON.stringify({ value: { 1: ['Active', 'Pending'] } })));
+        const renders = [];
+        document.addEventListener('litetable:render', event => renders.push(event.detail.state), { once: true });
+
+        createTable();
+
+        expect(renders[0].page).toBe(2);
+        expect(renderedIds()).toEqual(['3']);
+        expect(tableManager.getState().sorts).toEqual([{ column: 2, direction: 'desc' }]);
+    });
+
+    test('should store an unsorted table when the initial sort is set', () => {
+        createTable(true, { initialSort: { column: 2, direction: 'asc' } });
+
+        tableManager.setSort([]);
+        expect(params().get('orders.sort')).toBe('none');
+
+        tableManager.destroy();
+        document.body.removeChild(container);
+        createTable(true, { initialSort: { column: 2, direction: 'asc' } });
+        expect(tableManager.getState().sorts).toEqual([]);
+    });
+
+    test('should undo changes on popstate', () => {
+        createTable(true, { urlState: { history: 'push' } });
+        const length = window.history.length;
+
+        tableManager.setFilter(1, 'Inactive');
+        expect(window.history.length).toBe(length + 1);
+        expect(renderedIds()).toEqual(['2']);
+
+        window.history.replaceState(null, '', '/orders?tab=all');
+        popState();
+
+        expect(renderedIds()).toEqual(['1', '2']);
+        expect(tableManager.getState().filters.value).toEqual({});
+    });
+
+    test('should ignore popstate events that do not change the table', () => {
+        createTable();
+        const handler = jest.fn();
+        tableManager.on('statechange', handler);
+
+        popState();
+
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to the initial state on invalid parameters', () => {
+        window.history.replaceState(null, '', '/orders?orders.page=abc&orders.filter=%7B');
+        createTable();
+
+        expect(tableManager.getState().page).toBe(1);
+        expect(renderedIds()).toEqual(['1', '2']);
+    });
+
+    test('should keep several tables apart', () => {
+        createTable();
+        const otherContainer = createTableContainer('customers');
+        const otherManager = new LiteTableManager(otherContainer, { initialSort: null, urlState: true });
+
+        tableManager.setFilter(1, 'Active');
+        otherManager.setFilter(1, 'Pending');
+
+        expect(params().get('orders.filter')).toContain('Active');
+        expect(params().get('customers.filter')).toContain('Pending');
+
+        otherManager.destroy();
+        document.body.removeChild(otherContainer);
+    });
+
+    test('should use the hash and a custom key', () => {
+        createTable({ mode: 'hash', key: 't1' });
+        tableManager.goToPage(2);
+
+        expect(window.location.search).toBe('?tab=all');
+        expect(window.location.hash).toBe('#t1.page=2');
+    });
+
+    test('should require a key', () => {
+        container = createTableContainer('');
+
+        expect(() => new LiteTableManager(container, { urlState: true }))
+            .toThrow('Invalid option "urlState": set a key or an id on the container');
+        expect(() => new LiteTableManager(container, { urlState: { mode: 'path' } }))
+            .toThrow('Invalid option "urlState.mode"');
+    });
+
+    test('should stop listening to popstate when destroyed', () => {
+        createTable();
+        const setState = jest.spyOn(tableManager, 'setState');
+        tableManager.destroy();
+        tableManager = null;
+
+        window.history.replaceState(null, '', '/orders?orders.page=2');
+        popState();
+
+        expect(setState).not.toHaveBeenCalled();
+    });
+
+    test('should be enabled by data-url-state', () => {
+        container = createTableContainer();
+        container.dataset.urlState = 'hash';
+        expect(getDataOptions(container)).toEqual({ urlState: { mode: 'hash' } });
+    });
+});
@@ -0,0 +1,194 @@
+const { LiteTableManager } = require('../src/LiteTable');
+
+describe('LiteTableManager multi-select value filters', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th class="filtered">Status</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>Open</td><td>100</td></tr>
+            <tr><td>2</td><td>Closed</td><td>250</td></tr>
+            <tr><td>3</td><td>Pending</td><td>75</td></tr>
+            <tr><td>4</td><td></td><td>300</td></tr>
+            <tr><td>5</td><td>Open</td><td>20</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr'))
+        .map(row => row.cells[0].textContent);
+    const checkboxes = () => Array.from(container.querySelectorAll('.lite-table-value-filter input[type="checkbox"]'));
+    const checkbox = value => container.querySelector(`.lite-table-value-filter input[type="checkbox"][value="${value}"]`);
+    const toggle = () => container.querySelector('.lite-table-value-filter-toggle');
+    const popup = () => container.querySelector('.lite-table-value-filter-popup');
+    const keydown = (element, key) => element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+    let container;
+    let tableManager;
+
+    beforeEach(() => {
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, { initialSort: null, controls: { filters: true } });
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should list every value with an (empty) entry, all checked', () => {
+        expect(checkboxes().map(input => input.value)).toEqual(['Closed', 'Open', 'Pending', '']);
+        expect(container.querySelector('.lite-table-value-filter-empty .lite-table-value-filter-label').textContent).toBe('(empty)');
+        expect(checkboxes().every(input => input.checked)).toBe(true);
+        expect(toggle().textContent).toBe('All');
+    });
+
+    test('should show rows matching any checked value', () => {
+        checkbox('Closed').click();
+        checkbox('').click();
+
+        expect(renderedIds()).toEqual(['1', '3', '5']);
+        expect(tableManager.currentValueFilters[1]).toEqual(new Set(['Open', 'Pending']));
+        expect(toggle().textContent).toBe('2 selected');
+
+        checkbox('Closed').click();
+        checkbox('').click();
+        expect(tableManager.getState().filters.value).toEqual({});
+        expect(toggle().textContent).toBe('All');
+    });
+
+    test('should match empty cells with the empty value', () => {
+        tableManager.setFilter(1, ['']);
+
+        expect(renderedIds()).toEqual(['4']);
+        expect(toggle().textContent).toBe('(empty)');
+        expect(checkbox('').checked).toBe(true);
+        expect(checkbox('Open').checked).toBe(false);
+    });
+
+    test('should select none and all', () => {
+        const [selectAll, selectNone] = container.querySelectorAll('.lite-table-value-filter-actions button');
+
+        selectNone.click();
+        expect(renderedIds()).toEqual([]);
+        expect(toggle().textContent).toBe('None');
+
+        selectAll.click();
+        expect(renderedIds()).toHaveLength(5);
+        expect(tableManager.getState().filters.value).toEqual({});
+    });
+
+    test('should search the options and only select the listed ones', () => {
+        toggle().click();
+        const search = popup().querySelector('input[type="search"]');
+        search.value = 'pen';
+        search.dispatchEvent(new Event('input'));
+
+        const visible = checkboxes().filter(input => !input.closest('li').hidden).map(input => input.value);
+        expect(visible).toEqual(['Open', 'Pending']);
+
+        container.querySelectorAll('.lite-table-value-filter-actions button')[1].click();
+        expect(renderedIds()).toEqual(['2', '4']);
+    });
+
+    test('should open and navigate the popup with the keyboard', () => {
+        expect(popup().hidden).toBe(true);
+
+        toggle().click();
+        const search = popup().querySelector('input[type="search"]');
+        expect(popup().hidden).toBe(false);
+        expect(toggle().getAttribute('aria-expanded')).toBe('true');
+        expect(document.activeElement).toBe(search);
+
+        keydown(search, 'ArrowDown');
+        expect(document.activeElement).toBe(checkbox('Closed'));
+        keydown(document.activeElement, 'ArrowDown');
+        expect(document.activeElement).toBe(checkbox('Open'));
+        keydown(document.activeElement, 'End');
+        expect(document.activeElement).toBe(checkbox(''));
+        keydown(document.activeElement, 'Home');
+        expect(document.activeElement).toBe(search);
+
+        keydown(search, 'Escape');
+        expect(popup().hidden).toBe(true);
+        expect(toggle().getAttribute('aria-expanded')).toBe('false');
+        expect(document.activeElement).toBe(toggle());
+    });
+
+    test('should close the popup on outside clicks', () => {
+        toggle().click();
+        checkbox('Open').click();
+        expect(popup().hidden).toBe(false);
+
+        document.body.click();
+        expect(popup().hidden).toBe(true);
+    });
+
+    test('should round-trip several values through the state', () => {
+        tableManager.setFilter(1, { value: ['Open', 'Closed'] });
+        const state = tableManager.getState();
+        expect(state.filters.value).toEqual({ 1: ['Open', 'Closed'] });
+
+        tableManager.clearFilters();
+        tableManager.setState(state);
+        expect(renderedIds()).toEqual(['1', '2', '5']);
+        expect(checkbox('Pending').checked).toBe(false);
+    });
+
+    test('should round-trip the empty value through the state', () => {
+        tableManager.setFilter(1, { value: new Set(['']) });
+        const state = tableManager.getState();
+        expect(state.filters.value).toEqual({ 1: [''] });
+
+        tableManager.clearFilters();
+        tableManager.setState(state);
+        expect(renderedIds()).toEqual(['4']);
+        expect(checkbox('').checked).toBe(true);
+    });
+
+    test('should accept several initial values', () => {
+        tableManager.destroy();
+        tableManager = null;
+        const freshContainer = createTableContainer();
+        const freshManager = new LiteTableManager(freshContainer, {
+            initialSort: null,
+            initialFilters: { value: { 1: ['Pending', 'Closed'] } }
+        });
+
+        const ids = Array.from(freshContainer.querySelectorAll('tbody tr')).map(row => row.cells[0].textContent);
+        expect(ids).toEqual(['2', '3']);
+
+        freshManager.destroy();
+        document.body.removeChild(freshContainer);
+    });
+
+    test('should keep the selection when rows change', () => {
+        tableManager.setFilter(1, ['Open', 'Pending']);
+        tableManager.addRows(['<tr><td>6</td><td>Archived</td><td>1</td></tr>']);
+
+        expect(checkboxes().map(input => input.value)).toEqual(['Archived', 'Closed', 'Open', 'Pending', '']);
+        expect(checkbox('Archived').checked).toBe(false);
+        expect(checkbox('Open').checked).toBe(true);
+    });
+});
@@ -0,0 +1,205 @@
+const { LiteTableManager, getDataOptions } = require('../src/LiteTable');
+
+describe('LiteTableManager virtual scrolling', () => {
+    const createContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container"></div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const columns = [
+        { key: 'id', title: 'ID', type: 'number' },
+        { key: 'level', title: 'Level' },
+        { key: 'message', title: 'Message' }
+    ];
+    const data = Array.from({ length: 1000 }, (_, index) => ({
+        id: index + 1,
+        level: index % 2 ? 'error' : 'info',
+        message: `Line ${index + 1}`
+    }));
+
+    const renderedIds = () => Array.from(container.querySelectorAll('tbody tr:not(.lite-table-spacer)'))
+        .map(row => Number(row.cells[0].textContent));
+    const spacer = position => container.querySelector(`tbody tr.lite-table-spacer:${position}-child`);
+    const spacerHeight = position => (spacer(position).hidden ? 0 : parseFloat(spacer(position).cells[0].style.height));
+    const scrollTo = top => {
+        scroller.scrollTop = top;
+        scroller.dispatchEvent(new Event('scroll'));
+    };
+
+    let container;
+    let scroller;
+    let tableManager;
+    let rectSpy;
+    let tallRows;
+
+    const createTable = options => {
+        if (tableManager) tableManager.destroy();
+        if (container) document.body.removeChild(container);
+        container = createContainer();
+        // jsdom does not lay out or scroll: the container shows 300px of rows
+        scroller = container.querySelector('.lite-table-container');
+        let scrollTop = 0;
+        Object.defineProperty(scroller, 'scrollTop', { get: () => scrollTop, set: value => { scrollTop = value; }, configurable: true });
+        Object.defineProperty(scroller, 'clientHeight', { value: 300, configurable: true });
+        tableManager = new LiteTableManager(container, {
+            data,
+            columns,
+            initialSort: null,
+            virtualScroll: { rowHeight: 30, buffer: 5 },
+            ...options
+        });
+    };
+
+    beforeEach(() => {
+        // Rows are 30px high, except the ids in `tallRows`
+        tallRows = [];
+        rectSpy = jest.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(function () {
+            const height = this.tagName === 'TR' && tallRows.includes(Number(this.cells[0].textContent)) ? 90 : 30;
+            return { width: 100, height, top: 0, left: 0, right: 100, bottom: height, x: 0, y: 0 };
+        });
+        createTable();
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+        rectSpy.mockRestore();
+    });
+
+    test('should render the rows in view plus the buffer between two spacers', () => {
+        expect(renderedIds()).toEqual(Array.from({ length: 16 }, (_, index) => index + 1));
+        expect(spacer('first').hidden).toBe(true);
+        expect(spacerHeight('last')).toBe(984 * 30);
+        expect(spacer('last').cells[0].colSpan).toBe(3);
+        expect(scroller.classList.contains('lite-table-virtual')).toBe(true);
+    });
+
+    test('should count every row of the page in the table info', () => {
+        expect(tableManager.getState().pageSize).toBe('all');
+        expect(tableManager.visibleRows).toHaveLength(1000);
+        expect(container.querySelector('.tableInfo').textContent).toBe('Showing 1000 items out of 1000 (total: 1000)');
+    });
+
+    test('should render other rows on scroll, reusing the rendered ones', () => {
+        const handler = jest.fn();
+        tableManager.on('render', handler);
+        const elements = new Set(container.querySelectorAll('tbody tr'));
+
+        scrollTo(3000);
+
+        expect(renderedIds()).toEqual(Array.from({ length: 22 }, (_, index) => index + 95));
+        expect(spacerHeight('first')).toBe(94 * 30);
+        expect(spacerHeight('last')).toBe(884 * 30);
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail.elements).toHaveLength(22);
+        container.querySelectorAll('tbody tr:not(.lite-table-spacer)').forEach((tr, index) => {
+            if (index < 16) expect(elements.has(tr)).toBe(true);
+        });
+
+        scrollTo(3010);
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep the scroll position when sorting and filtering', () => {
+        scrollTo(3000);
+
+        tableManager.sortBy(0, 'desc');
+        expect(scroller.scrollTop).toBe(3000);
+        expect(renderedIds()[0]).toBe(906);
+
+        tableManager.setFilter(1, 'info');
+        expect(scroller.scrollTop).toBe(3000);
+        expect(renderedIds()[0]).toBe(811);
+        expect(container.querySelector('.tableInfo').textContent).toBe('Showing 500 items out of 500 (total: 1000)');
+    });
+
+    test('should measure rows and keep the first row in view in place', () => {
+        tallRows = [10, 100];
+        createTable();
+        expect(spacerHeight('last')).toBe(984 * 30);
+
+        scrollTo(3120);
+
+        // Row 10 was measured first, so row 103 starts at 3120px until row 100 turns out taller
+        expect(renderedIds()[0]).toBe(97);
+        expect(spacerHeight('first')).toBe(96 * 30 + 60);
+        expect(scroller.scrollTop).toBe(3180);
+    });
+
+    test('should scroll back to the top on another page', () => {
+        createTable({ pageSize: 100 });
+        scrollTo(600);
+        expect(renderedIds()[0]).toBe(15);
+
+        tableManager.goToPage(2);
+        expect(scroller.scrollTop).toBe(0);
+        expect(renderedIds()[0]).toBe(101);
+        expect(container.querySelector('.tableInfo').textContent).toBe('Showing 100 items out of 1000 (total: 1000)');
+    });
+
+    test('should check the selected rows rendered on scroll', () => {
+        createTable({ selectable: { selectAll: 'filtered' } });
+        tableManager.selectAll();
+
+        scrollTo(6000);
+        const checkboxes = container.querySelectorAll('tbody .lite-table-select input');
+        expect(checkboxes).toHaveLength(22);
+        checkboxes.forEach(checkbox => expect(checkbox.checked).toBe(true));
+        expect(spacer('first').cells[0].colSpan).toBe(4);
+
+        tableManager.clearSelection();
+        container.querySelectorAll('tbody .lite-table-select input').forEach(checkbox => expect(checkbox.checked).toBe(false));
+    });
+
+    test('should leave the spacers out of hidden columns', () => {
+        tableManager.hideColumn(0);
+
+        expect(spacer('last').cells[0].hidden).toBe(false);
+        container.querySelectorAll('tbody tr:not(.lite-table-spacer)').forEach(row => expect(row.cells[0].hidden).toBe(true));
+    });
+
+    test('should remove the spacers and stop listening on destroy', () => {
+        tableManager.destroy();
+        tableManager = null;
+
+        expect(container.querySelector('.lite-table-spacer')).toBeNull();
+        expect(scroller.classList.contains('lite-table-virtual')).toBe(false);
+        expect(() => scrollTo(3000)).not.toThrow();
+    });
+
+    test('should read data-virtual-scroll and reject invalid options', () => {
+        container.dataset.virtualScroll = '24';
+        expect(getDataOptions(container)).toEqual({ virtualScroll: { rowHeight: 24 } });
+        container.dataset.virtualScroll = 'true';
+        expect(getDataOptions(container)).toEqual({ virtualScroll: true });
+
+        createTable({ pageSize: 50 });
+        expect(tableManager.getState().pageSize).toBe(50);
+
+        expect(() => createTable({ virtualScroll: { rowHeight: 0 } }))
+            .toThrow('Invalid option "virtualScroll.rowHeight": expected a positive number of pixels');
+        expect(() => createTable({ virtualScroll: { buffer: -1 } }))
+            .toThrow('Invalid option "virtualScroll.buffer": expected a number of rows');
+        expect(() => createTable({ virtualScroll: 'yes' }))
+            .toThrow('Invalid option "virtualScroll": expected a boolean or { rowHeight, buffer }');
+
+        const table = document.createElement('div');
+        table.innerHTML = '<table><thead><tr><th>ID</th></tr></thead><tbody><tr><td>1</td></tr></tbody></table>';
+        expect(() => new LiteTableManager(table, { virtualScroll: true }))
+            .toThrow('Option "virtualScroll" requires a .lite-table-container element');
+        expect(table.querySelectorAll('tbody tr')).toHaveLength(1);
+    });
+});
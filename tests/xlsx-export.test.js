@@ -0,0 +1,161 @@
+const { LiteTableManager } = require('../src/LiteTable');
+
+describe('LiteTableManager XLSX export', () => {
+    const createTableContainer = () => {
+        const container = document.createElement('div');
+        container.className = 'lite-table';
+        container.innerHTML = `
+      <div class="lite-table-filters"></div>
+      <div class="lite-table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Name</th>
+              <th>Created</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr><td>1</td><td>Acme &amp; Co &lt;HQ&gt;</td><td>15/04/2025</td><td>1 234,5</td></tr>
+            <tr><td>2</td><td>Zeta</td><td>01/01/1900</td><td>-</td></tr>
+            <tr><td>3</td><td></td><td>31/12/2024</td><td>75</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="lite-table-footer">
+        <div class="tableInfo"></div>
+      </div>
+    `;
+        document.body.appendChild(container);
+        return container;
+    };
+
+    // Reads the stored entries of a zip from its central directory
+    const unzip = bytes => {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+        const end = bytes.length - 22;
+        expect(view.getUint32(end, true)).toBe(0x06054B50);
+        const count = view.getUint16(end + 10, true);
+        const files = {};
+        let offset = view.getUint32(end + 16, true);
+        for (let i = 0; i < count; i++) {
+            expect(view.getUint32(offset, true)).toBe(0x02014B50);
+            const size = view.getUint32(offset + 24, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            expect(view.getUint32(localOffset, true)).toBe(0x04034B50);
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+            files[name] = decoder.decode(bytes.subarray(dataStart, dataStart + size));
+            offset += 46 + nameLength;
+        }
+        return files;
+    };
+
+    const sheetOf = bytes => unzip(bytes)['xl/worksheets/sheet1.xml'];
+    const cellOf = (sheet, ref) => new RegExp(`<c r="${ref}"[^>]*>.*?</c>`).exec(sheet)?.[0] ?? null;
+
+    let container;
+    let tableManager;
+
+    beforeEach(() => {
+        container = createTableContainer();
+        tableManager = new LiteTableManager(container, { initialSort: null, pageSize: 2 });
+    });
+
+    afterEach(() => {
+        if (tableManager) {
+            tableManager.destroy();
+        }
+        document.body.removeChild(container);
+        container = null;
+        tableManager = null;
+    });
+
+    test('should write a workbook package', () => {
+        const files = unzip(tableManager.exportXLSX());
+
+        expect(Object.keys(files)).toEqual([
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'xl/workbook.xml',
+            'xl/_rels/workbook.xml.rels',
+            'xl/styles.xml',
+            'xl/worksheets/sheet1.xml'
+        ]);
+        expect(files['xl/workbook.xml']).toContain('<sheet name="Sheet1" sheetId="1" r:id="rId1"/>');
+        expect(files['[Content_Types].xml']).toContain('PartName="/xl/worksheets/sheet1.xml"');
+    });
+
+    test('should write dates as Excel dates and numbers as numbers', () => {
+        const sheet = sheetOf(tableManager.exportXLSX());
+
+        expect(cellOf(sheet, 'C2')).toBe('<c r="C2" s="2"><v>45762</v></c>');
+        expect(cellOf(sheet, 'C3')).toBe('<c r="C3" s="2"><v>1</v></c>');
+        expect(cellOf(sheet, 'D2')).toBe('<c r="D2"><v>1234.5</v></c>');
+        expect(cellOf(sheet, 'D4')).toBe('<c r="D4"><v>75</v></c>');
+        expect(cellOf(sheet, 'A2')).toBe('<c r="A2"><v>1</v></c>');
+    });
+
+    test('should keep text and unreadable values as escaped strings', () => {
+        const sheet = sheetOf(tableManager.exportXLSX());
+
+        expect(cellOf(sheet, 'B2')).toBe('<c r="B2" t="inlineStr"><is><t xml:space="preserve">Acme &amp; Co &lt;HQ&gt;</t></is></c>');
+        expect(cellOf(sheet, 'D3')).toContain('<t xml:space="preserve">-</t>');
+        expect(cellOf(sheet, 'B4')).toBeNull();
+    });
+
+    test('should use the date and time format for date columns with times', () => {
+        tableManager.addRows(['<tr><td>4</td><td>Late</td><td>02/01/2025 18:00</td><td>1</td></tr>']);
+        const sheet = sheetOf(tableManager.exportXLSX());
+
+        expect(cellOf(sheet, 'C5')).toBe('<c r="C5" s="3"><v>45659.75</v></c>');
+        expect(cellOf(sheet, 'C2')).toBe('<c r="C2" s="3"><v>45762</v></c>');
+    });
+
+    test('should write a bold, frozen header row', () => {
+        const files = unzip(tableManager.exportXLSX());
+        const sheet = files['xl/worksheets/sheet1.xml'];
+
+        expect(cellOf(sheet, 'A1')).toBe('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">ID</t></is></c>');
+        expect(sheet).toContain('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>');
+        expect(files['xl/styles.xml']).toContain('<font><b/>');
+
+        const withoutHeader = sheetOf(tableManager.exportXLSX({ header: false }));
+        expect(withoutHeader).not.toContain('<pane');
+        expect(cellOf(withoutHeader, 'A1')).toBe('<c r="A1"><v>1</v></c>');
+    });
+
+    test('should export the rows of a scope in the current order, with chosen columns', () => {
+        tableManager.sortBy(2, 'desc');
+        const sheet = sheetOf(tableManager.exportXLSX({ scope: 'page', columns: [3, 0], sheetName: 'Orders' }));
+
+        expect(sheet.match(/<row /g)).toHaveLength(3);
+        expect(cellOf(sheet, 'A2')).toBe('<c r="A2"><v>1234.5</v></c>');
+        expect(cellOf(sheet, 'B3')).toBe('<c r="B3"><v>3</v></c>');
+        expect(cellOf(sheet, 'C2')).toBeNull();
+    });
+
+    test('should reject invalid options', () => {
+        expect(() => tableManager.exportXLSX({ sheetName: 'a/b' })).toThrow('Invalid sheet name: a/b');
+        expect(() => tableManager.exportXLSX({ scope: 'nope' })).toThrow('Invalid export scope: nope');
+        expect(() => tableManager.exportXLSX({ columns: [9] })).toThrow('Invalid column index: 9');
+    });
+
+    test('should download the workbook', () => {
+        URL.createObjectURL = jest.fn(() => 'blob:xlsx');
+        URL.revokeObjectURL = jest.fn();
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            expect(this.download).toBe('orders.xlsx');
+        });
+
+        tableManager.downloadXLSX('orders.xlsx');
+
+        expect(click).toHaveBeenCalled();
+        expect(URL.createObjectURL.mock.calls[0][0].type)
+            .toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        click.mockRestore();
+    });
+});